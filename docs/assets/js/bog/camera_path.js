@@ -0,0 +1,148 @@
+/**
+ * Keyframed camera paths for PLYMeshViewer
+ * Keyframes are view states from getCurrentViewState; playback slerps the
+ * orbit direction, interpolates the radius geometrically and lerps the target
+ */
+
+(function () {
+    'use strict';
+
+    const EASINGS = {
+        linear: t => t,
+        easeIn: t => t * t * t,
+        easeOut: t => 1 - Math.pow(1 - t, 3),
+        easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+        smoothstep: t => t * t * (3 - 2 * t)
+    };
+
+    const PATH_VERSION = 1;
+
+    const orbitDirection = (state) => new THREE.Vector3(
+        Math.sin(state.phi) * Math.sin(state.theta),
+        Math.cos(state.phi),
+        Math.sin(state.phi) * Math.cos(state.theta)
+    );
+
+    class CameraPath {
+        constructor(keyframes = []) {
+            this.keyframes = [];
+            keyframes.forEach(keyframe => this.addKeyframe(keyframe.state, keyframe));
+        }
+
+        /**
+         * Append a view state. options.duration is the time in seconds spent
+         * travelling from the previous keyframe to this one, options.easing
+         * one of CameraPath.easings().
+         */
+        addKeyframe(state, options = {}) {
+            const easing = options.easing || 'easeInOut';
+            if (!EASINGS[easing]) {
+                throw new Error(`Unknown easing "${easing}"`);
+            }
+
+            const keyframe = {
+                state: {
+                    theta: state.theta,
+                    phi: state.phi,
+                    radius: state.radius,
+                    target: { x: state.target.x, y: state.target.y, z: state.target.z }
+                },
+                duration: options.duration !== undefined ? options.duration : 2,
+                easing
+            };
+
+            const index = options.index !== undefined ? options.index : this.keyframes.length;
+            this.keyframes.splice(index, 0, keyframe);
+            return keyframe;
+        }
+
+        removeKeyframe(index) {
+            this.keyframes.splice(index, 1);
+        }
+
+        clear() {
+            this.keyframes = [];
+        }
+
+        get duration() {
+            return this.keyframes.slice(1).reduce((sum, keyframe) => sum + keyframe.duration, 0);
+        }
+
+        // View state at `time` seconds from the start, clamped to the path
+        sample(time) {
+            const keyframes = this.keyframes;
+            if (keyframes.length === 0) return null;
+            if (keyframes.length === 1 || time <= 0) return { ...keyframes[0].state };
+
+            let elapsed = time;
+            for (let i = 1; i < keyframes.length; i++) {
+                const keyframe = keyframes[i];
+                if (elapsed <= keyframe.duration || i === keyframes.length - 1) {
+                    const t = keyframe.duration > 0 ? Math.min(elapsed / keyframe.duration, 1) : 1;
+                    return CameraPath.interpolate(keyframes[i - 1].state, keyframe.state, EASINGS[keyframe.easing](t));
+                }
+                elapsed -= keyframe.duration;
+            }
+
+            return { ...keyframes[keyframes.length - 1].state };
+        }
+
+        static interpolate(from, to, t) {
+            // Spherical interpolation of the orbit direction around the target
+            const a = orbitDirection(from);
+            const b = orbitDirection(to);
+            const rotation = new THREE.Quaternion().setFromUnitVectors(a, b);
+            const direction = a.applyQuaternion(new THREE.Quaternion().slerp(rotation, t));
+
+            const radius = from.radius > 0 && to.radius > 0
+                ? from.radius * Math.pow(to.radius / from.radius, t)
+                : from.radius + (to.radius - from.radius) * t;
+
+            return {
+                theta: Math.atan2(direction.x, direction.z),
+                phi: Math.acos(THREE.MathUtils.clamp(direction.y, -1, 1)),
+                radius,
+                target: {
+                    x: from.target.x + (to.target.x - from.target.x) * t,
+                    y: from.target.y + (to.target.y - from.target.y) * t,
+                    z: from.target.z + (to.target.z - from.target.z) * t
+                }
+            };
+        }
+
+        static easings() {
+            return Object.keys(EASINGS);
+        }
+
+        toJSON() {
+            return {
+                version: PATH_VERSION,
+                keyframes: this.keyframes.map(keyframe => ({
+                    state: keyframe.state,
+                    duration: keyframe.duration,
+                    easing: keyframe.easing
+                }))
+            };
+        }
+
+        static fromJSON(json) {
+            const data = typeof json === 'string' ? JSON.parse(json) : json;
+            const keyframes = Array.isArray(data) ? data : data.keyframes;
+            if (!Array.isArray(keyframes)) {
+                throw new Error('Camera path JSON must contain a "keyframes" array');
+            }
+
+            return new CameraPath(keyframes.map(keyframe => {
+                const state = keyframe.state || keyframe;
+                if (![state.theta, state.phi, state.radius].every(Number.isFinite) || !state.target) {
+                    throw new Error('Camera path keyframes need theta, phi, radius and target');
+                }
+                return { state, duration: keyframe.duration, easing: keyframe.easing };
+            }));
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.CameraPath = CameraPath;
+    }
+})();
@@ -0,0 +1,126 @@
+/**
+ * Colormaps for scalar vertex attributes in PLYMeshViewer
+ * Sequential (viridis, plasma, turbo, gray, reds) and diverging (coolwarm, rdbu) maps
+ */
+
+(function () {
+    'use strict';
+
+    const hexStops = (hexColors) => hexColors.map(hex => [
+        parseInt(hex.slice(1, 3), 16) / 255,
+        parseInt(hex.slice(3, 5), 16) / 255,
+        parseInt(hex.slice(5, 7), 16) / 255
+    ]);
+
+    // Evenly spaced control points sampled from the matplotlib definitions
+    const STOPS = {
+        viridis: hexStops(['#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+            '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']),
+        plasma: hexStops(['#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786',
+            '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921']),
+        coolwarm: hexStops(['#3b4cc0', '#5977e3', '#7b9ff9', '#9ebeff', '#c0d4f5',
+            '#dddcdc', '#f2cbb7', '#f7ac8e', '#ee8468', '#d65244', '#b40426']),
+        rdbu: hexStops(['#053061', '#2166ac', '#4393c3', '#92c5de', '#d1e5f0',
+            '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b', '#67001f']),
+        gray: hexStops(['#000000', '#ffffff']),
+        // White to red, the error map of eval_reconstruction.py
+        reds: hexStops(['#ffffff', '#ff0000'])
+    };
+
+    const DIVERGING = new Set(['coolwarm', 'rdbu']);
+
+    // Polynomial fit of Google's Turbo colormap
+    function sampleTurbo(t, out) {
+        out[0] = 0.13572138 + t * (4.61539260 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943))));
+        out[1] = 0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604))));
+        out[2] = 0.10667330 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973))));
+        out[0] = Math.min(Math.max(out[0], 0), 1);
+        out[1] = Math.min(Math.max(out[1], 0), 1);
+        out[2] = Math.min(Math.max(out[2], 0), 1);
+        return out;
+    }
+
+    function sampleStops(stops, t, out) {
+        const scaled = t * (stops.length - 1);
+        const index = Math.min(Math.floor(scaled), stops.length - 2);
+        const f = scaled - index;
+        const a = stops[index];
+        const b = stops[index + 1];
+        out[0] = a[0] + (b[0] - a[0]) * f;
+        out[1] = a[1] + (b[1] - a[1]) * f;
+        out[2] = a[2] + (b[2] - a[2]) * f;
+        return out;
+    }
+
+    function sample(name, t, out = [0, 0, 0]) {
+        t = Number.isFinite(t) ? Math.min(Math.max(t, 0), 1) : 0;
+        if (name === 'turbo') return sampleTurbo(t, out);
+        return sampleStops(STOPS[name] || STOPS.viridis, t, out);
+    }
+
+    function names() {
+        return ['viridis', 'plasma', 'turbo', 'gray', 'reds', 'coolwarm', 'rdbu'];
+    }
+
+    function isDiverging(name) {
+        return DIVERGING.has(name);
+    }
+
+    /**
+     * Value range of `values` after clipping the given lower/upper percentiles.
+     * Large arrays are subsampled, which is plenty for picking a display range.
+     */
+    function computeRange(values, clip = [0, 100]) {
+        const maxSamples = 200000;
+        const step = Math.max(1, Math.floor(values.length / maxSamples));
+        const samples = [];
+        for (let i = 0; i < values.length; i += step) {
+            if (Number.isFinite(values[i])) samples.push(values[i]);
+        }
+        if (samples.length === 0) return [0, 1];
+
+        const sorted = Float64Array.from(samples).sort();
+        const at = (percent) => {
+            const position = (Math.min(Math.max(percent, 0), 100) / 100) * (sorted.length - 1);
+            const lower = Math.floor(position);
+            const upper = Math.min(lower + 1, sorted.length - 1);
+            return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+        };
+
+        return [at(clip[0]), at(clip[1])];
+    }
+
+    // Map every value to RGB; values outside [min, max] saturate at the ends
+    function apply(name, values, range, target = new Float32Array(values.length * 3)) {
+        const [min, max] = range;
+        const span = max - min || 1;
+        const rgb = [0, 0, 0];
+
+        for (let i = 0; i < values.length; i++) {
+            sample(name, (values[i] - min) / span, rgb);
+            target[i * 3] = rgb[0];
+            target[i * 3 + 1] = rgb[1];
+            target[i * 3 + 2] = rgb[2];
+        }
+
+        return target;
+    }
+
+    function toCSS(name, t) {
+        const [r, g, b] = sample(name, t);
+        return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+    }
+
+    const Colormaps = {
+        names,
+        sample,
+        isDiverging,
+        computeRange,
+        apply,
+        toCSS
+    };
+
+    if (typeof window !== 'undefined') {
+        window.Colormaps = Colormaps;
+    }
+})();
@@ -0,0 +1,19 @@
+/**
+ * Web Worker that runs ReconstructionEval off the main thread
+ * Posts progress messages and returns the metric rows and per-vertex errors
+ */
+
+importScripts('reconstruction_eval.js');
+
+self.addEventListener('message', (event) => {
+    const { reference, positions, indices, options } = event.data;
+
+    try {
+        const result = ReconstructionEval.evaluate(reference, { positions, indices }, options, (progress) => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        self.postMessage({ type: 'result', result }, [result.vertexErrors.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,567 @@
+/**
+ * 3D Gaussian Splatting renderer for PLYMeshViewer
+ * Draws camera-facing anisotropic Gaussians sorted back to front
+ */
+
+(function () {
+    'use strict';
+
+    // Real spherical harmonics constants, same as the 3DGS reference rasterizer
+    const SH_C0 = 0.28209479177387814;
+    const SH_C1 = 0.4886025119029199;
+    const SH_C2 = [
+        1.0925484305920792, -1.0925484305920792, 0.31539156525252005,
+        -1.0925484305920792, 0.5462742152960396
+    ];
+    const SH_C3 = [
+        -0.5900435899266435, 2.890611442640554, -0.4570457994644658, 0.3731763325901154,
+        -0.4570457994644658, 1.445305721320277, -0.5900435899266435
+    ];
+
+    const vertexShader = `
+        attribute vec2 corner;
+        attribute vec4 splatColor;
+        attribute vec3 covA;
+        attribute vec3 covB;
+
+        uniform vec2 viewport;
+
+        varying vec4 vColor;
+        varying vec2 vPosition;
+
+        #include <clipping_planes_pars_vertex>
+
+        void main() {
+            vec4 cam = modelViewMatrix * vec4(position, 1.0);
+            vec4 clip = projectionMatrix * cam;
+
+            // Clip by the splat center so a splat is kept or dropped as a whole
+            vec4 mvPosition = cam;
+            #include <clipping_planes_vertex>
+
+            // projectionMatrix[3][3] is 1 for orthographic cameras, whose near plane may lie behind them
+            bool orthographic = projectionMatrix[3][3] > 0.5;
+            float clipLimit = 1.2 * clip.w;
+            if ((!orthographic && cam.z > -0.01) || clip.x < -clipLimit || clip.x > clipLimit ||
+                clip.y < -clipLimit || clip.y > clipLimit) {
+                gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+                return;
+            }
+
+            mat3 sigma = mat3(
+                covA.x, covA.y, covA.z,
+                covA.y, covB.x, covB.y,
+                covA.z, covB.y, covB.z
+            );
+
+            // Jacobian of the projection (camera looks down -z); constant when orthographic
+            vec2 focal = vec2(projectionMatrix[0][0], projectionMatrix[1][1]) * viewport * 0.5;
+            float invZ = orthographic ? 1.0 : 1.0 / -cam.z;
+            float depthTerm = orthographic ? 0.0 : invZ * invZ;
+            vec3 j0 = vec3(focal.x * invZ, 0.0, focal.x * cam.x * depthTerm);
+            vec3 j1 = vec3(0.0, focal.y * invZ, focal.y * cam.y * depthTerm);
+
+            mat3 W = mat3(modelViewMatrix);
+            vec3 t0 = j0 * W;
+            vec3 t1 = j1 * W;
+
+            // Screen-space covariance with the usual low-pass dilation
+            float a = dot(t0, sigma * t0) + 0.3;
+            float b = dot(t0, sigma * t1);
+            float d = dot(t1, sigma * t1) + 0.3;
+
+            float mid = 0.5 * (a + d);
+            float radius = length(vec2(0.5 * (a - d), b));
+            float lambda1 = mid + radius;
+            float lambda2 = max(mid - radius, 0.1);
+
+            vec2 axis = abs(b) > 1e-7 ? normalize(vec2(b, lambda1 - a)) : (a >= d ? vec2(1.0, 0.0) : vec2(0.0, 1.0));
+            vec2 majorAxis = min(sqrt(2.0 * lambda1), 1024.0) * axis;
+            vec2 minorAxis = min(sqrt(2.0 * lambda2), 1024.0) * vec2(axis.y, -axis.x);
+
+            vColor = splatColor;
+            vPosition = corner;
+
+            vec2 offset = corner.x * majorAxis + corner.y * minorAxis;
+            gl_Position = clip + vec4(offset / viewport * 2.0 * clip.w, 0.0, 0.0);
+        }
+    `;
+
+    const fragmentShader = `
+        varying vec4 vColor;
+        varying vec2 vPosition;
+
+        #include <clipping_planes_pars_fragment>
+
+        void main() {
+            #include <clipping_planes_fragment>
+            float power = -dot(vPosition, vPosition);
+            if (power < -4.0) discard;
+            float alpha = exp(power) * vColor.a;
+            if (alpha < 1.0 / 255.0) discard;
+            gl_FragColor = vec4(vColor.rgb, alpha);
+        }
+    `;
+
+    const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+    /**
+     * Instanced quad geometry whose `position` attribute holds the splat
+     * centers, so bounding boxes and `translate` behave like a point cloud.
+     */
+    class GaussianSplatGeometry extends THREE.InstancedBufferGeometry {
+        constructor(cloud) {
+            super();
+            this.cloud = cloud;
+        }
+
+        translate(x, y, z) {
+            this.cloud.translate(x, y, z);
+            return super.translate(x, y, z);
+        }
+    }
+
+    /**
+     * options: shDegree, minSortInterval (ms), sortAngle (degrees the view
+     * direction turns before the splats are re-sorted), shTolerance (fraction of
+     * the camera's distance to the cloud it moves before SH colors are
+     * re-evaluated) and workerUrl (splat_worker.js, which gets a copy of the
+     * centers; sorting stays on the main thread without it or when it fails).
+     */
+    class GaussianSplatCloud {
+        constructor(positions, gaussian, options = {}) {
+            this.count = gaussian.count;
+            this.options = {
+                shDegree: options.shDegree !== undefined ? options.shDegree : 3,
+                minSortInterval: options.minSortInterval !== undefined ? options.minSortInterval : 50,
+                sortAngle: options.sortAngle !== undefined ? options.sortAngle : 0.5,
+                shTolerance: options.shTolerance !== undefined ? options.shTolerance : 0.02,
+                workerUrl: options.workerUrl || null
+            };
+            this.sortCosine = Math.cos(THREE.MathUtils.degToRad(this.options.sortAngle));
+
+            this.centers = new Float32Array(positions);
+            this.dc = gaussian.dc;
+            this.rest = gaussian.rest;
+            this.restPerChannel = gaussian.restCount / 3;
+            this.shDegree = Math.min(
+                this.options.shDegree,
+                GaussianSplatCloud.degreeFromRestCount(this.restPerChannel)
+            );
+
+            this.opacity = new Float32Array(this.count);
+            for (let i = 0; i < this.count; i++) {
+                this.opacity[i] = sigmoid(gaussian.opacity[i]);
+            }
+            this.covariance = GaussianSplatCloud.computeCovariances(gaussian.scale, gaussian.rotation, this.count);
+
+            this.colors = new Float32Array(this.count * 3);
+            this.center = new THREE.Box3().setFromArray(this.centers).getCenter(new THREE.Vector3());
+
+            this.lastColorPosition = new THREE.Vector3(Infinity, Infinity, Infinity);
+            this.lastCameraDirection = new THREE.Vector3();
+            this.lastSortTime = 0;
+            this.needsSort = true;
+            this.needsColors = true;
+            this.colorOverride = null;
+
+            // A worker (created on the first sort) or a main-thread SplatSorter orders the splats;
+            // sortId tells a worker result still wanted from one overtaken by a newer sort
+            this.worker = undefined;
+            this.sorter = null;
+            this.sortId = 0;
+            this.sortPending = false;
+            this.spareOrder = null;
+
+            this.mesh = this.createMesh();
+        }
+
+        static hasGaussianProperties(propertyNames) {
+            const names = new Set(propertyNames);
+            return ['f_dc_0', 'f_dc_1', 'f_dc_2', 'opacity', 'scale_0', 'scale_1', 'scale_2',
+                'rot_0', 'rot_1', 'rot_2', 'rot_3'].every(name => names.has(name));
+        }
+
+        // Pack the per-property arrays from PLYParser into interleaved splat buffers
+        static packProperties(properties, count) {
+            const restCount = Object.keys(properties).filter(name => name.startsWith('f_rest_')).length;
+            const gaussian = {
+                count,
+                dc: new Float32Array(count * 3),
+                rest: new Float32Array(count * restCount),
+                restCount,
+                opacity: new Float32Array(properties.opacity),
+                scale: new Float32Array(count * 3),
+                rotation: new Float32Array(count * 4)
+            };
+
+            const interleave = (target, components, prefix) => {
+                for (let c = 0; c < components; c++) {
+                    const source = properties[prefix + c];
+                    for (let i = 0; i < count; i++) {
+                        target[i * components + c] = source[i];
+                    }
+                }
+            };
+
+            interleave(gaussian.dc, 3, 'f_dc_');
+            interleave(gaussian.rest, restCount, 'f_rest_');
+            interleave(gaussian.scale, 3, 'scale_');
+            interleave(gaussian.rotation, 4, 'rot_');
+            return gaussian;
+        }
+
+        // The f_rest_* arrays again, for saving; the viewer drops them once packed
+        static unpackRest(gaussian) {
+            const properties = {};
+            for (let c = 0; c < gaussian.restCount; c++) {
+                const values = new Float32Array(gaussian.count);
+                for (let i = 0; i < gaussian.count; i++) {
+                    values[i] = gaussian.rest[i * gaussian.restCount + c];
+                }
+                properties[`f_rest_${c}`] = values;
+            }
+            return properties;
+        }
+
+        static degreeFromRestCount(restPerChannel) {
+            if (restPerChannel >= 15) return 3;
+            if (restPerChannel >= 8) return 2;
+            if (restPerChannel >= 3) return 1;
+            return 0;
+        }
+
+        // Sigma = R S S^T R^T stored as its upper triangle (xx, xy, xz, yy, yz, zz)
+        static computeCovariances(scale, rotation, count) {
+            const covariance = new Float32Array(count * 6);
+
+            for (let i = 0; i < count; i++) {
+                const sx = Math.exp(scale[i * 3]);
+                const sy = Math.exp(scale[i * 3 + 1]);
+                const sz = Math.exp(scale[i * 3 + 2]);
+
+                // PLY stores the quaternion as (w, x, y, z)
+                let w = rotation[i * 4];
+                let x = rotation[i * 4 + 1];
+                let y = rotation[i * 4 + 2];
+                let z = rotation[i * 4 + 3];
+                const norm = Math.hypot(w, x, y, z) || 1;
+                w /= norm; x /= norm; y /= norm; z /= norm;
+
+                const r00 = 1 - 2 * (y * y + z * z);
+                const r01 = 2 * (x * y - w * z);
+                const r02 = 2 * (x * z + w * y);
+                const r10 = 2 * (x * y + w * z);
+                const r11 = 1 - 2 * (x * x + z * z);
+                const r12 = 2 * (y * z - w * x);
+                const r20 = 2 * (x * z - w * y);
+                const r21 = 2 * (y * z + w * x);
+                const r22 = 1 - 2 * (x * x + y * y);
+
+                // M = R * S
+                const m00 = r00 * sx, m01 = r01 * sy, m02 = r02 * sz;
+                const m10 = r10 * sx, m11 = r11 * sy, m12 = r12 * sz;
+                const m20 = r20 * sx, m21 = r21 * sy, m22 = r22 * sz;
+
+                const offset = i * 6;
+                covariance[offset] = m00 * m00 + m01 * m01 + m02 * m02;
+                covariance[offset + 1] = m00 * m10 + m01 * m11 + m02 * m12;
+                covariance[offset + 2] = m00 * m20 + m01 * m21 + m02 * m22;
+                covariance[offset + 3] = m10 * m10 + m11 * m11 + m12 * m12;
+                covariance[offset + 4] = m10 * m20 + m11 * m21 + m12 * m22;
+                covariance[offset + 5] = m20 * m20 + m21 * m21 + m22 * m22;
+            }
+
+            return covariance;
+        }
+
+        createMesh() {
+            const geometry = new GaussianSplatGeometry(this);
+            geometry.userData.centers = this.centers;
+
+            geometry.setAttribute('corner', new THREE.Float32BufferAttribute([-2, -2, 2, -2, 2, 2, -2, 2], 2));
+            geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+            this.positionAttribute = new THREE.InstancedBufferAttribute(new Float32Array(this.centers), 3);
+            this.colorAttribute = new THREE.InstancedBufferAttribute(new Float32Array(this.count * 4), 4);
+            this.covAAttribute = new THREE.InstancedBufferAttribute(new Float32Array(this.count * 3), 3);
+            this.covBAttribute = new THREE.InstancedBufferAttribute(new Float32Array(this.count * 3), 3);
+
+            [this.positionAttribute, this.colorAttribute, this.covAAttribute, this.covBAttribute]
+                .forEach(attribute => attribute.setUsage(THREE.DynamicDrawUsage));
+
+            geometry.setAttribute('position', this.positionAttribute);
+            geometry.setAttribute('splatColor', this.colorAttribute);
+            geometry.setAttribute('covA', this.covAAttribute);
+            geometry.setAttribute('covB', this.covBAttribute);
+            geometry.instanceCount = this.count;
+
+            this.material = new THREE.ShaderMaterial({
+                uniforms: {
+                    viewport: { value: new THREE.Vector2(1, 1) }
+                },
+                vertexShader,
+                fragmentShader,
+                transparent: true,
+                depthWrite: false,
+                depthTest: true,
+                blending: THREE.NormalBlending,
+                clipping: true
+            });
+
+            const mesh = new THREE.Mesh(geometry, this.material);
+            mesh.frustumCulled = false;
+            return mesh;
+        }
+
+        /**
+         * Re-sort for the camera once its view has turned past sortAngle. With
+         * immediate, the splats are sorted on this thread before returning, as
+         * exports need; otherwise a worker may answer a few frames later.
+         */
+        update(camera, renderer, immediate = false) {
+            const viewport = this.material.uniforms.viewport.value;
+            renderer.getDrawingBufferSize(viewport);
+
+            // One worker sort at a time; the splats keep the last order until it answers
+            if (this.sortPending && !immediate) {
+                return;
+            }
+
+            this.mesh.updateMatrixWorld();
+            camera.updateMatrixWorld();
+
+            const cameraPosition = this.mesh.worldToLocal(camera.getWorldPosition(new THREE.Vector3()));
+            const cameraDirection = camera.getWorldDirection(new THREE.Vector3());
+            const inverseRotation = new THREE.Matrix4().extractRotation(this.mesh.matrixWorld).invert();
+            cameraDirection.applyMatrix4(inverseRotation).normalize();
+
+            // The order only depends on the view direction; SH colors also follow the camera position
+            const turned = cameraDirection.dot(this.lastCameraDirection) < this.sortCosine;
+            const refreshColors = this.needsColors || (this.shDegree > 0 && !this.colorOverride &&
+                cameraPosition.distanceTo(this.lastColorPosition) >
+                this.options.shTolerance * cameraPosition.distanceTo(this.center));
+
+            if (!immediate) {
+                if (!turned && !refreshColors && !this.needsSort) {
+                    return;
+                }
+                const now = performance.now();
+                if (!this.needsSort && now - this.lastSortTime < this.options.minSortInterval) {
+                    return;
+                }
+                this.lastSortTime = now;
+            }
+
+            if (refreshColors) {
+                this.evaluateColors(cameraPosition);
+                this.lastColorPosition.copy(cameraPosition);
+                this.needsColors = false;
+            }
+            this.lastCameraDirection.copy(cameraDirection);
+            this.needsSort = false;
+
+            const direction = cameraDirection.toArray();
+            const worker = immediate ? null : this.getWorker();
+            this.sortId++;
+            if (!worker) {
+                if (!this.sorter) {
+                    this.sorter = new SplatSorter(this.centers);
+                }
+                this.writeSortedAttributes(this.sorter.sort(direction));
+                return;
+            }
+
+            const order = this.spareOrder;
+            this.spareOrder = null;
+            this.sortPending = true;
+            worker.postMessage({ type: 'sort', id: this.sortId, direction, order }, order ? [order.buffer] : []);
+        }
+
+        // Start the sort worker once, handing it a copy of the centers
+        getWorker() {
+            if (this.worker !== undefined) {
+                return this.worker;
+            }
+            this.worker = null;
+            if (!this.options.workerUrl || typeof Worker === 'undefined') {
+                return null;
+            }
+
+            let worker;
+            try {
+                worker = new Worker(this.options.workerUrl);
+            } catch (error) {
+                console.warn('Splat sort worker unavailable, sorting on the main thread:', error);
+                return null;
+            }
+
+            worker.addEventListener('message', (event) => {
+                const message = event.data;
+                if (message.type === 'result') {
+                    this.sortPending = false;
+                    // An immediate sort may have overtaken this one
+                    if (message.result.id === this.sortId) {
+                        this.writeSortedAttributes(message.result.order);
+                    }
+                    this.spareOrder = message.result.order;
+                } else if (message.type === 'error') {
+                    this.stopWorker(new Error(message.message));
+                }
+            });
+            // Also fires when the script fails to load, before it ever answers
+            worker.addEventListener('error', (event) => {
+                this.stopWorker(new Error(event.message || 'Worker failed'));
+            });
+
+            const centers = this.centers.slice();
+            worker.postMessage({ type: 'init', centers }, [centers.buffer]);
+            this.worker = worker;
+            return worker;
+        }
+
+        stopWorker(error) {
+            if (!this.worker) return;
+            console.warn('Splat sort worker failed, sorting on the main thread:', error);
+            this.worker.terminate();
+            this.worker = null;
+            this.sortPending = false;
+            this.spareOrder = null;
+            this.needsSort = true;
+        }
+
+        // Copy the splats into the instance attributes in back-to-front order
+        writeSortedAttributes(order) {
+            const positions = this.positionAttribute.array;
+            const colors = this.colorAttribute.array;
+            const covA = this.covAAttribute.array;
+            const covB = this.covBAttribute.array;
+
+            for (let i = 0; i < this.count; i++) {
+                const source = order[i];
+
+                positions[i * 3] = this.centers[source * 3];
+                positions[i * 3 + 1] = this.centers[source * 3 + 1];
+                positions[i * 3 + 2] = this.centers[source * 3 + 2];
+
+                colors[i * 4] = this.colors[source * 3];
+                colors[i * 4 + 1] = this.colors[source * 3 + 1];
+                colors[i * 4 + 2] = this.colors[source * 3 + 2];
+                colors[i * 4 + 3] = this.opacity[source];
+
+                const c = source * 6;
+                covA[i * 3] = this.covariance[c];
+                covA[i * 3 + 1] = this.covariance[c + 1];
+                covA[i * 3 + 2] = this.covariance[c + 2];
+                covB[i * 3] = this.covariance[c + 3];
+                covB[i * 3 + 1] = this.covariance[c + 4];
+                covB[i * 3 + 2] = this.covariance[c + 5];
+            }
+
+            this.positionAttribute.needsUpdate = true;
+            this.colorAttribute.needsUpdate = true;
+            this.covAAttribute.needsUpdate = true;
+            this.covBAttribute.needsUpdate = true;
+        }
+
+        // Called by the geometry, which shifts the drawn positions itself
+        translate(x, y, z) {
+            const centers = this.centers;
+            for (let i = 0; i < centers.length; i += 3) {
+                centers[i] += x;
+                centers[i + 1] += y;
+                centers[i + 2] += z;
+            }
+            this.center.add(new THREE.Vector3(x, y, z));
+            if (this.worker) {
+                this.worker.postMessage({ type: 'translate', offset: [x, y, z] });
+            }
+            this.needsColors = true;
+        }
+
+        // Replace the SH colors with fixed per-splat RGB (e.g. a colormap), or null to restore them
+        setColorOverride(colors) {
+            this.colorOverride = colors;
+            this.needsSort = true;
+            this.needsColors = true;
+        }
+
+        // Per-splat colors for a camera position, cached until the camera has moved far enough
+        evaluateColors(cameraPosition) {
+            if (this.colorOverride) {
+                this.colors.set(this.colorOverride.subarray(0, this.colors.length));
+                return;
+            }
+
+            const rgb = [0, 0, 0];
+            for (let i = 0; i < this.count; i++) {
+                this.evaluateColor(i, cameraPosition, rgb);
+                this.colors[i * 3] = rgb[0];
+                this.colors[i * 3 + 1] = rgb[1];
+                this.colors[i * 3 + 2] = rgb[2];
+            }
+        }
+
+        evaluateColor(index, cameraPosition, out) {
+            const degree = this.shDegree;
+            let x = 0, y = 0, z = 0;
+
+            if (degree > 0) {
+                x = this.centers[index * 3] - cameraPosition.x;
+                y = this.centers[index * 3 + 1] - cameraPosition.y;
+                z = this.centers[index * 3 + 2] - cameraPosition.z;
+                const length = Math.hypot(x, y, z) || 1;
+                x /= length; y /= length; z /= length;
+            }
+
+            const xx = x * x, yy = y * y, zz = z * z;
+            const xy = x * y, yz = y * z, xz = x * z;
+            const stride = this.restPerChannel;
+
+            for (let c = 0; c < 3; c++) {
+                let value = SH_C0 * this.dc[index * 3 + c];
+
+                if (degree > 0) {
+                    const sh = this.rest;
+                    const base = index * stride * 3 + c * stride;
+                    value += -SH_C1 * y * sh[base] + SH_C1 * z * sh[base + 1] - SH_C1 * x * sh[base + 2];
+
+                    if (degree > 1) {
+                        value += SH_C2[0] * xy * sh[base + 3] +
+                            SH_C2[1] * yz * sh[base + 4] +
+                            SH_C2[2] * (2 * zz - xx - yy) * sh[base + 5] +
+                            SH_C2[3] * xz * sh[base + 6] +
+                            SH_C2[4] * (xx - yy) * sh[base + 7];
+
+                        if (degree > 2) {
+                            value += SH_C3[0] * y * (3 * xx - yy) * sh[base + 8] +
+                                SH_C3[1] * xy * z * sh[base + 9] +
+                                SH_C3[2] * y * (4 * zz - xx - yy) * sh[base + 10] +
+                                SH_C3[3] * z * (2 * zz - 3 * xx - 3 * yy) * sh[base + 11] +
+                                SH_C3[4] * x * (4 * zz - xx - yy) * sh[base + 12] +
+                                SH_C3[5] * z * (xx - yy) * sh[base + 13] +
+                                SH_C3[6] * x * (xx - 3 * yy) * sh[base + 14];
+                        }
+                    }
+                }
+
+                out[c] = Math.max(0, value + 0.5);
+            }
+        }
+
+        dispose() {
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            this.mesh.geometry.dispose();
+            this.material.dispose();
+        }
+    }
+
+    GaussianSplatCloud.SH_C0 = SH_C0;
+
+    if (typeof window !== 'undefined') {
+        window.GaussianSplatCloud = GaussianSplatCloud;
+    }
+})();
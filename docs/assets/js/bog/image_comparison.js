@@ -3,43 +3,492 @@
 
     const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
+    const MAX_ZOOM = 8;
+    // Loupe magnification on top of the current zoom
+    const LOUPE_ZOOM = 3;
+    // Touch drags starting this close to a divider (px) move it instead of panning
+    const DIVIDER_GRAB_DISTANCE = 24;
+
+    // Each divider sits where a·u + b·v equals its position, with u, v the pointer
+    // as fractions of the slider: vertical lines, horizontal lines, or lines across
+    // the diagonal from the top-left to the bottom-right corner
+    const ORIENTATIONS = {
+        horizontal: [1, 0],
+        vertical: [0, 1],
+        diagonal: [0.5, 0.5]
+    };
+
+    // Arrow keys move a divider the way it looks on screen
+    const KEY_STEPS = {
+        horizontal: { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 },
+        vertical: { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 },
+        diagonal: { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }
+    };
+
+    const UNIT_SQUARE = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+    // Sutherland–Hodgman step: the part of a polygon where side(u, v) >= 0
+    function clipPolygon(points, side) {
+        const result = [];
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            const s0 = side(point[0], point[1]);
+            const s1 = side(next[0], next[1]);
+            if (s0 >= 0) result.push(point);
+            if ((s0 >= 0) !== (s1 >= 0)) {
+                const t = s0 / (s0 - s1);
+                result.push([point[0] + (next[0] - point[0]) * t, point[1] + (next[1] - point[1]) * t]);
+            }
+        });
+        return result;
+    }
+
+    // The slider area where low <= a·u + b·v <= high
+    function bandPolygon([a, b], low, high) {
+        const above = clipPolygon(UNIT_SQUARE, (u, v) => a * u + b * v - low);
+        return clipPolygon(above, (u, v) => high - a * u - b * v);
+    }
+
+    // End points of the divider a·u + b·v = c inside the slider
+    function dividerSegment([a, b], c) {
+        const points = [];
+        UNIT_SQUARE.forEach((point, i) => {
+            const next = UNIT_SQUARE[(i + 1) % 4];
+            const s0 = a * point[0] + b * point[1] - c;
+            const s1 = a * next[0] + b * next[1] - c;
+            if (s0 === 0) {
+                points.push(point);
+            } else if (s0 * s1 < 0) {
+                const t = s0 / (s0 - s1);
+                points.push([point[0] + (next[0] - point[0]) * t, point[1] + (next[1] - point[1]) * t]);
+            }
+        });
+        return [points[0], points[1] || points[0]];
+    }
+
+    // Stretch a line element between two points given in px
+    function placeLine(element, from, to) {
+        element.style.left = `${(from[0] + to[0]) / 2}px`;
+        element.style.top = `${(from[1] + to[1]) / 2}px`;
+        element.style.width = `${Math.hypot(to[0] - from[0], to[1] - from[1])}px`;
+        element.style.transform = `translate(-50%, -50%) rotate(${Math.atan2(to[1] - from[1], to[0] - from[0])}rad)`;
+    }
+
+    const toClipPath = (points, unit) => (points.length < 3
+        ? 'polygon(0 0, 0 0, 0 0)'
+        : `polygon(${points.map(([x, y]) => `${x}${unit} ${y}${unit}`).join(', ')})`);
+
+    /**
+     * Zoom, pan and loupe shared by all layers of a slider. The wheel or a pinch
+     * zooms about the pointer, dragging pans while zoomed, and the loupe
+     * magnifies the area under the pointer; the dividers stay where they are on
+     * screen. Pan offsets are fractions of the slider size, so resizing keeps the view.
+     * layout gives the layers, their clip polygons, the divider segments and a
+     * point's distance in px to the nearest divider.
+     */
+    function setupComparisonZoom(slider, layout) {
+        const view = { zoom: 1, x: 0, y: 0 };
+        const pointers = new Map();
+        let gesture = null;
+        let loupe = null;
+
+        const controls = document.createElement('div');
+        controls.className = 'comparison-slider__controls';
+        controls.innerHTML = `
+            <button type="button" class="comparison-slider__control" data-action="loupe" aria-pressed="false"
+                title="Magnify the area under the pointer">Loupe</button>
+            <button type="button" class="comparison-slider__control" data-action="reset" disabled
+                title="Reset zoom (or double-click)">Reset zoom</button>
+        `;
+        slider.appendChild(controls);
+        const loupeButton = controls.querySelector('[data-action="loupe"]');
+        const resetButton = controls.querySelector('[data-action="reset"]');
+
+        // Pointer position as fractions of the slider
+        const toLocal = (event) => {
+            const rect = slider.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) / rect.width,
+                y: (event.clientY - rect.top) / rect.height
+            };
+        };
+
+        const setView = (zoom, x, y) => {
+            view.zoom = clamp(zoom, 1, MAX_ZOOM);
+            // Keep the zoomed images covering the whole slider
+            view.x = clamp(x, 1 - view.zoom, 0);
+            view.y = clamp(y, 1 - view.zoom, 0);
+            slider.style.setProperty('--zoom', view.zoom);
+            slider.style.setProperty('--pan-x', view.x);
+            slider.style.setProperty('--pan-y', view.y);
+            slider.classList.toggle('comparison-slider--zoomed', view.zoom > 1);
+            resetButton.disabled = view.zoom === 1;
+            updateLoupe();
+        };
+
+        // Zoom to `zoom` keeping the content under `point` in place
+        const zoomAt = (point, zoom, from = view) => {
+            const newZoom = clamp(zoom, 1, MAX_ZOOM);
+            const contentX = (point.x - from.x) / from.zoom;
+            const contentY = (point.y - from.y) / from.zoom;
+            setView(newZoom, point.x - contentX * newZoom, point.y - contentY * newZoom);
+        };
+
+        const createLoupe = () => {
+            const element = document.createElement('div');
+            element.className = 'comparison-slider__loupe';
+            element.setAttribute('aria-hidden', 'true');
+            const layers = layout.layers.map(image => {
+                const layer = image.cloneNode(true);
+                layer.className = 'comparison-slider__loupe-layer';
+                layer.removeAttribute('style');
+                layer.querySelectorAll('img').forEach(img => {
+                    img.removeAttribute('loading');
+                    img.alt = '';
+                });
+                element.appendChild(layer);
+                return layer;
+            });
+            const lines = layout.segments().map(() => {
+                const line = document.createElement('span');
+                line.className = 'comparison-slider__loupe-line';
+                element.appendChild(line);
+                return line;
+            });
+            slider.appendChild(element);
+            return { element, layers, lines, point: null };
+        };
+
+        function updateLoupe() {
+            if (!loupe || !loupe.point) return;
+            const { element, layers, lines, point } = loupe;
+            const width = slider.clientWidth;
+            const height = slider.clientHeight;
+            const radius = element.offsetWidth / 2;
+            const scale = view.zoom * LOUPE_ZOOM;
+            // Slider fractions → the layers' own (unzoomed) pixels → loupe pixels
+            const toContent = ([u, v]) => [(u - view.x) / view.zoom * width, (v - view.y) / view.zoom * height];
+            const center = toContent([point.x, point.y]);
+            const toLoupe = (uv) => {
+                const [x, y] = toContent(uv);
+                return [radius + (x - center[0]) * scale, radius + (y - center[1]) * scale];
+            };
+
+            element.style.left = `${point.x * width - radius}px`;
+            element.style.top = `${point.y * height - radius}px`;
+            const polygons = layout.polygons();
+            layers.forEach((layer, i) => {
+                layer.style.width = `${width}px`;
+                layer.style.height = `${height}px`;
+                layer.style.transform = `translate(${radius - center[0] * scale}px, ${radius - center[1] * scale}px) scale(${scale})`;
+                layer.style.clipPath = toClipPath(polygons[i].map(toContent), 'px');
+            });
+            layout.segments().forEach(([from, to], i) => placeLine(lines[i], toLoupe(from), toLoupe(to)));
+        }
+
+        const showLoupe = (event) => {
+            if (!loupe) return;
+            loupe.point = toLocal(event);
+            loupe.element.style.display = '';
+            updateLoupe();
+        };
+
+        const hideLoupe = () => {
+            if (!loupe) return;
+            loupe.point = null;
+            loupe.element.style.display = 'none';
+        };
+
+        const pinchState = () => {
+            const [a, b] = [...pointers.values()];
+            return {
+                distance: Math.hypot(a.x - b.x, (a.y - b.y) * slider.clientHeight / slider.clientWidth),
+                center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+            };
+        };
+
+        const handleMove = (event) => {
+            if (!pointers.has(event.pointerId)) return;
+            const point = toLocal(event);
+            pointers.set(event.pointerId, point);
+
+            if (gesture && gesture.type === 'pinch' && pointers.size === 2) {
+                const { distance, center } = pinchState();
+                // Zoom about where the pinch started, then follow its center
+                zoomAt(gesture.center, gesture.view.zoom * distance / gesture.distance, gesture.view);
+                setView(view.zoom, view.x + center.x - gesture.center.x, view.y + center.y - gesture.center.y);
+            } else if (gesture && gesture.type === 'pan') {
+                setView(view.zoom, gesture.view.x + point.x - gesture.start.x, gesture.view.y + point.y - gesture.start.y);
+            }
+        };
+
+        const handleUp = (event) => {
+            pointers.delete(event.pointerId);
+            // The finger left after a pinch does nothing until it is lifted too
+            if (pointers.size === 0) {
+                gesture = null;
+                slider.classList.remove('comparison-slider--panning');
+                window.removeEventListener('pointermove', handleMove);
+                window.removeEventListener('pointerup', handleUp);
+                window.removeEventListener('pointercancel', handleUp);
+            }
+        };
+
+        /**
+         * Called for every pointerdown on the slider; returns true when the
+         * pointer pans or pinches, so no divider should follow it.
+         */
+        const startGesture = (event) => {
+            if (pointers.size === 0) {
+                window.addEventListener('pointermove', handleMove);
+                window.addEventListener('pointerup', handleUp);
+                window.addEventListener('pointercancel', handleUp);
+            }
+            const point = toLocal(event);
+            pointers.set(event.pointerId, point);
+
+            if (pointers.size >= 2) {
+                if (pointers.size === 2) {
+                    gesture = { type: 'pinch', view: { ...view }, ...pinchState() };
+                }
+                return true;
+            }
+            if (view.zoom === 1) return false;
+            if (event.pointerType !== 'mouse' && layout.dividerDistance(point) <= DIVIDER_GRAB_DISTANCE) return false;
+
+            gesture = { type: 'pan', start: point, view: { ...view } };
+            slider.classList.add('comparison-slider--panning');
+            return true;
+        };
+
+        const reset = () => setView(1, 0, 0);
+
+        slider.addEventListener('wheel', (event) => {
+            const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+            const factor = Math.exp(-delta * 0.002);
+            // Fully zoomed out, scrolling down scrolls the page as usual
+            if (factor < 1 && view.zoom === 1) return;
+            event.preventDefault();
+            zoomAt(toLocal(event), view.zoom * factor);
+        }, { passive: false });
+
+        slider.addEventListener('dblclick', reset);
+        slider.addEventListener('pointermove', showLoupe);
+        slider.addEventListener('pointerleave', hideLoupe);
+
+        // Clicks on the buttons must not move a divider
+        controls.addEventListener('pointerdown', (event) => event.stopPropagation());
+        controls.addEventListener('dblclick', (event) => event.stopPropagation());
+        resetButton.addEventListener('click', reset);
+        loupeButton.addEventListener('click', () => {
+            const enabled = !loupe;
+            if (enabled) {
+                loupe = createLoupe();
+                loupe.element.style.display = 'none';
+            } else {
+                loupe.element.remove();
+                loupe = null;
+            }
+            loupeButton.setAttribute('aria-pressed', String(enabled));
+        });
+
+        return {
+            startGesture,
+            // True while a pan or pinch owns the pointers
+            isActive: () => gesture !== null,
+            update: updateLoupe,
+            reset
+        };
+    }
+
+    /**
+     * Comparison of N stacked `.comparison-slider__image` layers with N - 1
+     * dividers, first layer first (a `--before` layer always leads). Per
+     * layer, data-label names it; on the slider, data-orientation is
+     * 'horizontal' (default), 'vertical' or 'diagonal', and data-positions
+     * lists the starting divider positions in percent. Each divider is a
+     * focusable ARIA slider: arrow keys move it (Shift for 10 steps), Page
+     * Up/Down by 10 and Home/End to its neighbours.
+     */
     function setupComparisonSlider(slider) {
-        const input = slider.querySelector('.comparison-slider__input');
-        if (!input) {
+        const layers = [...slider.querySelectorAll('.comparison-slider__image')]
+            .sort((a, b) => Number(b.classList.contains('comparison-slider__image--before')) -
+                Number(a.classList.contains('comparison-slider__image--before')));
+        if (layers.length < 2) {
             return;
         }
 
-        let isDragging = false;
+        const orientation = ORIENTATIONS[slider.dataset.orientation] ? slider.dataset.orientation : 'horizontal';
+        const weights = ORIENTATIONS[orientation];
+        slider.classList.add(`comparison-slider--${orientation}`);
+
+        // Older markup drives a single divider with a hidden range input and a static handle
+        const input = slider.querySelector('.comparison-slider__input');
+        const legacyHandle = slider.querySelector('.comparison-slider__handle');
+        const configured = (slider.dataset.positions || (input ? input.value : '')).split(',').map(parseFloat);
+        if (input) input.remove();
+        if (legacyHandle) legacyHandle.remove();
+
+        const positions = layers.slice(1).map((layer, i) =>
+            (Number.isFinite(configured[i]) ? configured[i] : (i + 1) * 100 / layers.length));
+        positions.sort((a, b) => a - b);
+
+        const names = layers.map((layer, i) => {
+            const legacyLabel = slider.querySelector(i === 0 ? '.comparison-slider__label--before' : '.comparison-slider__label--after');
+            const img = layer.querySelector('img');
+            return layer.dataset.label ||
+                (layers.length === 2 && legacyLabel ? legacyLabel.textContent.trim() : '') ||
+                (img && img.alt) || `Layer ${i + 1}`;
+        });
+
+        const labels = layers.map((layer, i) => {
+            if (!layer.dataset.label) return null;
+            const label = document.createElement('span');
+            label.className = 'comparison-slider__label comparison-slider__label--layer';
+            label.textContent = names[i];
+            slider.appendChild(label);
+            return label;
+        });
+
+        const dividers = positions.map((position, i) => {
+            const line = document.createElement('span');
+            line.className = 'comparison-slider__line';
+            const handle = document.createElement('div');
+            handle.className = 'comparison-slider__divider';
+            handle.tabIndex = 0;
+            handle.setAttribute('role', 'slider');
+            handle.setAttribute('aria-orientation', orientation === 'vertical' ? 'vertical' : 'horizontal');
+            handle.setAttribute('aria-label', (i === 0 && input && input.getAttribute('aria-label')) ||
+                `Divider between ${names[i]} and ${names[i + 1]}`);
+            handle.innerHTML = `
+                <span class="comparison-slider__handle-dot">
+                    <span class="comparison-slider__chevron comparison-slider__chevron--left"></span>
+                    <span class="comparison-slider__chevron comparison-slider__chevron--right"></span>
+                </span>
+            `;
+            slider.appendChild(line);
+            slider.appendChild(handle);
+            return { line, handle };
+        });
 
+        // A divider can move up to its neighbours
+        const bounds = (index) => [
+            index > 0 ? positions[index - 1] : 0,
+            index < positions.length - 1 ? positions[index + 1] : 100
+        ];
+
+        const segments = () => positions.map(position => dividerSegment(weights, position / 100));
+        const polygons = () => layers.map((layer, i) => bandPolygon(
+            weights,
+            i > 0 ? positions[i - 1] / 100 : -1,
+            i < positions.length ? positions[i] / 100 : 2
+        ));
+        const project = (point) => (weights[0] * point.x + weights[1] * point.y) * 100;
+        const distanceTo = (point, index) => {
+            const width = slider.clientWidth;
+            const height = slider.clientHeight;
+            // Distance from the line a·x/width + b·y/height = c, in px
+            const offset = weights[0] * point.x + weights[1] * point.y - positions[index] / 100;
+            return Math.abs(offset) / Math.hypot(weights[0] / width, weights[1] / height);
+        };
+        // Of dividers stacked on one spot, take the one that can move towards the pointer
+        const nearestDivider = (point) => positions.reduce((best, position, i) => {
+            const distance = distanceTo(point, i);
+            const bestDistance = distanceTo(point, best);
+            return distance < bestDistance || (distance === bestDistance && project(point) > position) ? i : best;
+        }, 0);
+
+        let isDragging = false;
         const activate = () => slider.classList.add('comparison-slider--active');
         const deactivate = () => slider.classList.remove('comparison-slider--active');
 
-        const updatePosition = (value) => {
-            const numericValue = typeof value === 'number' ? value : parseFloat(value);
-            slider.style.setProperty('--position', numericValue);
-        };
+        const zoom = setupComparisonZoom(slider, {
+            layers,
+            segments,
+            polygons,
+            dividerDistance: (point) => distanceTo(point, nearestDivider(point))
+        });
 
-        const updateFromPointer = (clientX) => {
-            const rect = slider.getBoundingClientRect();
-            const raw = ((clientX - rect.left) / rect.width) * 100;
-            const clamped = clamp(raw, 0, 100);
-            input.value = clamped;
-            updatePosition(clamped);
+        const render = () => {
+            const width = slider.clientWidth;
+            const height = slider.clientHeight;
+            const toPixels = ([u, v]) => [u * width, v * height];
+            const regions = polygons();
+
+            layers.forEach((layer, i) => {
+                layer.style.clipPath = toClipPath(regions[i].map(([u, v]) => [u * 100, v * 100]), '%');
+            });
+
+            segments().forEach(([from, to], i) => {
+                const { line, handle } = dividers[i];
+                placeLine(line, toPixels(from), toPixels(to));
+
+                // The handle sits near the top (left) edge, or halfway along a diagonal divider
+                let anchor = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+                if (orientation === 'horizontal') anchor = [from[0], 0.15];
+                else if (orientation === 'vertical') anchor = [0.1, from[1]];
+                const [x, y] = toPixels(anchor);
+                const angle = Math.atan2((to[1] - from[1]) * height, (to[0] - from[0]) * width) - Math.PI / 2;
+                handle.style.left = `${x}px`;
+                handle.style.top = `${y}px`;
+                handle.style.transform = `translate(-50%, -50%) rotate(${angle}rad)`;
+
+                const [low, high] = bounds(i);
+                const value = Math.round(positions[i]);
+                handle.setAttribute('aria-valuemin', Math.round(low));
+                handle.setAttribute('aria-valuemax', Math.round(high));
+                handle.setAttribute('aria-valuenow', value);
+                handle.setAttribute('aria-valuetext', `${value}%, ${names[i]} | ${names[i + 1]}`);
+            });
+
+            labels.forEach((label, i) => {
+                if (!label) return;
+                const region = regions[i];
+                const center = region.reduce((sum, [u, v]) => [sum[0] + u / region.length, sum[1] + v / region.length], [0, 0]);
+                if (orientation === 'horizontal') center[1] = 0.9;
+                else if (orientation === 'vertical') center[0] = 0.5;
+                // Labels of narrow layers would cover their neighbours
+                const extent = i < positions.length ? positions[i] - (i > 0 ? positions[i - 1] : 0) : 100 - positions[i - 1];
+                label.hidden = region.length < 3 || extent < 8;
+                label.style.left = `${center[0] * 100}%`;
+                label.style.top = `${center[1] * 100}%`;
+            });
+
+            zoom.update();
         };
 
-        updatePosition(input.value || 50);
+        const setPosition = (index, value) => {
+            const [low, high] = bounds(index);
+            positions[index] = clamp(value, low, high);
+            render();
+        };
 
-        input.addEventListener('input', (event) => {
-            updatePosition(event.target.value);
-        });
+        let dragged = 0;
+        const updateFromPointer = (event) => {
+            const rect = slider.getBoundingClientRect();
+            const point = { x: (event.clientX - rect.left) / rect.width, y: (event.clientY - rect.top) / rect.height };
+            setPosition(dragged, project(point));
+        };
 
         slider.addEventListener('pointerdown', (event) => {
+            if (zoom.startGesture(event)) {
+                return;
+            }
+
+            const rect = slider.getBoundingClientRect();
+            dragged = nearestDivider({ x: (event.clientX - rect.left) / rect.width, y: (event.clientY - rect.top) / rect.height });
             isDragging = true;
             activate();
-            updateFromPointer(event.clientX);
+            updateFromPointer(event);
+            // Arrow keys carry on from the divider that was dragged
+            dividers[dragged].handle.focus({ preventScroll: true });
+            event.preventDefault();
 
             const handleMove = (moveEvent) => {
-                updateFromPointer(moveEvent.clientX);
+                // A second finger turns the drag into a pinch
+                if (!zoom.isActive()) {
+                    updateFromPointer(moveEvent);
+                }
             };
 
             const stopTracking = () => {
@@ -53,10 +502,12 @@
             window.addEventListener('pointerup', stopTracking, { once: true });
         });
 
+        // With a single divider, hovering moves it
         slider.addEventListener('pointermove', (event) => {
-            if (!isDragging && event.pointerType === 'mouse' && event.buttons === 0) {
+            if (positions.length === 1 && !isDragging && event.pointerType === 'mouse' && event.buttons === 0) {
                 activate();
-                updateFromPointer(event.clientX);
+                dragged = 0;
+                updateFromPointer(event);
             }
         });
 
@@ -71,6 +522,27 @@
                 deactivate();
             }
         });
+
+        dividers.forEach(({ handle }, index) => {
+            handle.addEventListener('keydown', (event) => {
+                const [low, high] = bounds(index);
+                const arrow = KEY_STEPS[orientation][event.key];
+                let value = positions[index];
+                if (arrow) value += arrow * (event.shiftKey ? 10 : 1);
+                else if (event.key === 'PageUp') value += 10;
+                else if (event.key === 'PageDown') value -= 10;
+                else if (event.key === 'Home') value = low;
+                else if (event.key === 'End') value = high;
+                else return;
+                event.preventDefault();
+                setPosition(index, value);
+            });
+        });
+
+        render();
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(render).observe(slider);
+        }
     }
 
     document.addEventListener('DOMContentLoaded', () => {
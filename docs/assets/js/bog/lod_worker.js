@@ -0,0 +1,22 @@
+/**
+ * Web Worker that builds simplified levels of detail with MeshSimplify
+ * Posts progress messages and returns the levels' typed arrays as transferables
+ */
+
+importScripts('mesh_simplify.js');
+
+self.addEventListener('message', (event) => {
+    const { positions, indices, options } = event.data;
+
+    try {
+        const levels = MeshSimplify.buildLevels(positions, indices, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+        });
+        const transfer = [];
+        levels.forEach(level => transfer.push(level.positions.buffer, level.indices.buffer, level.sourceVertex.buffer));
+        self.postMessage({ type: 'result', result: levels }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
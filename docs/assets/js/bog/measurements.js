@@ -0,0 +1,163 @@
+/**
+ * Distance, polyline and angle measurements for PLYMeshViewer
+ * Points are kept in the PLY's own coordinates, so values are in its units
+ */
+
+(function () {
+    'use strict';
+
+    const TOOLS = {
+        distance: { minPoints: 2, maxPoints: 2 },
+        polyline: { minPoints: 2, maxPoints: Infinity },
+        angle: { minPoints: 3, maxPoints: 3 }
+    };
+
+    const FORMAT_VERSION = 1;
+
+    const distanceBetween = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+
+    function tools() {
+        return Object.keys(TOOLS);
+    }
+
+    function isComplete(type, points) {
+        return points.length >= TOOLS[type].maxPoints;
+    }
+
+    function isValid(type, points) {
+        return points.length >= TOOLS[type].minPoints;
+    }
+
+    // Length in PLY units for distance/polyline, degrees at the middle point for angle
+    function compute(type, points) {
+        if (!isValid(type, points)) return null;
+
+        if (type === 'angle') {
+            const [a, vertex, b] = points;
+            const u = [a[0] - vertex[0], a[1] - vertex[1], a[2] - vertex[2]];
+            const v = [b[0] - vertex[0], b[1] - vertex[1], b[2] - vertex[2]];
+            const lengths = Math.hypot(...u) * Math.hypot(...v);
+            if (lengths === 0) return 0;
+            const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / lengths;
+            return Math.acos(Math.min(Math.max(cos, -1), 1)) * 180 / Math.PI;
+        }
+
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += distanceBetween(points[i - 1], points[i]);
+        }
+        return length;
+    }
+
+    function format(type, points, units = 'm') {
+        const value = compute(type, points);
+        if (value === null) return '';
+        if (type === 'angle') return `${value.toFixed(1)}°`;
+        return `${value.toFixed(value < 10 ? 3 : 2)} ${units}`;
+    }
+
+    function formatPoint(point, units = 'm') {
+        return `${point.map(value => value.toFixed(3)).join(', ')} ${units}`;
+    }
+
+    // Where the label sits: segment midpoint, polyline end or the angle's vertex
+    function labelAnchor(type, points) {
+        if (points.length === 0) return null;
+        if (type === 'angle' && points.length >= 2) return points[1];
+        if (type === 'distance' && points.length === 2) {
+            const [a, b] = points;
+            return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2, (a[2] + b[2]) / 2];
+        }
+        return points[points.length - 1];
+    }
+
+    // Markers and lines are drawn on top of the surface with a fixed pixel size
+    function createObject(points, options = {}) {
+        const group = new THREE.Group();
+        const color = new THREE.Color(options.color !== undefined ? options.color : 0xffd166);
+        const positions = new Float32Array(points.length * 3);
+        points.forEach((point, i) => positions.set(point, i * 3));
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const markers = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color,
+            size: 7,
+            sizeAttenuation: false,
+            depthTest: false
+        }));
+        markers.renderOrder = 10;
+        group.add(markers);
+
+        if (points.length > 1) {
+            const line = new THREE.Line(geometry.clone(), new THREE.LineBasicMaterial({
+                color,
+                depthTest: false
+            }));
+            line.renderOrder = 10;
+            group.add(line);
+        }
+
+        return group;
+    }
+
+    function disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    function toJSON(measurements, units = 'm') {
+        return {
+            version: FORMAT_VERSION,
+            units,
+            measurements: measurements.map(measurement => ({
+                type: measurement.type,
+                points: measurement.points.map(point => [...point]),
+                value: compute(measurement.type, measurement.points)
+            }))
+        };
+    }
+
+    function fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const list = Array.isArray(data) ? data : data.measurements;
+        if (!Array.isArray(list)) {
+            throw new Error('Measurement JSON must contain a "measurements" array');
+        }
+
+        return list.map(measurement => {
+            if (!TOOLS[measurement.type]) {
+                throw new Error(`Unknown measurement type "${measurement.type}"`);
+            }
+            const points = measurement.points;
+            if (!Array.isArray(points) || !points.every(p => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite))) {
+                throw new Error('Measurement points must be [x, y, z] arrays');
+            }
+            if (!isValid(measurement.type, points)) {
+                throw new Error(`A ${measurement.type} measurement needs at least ${TOOLS[measurement.type].minPoints} points`);
+            }
+            return { type: measurement.type, points: points.map(point => [...point]) };
+        });
+    }
+
+    const Measurements = {
+        tools,
+        isComplete,
+        isValid,
+        compute,
+        format,
+        formatPoint,
+        labelAnchor,
+        createObject,
+        disposeObject,
+        toJSON,
+        fromJSON
+    };
+
+    if (typeof window !== 'undefined') {
+        window.Measurements = Measurements;
+    }
+})();
@@ -0,0 +1,119 @@
+/**
+ * Helpers for PLYMeshViewer image and video export
+ * Blob conversion, downloads, WebM type detection and an uncompressed ZIP
+ * writer for PNG sequences
+ */
+
+(function () {
+    'use strict';
+
+    const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+    function canvasToBlob(canvas, type = 'image/png', quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error('Could not encode the canvas'));
+            }, type, quality);
+        });
+    }
+
+    function download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // First WebM type MediaRecorder can produce here, or null
+    function pickVideoType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Build a ZIP archive (stored, no compression) from [{ name, blob }].
+     * PNGs are already compressed, so deflating them again gains nothing.
+     */
+    async function createZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = new Uint8Array(await file.blob.arrayBuffer());
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+
+    const MediaExport = {
+        canvasToBlob,
+        download,
+        pickVideoType,
+        createZip
+    };
+
+    if (typeof window !== 'undefined') {
+        window.MediaExport = MediaExport;
+    }
+})();
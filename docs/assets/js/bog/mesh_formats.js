@@ -0,0 +1,774 @@
+/**
+ * Mesh file formats besides PLY for PLYMeshViewer and its loader worker
+ * Reads OBJ, STL, GLB and quantized meshes into PLYParser's result shape, picking
+ * the format by magic bytes or file extension, unpacks gzip/deflate files, and
+ * writes binary PLY, OBJ, STL, GLB and quantized meshes
+ */
+
+(function (root) {
+    'use strict';
+
+    const plyParser = root.PLYParser || (typeof require === 'function' ? require('./ply_parser.js') : null);
+    const quantizedMesh = root.QuantizedMesh || (typeof require === 'function' ? require('./quantized_mesh.js') : null);
+
+    const FORMATS = ['ply', 'obj', 'stl', 'glb', 'qmesh'];
+
+    // Suffixes of compressed files, e.g. mesh.ply.gz
+    const COMPRESSED_EXTENSION = /\.(gz|gzip|zz|deflate)$/i;
+
+    const GLB_MAGIC = 0x46546c67;
+    const GLB_CHUNK_JSON = 0x4e4f534a;
+    const GLB_CHUNK_BIN = 0x004e4942;
+
+    const GLTF_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+    const GLTF_COMPONENT_TYPES = {
+        5120: { array: Int8Array, max: 127 },
+        5121: { array: Uint8Array, max: 255 },
+        5122: { array: Int16Array, max: 32767 },
+        5123: { array: Uint16Array, max: 65535 },
+        5125: { array: Uint32Array, max: 4294967295 },
+        5126: { array: Float32Array, max: 1 }
+    };
+
+    // Vertices parsed between two progress callbacks
+    const PROGRESS_INTERVAL = 65536;
+
+    const asBytes = (data) => (data instanceof Uint8Array ? data : new Uint8Array(data));
+
+    function startsWith(bytes, text, offset = 0) {
+        if (bytes.length < offset + text.length) return false;
+        for (let i = 0; i < text.length; i++) {
+            if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    function extensionOf(name) {
+        const match = /\.([a-z0-9]+)$/i.exec((name || '').split(/[?#]/)[0].replace(COMPRESSED_EXTENSION, ''));
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    function isBinarySTL(bytes) {
+        if (bytes.length < 84) return false;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return 84 + view.getUint32(80, true) * 50 === bytes.length;
+    }
+
+    /**
+     * Format of a file from its first bytes, falling back to the extension of
+     * `name` (a file name or URL). Returns one of FORMATS or null.
+     * Magic bytes win, since binary STLs may start with "solid" and files are
+     * sometimes misnamed; OBJ has no magic and is recognized by its statements.
+     */
+    function detectFormat(data, name) {
+        const bytes = asBytes(data);
+        if (startsWith(bytes, 'ply') && (bytes[3] === 0x0a || bytes[3] === 0x0d)) return 'ply';
+        if (startsWith(bytes, 'glTF')) return 'glb';
+        if (quantizedMesh.isQuantizedMesh(bytes)) return 'qmesh';
+        if (isBinarySTL(bytes)) return 'stl';
+
+        const head = new TextDecoder('ascii').decode(bytes.subarray(0, 4096));
+        if (/^\s*solid\b/.test(head) && /\bfacet\b|\bendsolid\b/.test(head)) return 'stl';
+
+        const extension = extensionOf(name);
+        if (FORMATS.includes(extension)) return extension;
+
+        if (/^(v|vn|vt|f|o|g|mtllib|usemtl)\s/m.test(head) && !/[\0-\x08\x0e-\x1f]/.test(head)) return 'obj';
+        return null;
+    }
+
+    /**
+     * 'gzip' or 'deflate' (zlib-wrapped) when the bytes are compressed, else
+     * null. Raw deflate streams carry no header and are not recognized.
+     */
+    function detectCompression(data) {
+        const bytes = asBytes(data);
+        if (bytes.length < 2) return null;
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+        // zlib: deflate method, and a header checksum that is a multiple of 31
+        if ((bytes[0] & 0x0f) === 8 && (bytes[0] >> 4) <= 7 && ((bytes[0] << 8) | bytes[1]) % 31 === 0 && !isBinarySTL(bytes)) {
+            return 'deflate';
+        }
+        return null;
+    }
+
+    // Unpack gzip or deflate bytes with DecompressionStream
+    async function decompress(data, compression) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error(`This browser cannot unpack ${compression} files`);
+        }
+        const stream = new Blob([asBytes(data)]).stream().pipeThrough(new DecompressionStream(compression));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function reportProgress(onProgress, vertices, totalVertices) {
+        if (onProgress && (vertices % PROGRESS_INTERVAL === 0 || vertices === totalVertices)) {
+            onProgress({ vertices, totalVertices });
+        }
+    }
+
+    // Float32 buffer that grows while the final size is unknown
+    class FloatBuffer {
+        constructor(capacity = 3 * 4096) {
+            this.array = new Float32Array(capacity);
+            this.length = 0;
+        }
+
+        push3(a, b, c) {
+            if (this.length + 3 > this.array.length) {
+                const grown = new Float32Array(this.array.length * 2);
+                grown.set(this.array);
+                this.array = grown;
+            }
+            this.array[this.length++] = a;
+            this.array[this.length++] = b;
+            this.array[this.length++] = c;
+        }
+
+        toArray() {
+            return this.array.slice(0, this.length);
+        }
+    }
+
+    class IndexBuffer {
+        constructor(capacity = 3 * 4096) {
+            this.array = new Uint32Array(capacity);
+            this.length = 0;
+        }
+
+        push3(a, b, c) {
+            if (this.length + 3 > this.array.length) {
+                const grown = new Uint32Array(this.array.length * 2);
+                grown.set(this.array);
+                this.array = grown;
+            }
+            this.array[this.length++] = a;
+            this.array[this.length++] = b;
+            this.array[this.length++] = c;
+        }
+
+        toArray() {
+            return this.array.slice(0, this.length);
+        }
+    }
+
+    function createResult(format, positions, colors, indices, comments = [], polygonCount = indices.length / 3) {
+        return {
+            header: { format, version: null, littleEndian: true, comments, elements: [], headerLength: 0 },
+            vertexCount: positions.length / 3,
+            faceCount: indices.length / 3,
+            polygonCount,
+            positions,
+            colors,
+            indices,
+            properties: {}
+        };
+    }
+
+    /**
+     * Wavefront OBJ: v lines (with the common "v x y z r g b" color extension)
+     * and f lines of any size, fan-triangulated. Texture coordinates, normals,
+     * groups and materials are ignored.
+     */
+    function parseOBJ(data, options = {}) {
+        const text = new TextDecoder().decode(asBytes(data));
+        const positions = new FloatBuffer();
+        const colors = new FloatBuffer();
+        const indices = new IndexBuffer();
+        let hasColors = false;
+        let polygonCount = 0;
+        const polygon = [];
+
+        const lines = text.split('\n');
+        for (let l = 0; l < lines.length; l++) {
+            const line = lines[l].trim();
+            if (line.length === 0 || line[0] === '#') continue;
+
+            const tokens = line.split(/\s+/);
+            if (tokens[0] === 'v') {
+                positions.push3(Number(tokens[1]), Number(tokens[2]), Number(tokens[3]));
+                if (tokens.length >= 7) {
+                    hasColors = true;
+                    colors.push3(Number(tokens[4]), Number(tokens[5]), Number(tokens[6]));
+                } else {
+                    colors.push3(1, 1, 1);
+                }
+                reportProgress(options.onProgress, positions.length / 3, 0);
+            } else if (tokens[0] === 'f') {
+                const vertexCount = positions.length / 3;
+                polygon.length = 0;
+                for (let k = 1; k < tokens.length; k++) {
+                    // "7", "7/1", "7//3" or "7/1/3"; negative indices count back from the last vertex
+                    const index = parseInt(tokens[k], 10);
+                    const resolved = index < 0 ? vertexCount + index : index - 1;
+                    if (!Number.isInteger(resolved) || resolved < 0 || resolved >= vertexCount) {
+                        throw new Error(`Invalid OBJ face index "${tokens[k]}" on line ${l + 1}`);
+                    }
+                    polygon.push(resolved);
+                }
+                for (let k = 1; k < polygon.length - 1; k++) {
+                    indices.push3(polygon[0], polygon[k], polygon[k + 1]);
+                }
+                polygonCount++;
+            }
+        }
+
+        const positionArray = positions.toArray();
+        if (positionArray.some(Number.isNaN)) {
+            throw new Error('Invalid number in OBJ vertex data');
+        }
+        // Colors written as 0-255 instead of 0-1
+        let colorArray = hasColors ? colors.toArray() : null;
+        if (colorArray && colorArray.some(value => value > 1)) {
+            colorArray = colorArray.map(value => value / 255);
+        }
+        const result = createResult('obj', positionArray, colorArray, indices.toArray(), [], polygonCount);
+        if (options.onProgress) options.onProgress({ vertices: result.vertexCount, totalVertices: result.vertexCount });
+        return result;
+    }
+
+    // Merge vertices with bit-identical positions, since STL stores every triangle's corners separately
+    function weldTriangles(corners, onProgress) {
+        const keys = new Uint32Array(corners.buffer, corners.byteOffset, corners.length);
+        const lookup = new Map();
+        const positions = new FloatBuffer(Math.max(3, corners.length / 2));
+        const indices = new Uint32Array(corners.length / 3);
+
+        for (let i = 0; i < indices.length; i++) {
+            const key = `${keys[i * 3]},${keys[i * 3 + 1]},${keys[i * 3 + 2]}`;
+            let index = lookup.get(key);
+            if (index === undefined) {
+                index = positions.length / 3;
+                lookup.set(key, index);
+                positions.push3(corners[i * 3], corners[i * 3 + 1], corners[i * 3 + 2]);
+            }
+            indices[i] = index;
+            reportProgress(onProgress, i + 1, indices.length);
+        }
+
+        return { positions: positions.toArray(), indices };
+    }
+
+    // Binary or ASCII STL; the per-facet normals are recomputed by the viewer
+    function parseSTL(data, options = {}) {
+        const bytes = asBytes(data);
+        let corners;
+        let comments = [];
+
+        if (isBinarySTL(bytes)) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const triangles = view.getUint32(80, true);
+            corners = new Float32Array(triangles * 9);
+            for (let t = 0; t < triangles; t++) {
+                // 12-byte normal, three 12-byte corners and a 2-byte attribute per facet
+                const offset = 84 + t * 50 + 12;
+                for (let k = 0; k < 9; k++) {
+                    corners[t * 9 + k] = view.getFloat32(offset + k * 4, true);
+                }
+            }
+            const header = new TextDecoder('ascii').decode(bytes.subarray(0, 80)).replace(/\0+$/, '').trim();
+            if (header) comments = [header];
+        } else {
+            const text = new TextDecoder().decode(bytes);
+            const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+            const values = new FloatBuffer();
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                values.push3(Number(match[1]), Number(match[2]), Number(match[3]));
+            }
+            corners = values.toArray();
+            if (corners.length === 0 || corners.length % 9 !== 0 || corners.some(Number.isNaN)) {
+                throw new Error('Invalid ASCII STL: expected three vertices per facet');
+            }
+            const name = /^\s*solid[ \t]*(.*)/.exec(text);
+            if (name && name[1].trim()) comments = [name[1].trim()];
+        }
+
+        const { positions, indices } = weldTriangles(corners, options.onProgress);
+        return createResult('stl', positions, null, indices, comments);
+    }
+
+    // Column-major 4×4 product a·b
+    function multiplyMatrices(a, b) {
+        const out = new Array(16);
+        for (let column = 0; column < 4; column++) {
+            for (let row = 0; row < 4; row++) {
+                let sum = 0;
+                for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[column * 4 + k];
+                out[column * 4 + row] = sum;
+            }
+        }
+        return out;
+    }
+
+    function nodeMatrix(node) {
+        if (node.matrix) return node.matrix.slice();
+        const [tx, ty, tz] = node.translation || [0, 0, 0];
+        const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+        const [sx, sy, sz] = node.scale || [1, 1, 1];
+        return [
+            (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+            2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+            2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+            tx, ty, tz, 1
+        ];
+    }
+
+    // Accessor values as a flat array, normalized integers mapped to [0, 1] (or [-1, 1])
+    function readAccessor(gltf, binary, index) {
+        const accessor = gltf.accessors[index];
+        if (accessor.sparse) {
+            throw new Error('Sparse glTF accessors are not supported');
+        }
+        const components = GLTF_COMPONENTS[accessor.type];
+        const type = GLTF_COMPONENT_TYPES[accessor.componentType];
+        if (!components || !type) {
+            throw new Error(`Unsupported glTF accessor type ${accessor.type}/${accessor.componentType}`);
+        }
+
+        const count = accessor.count * components;
+        const normalize = accessor.normalized && type.array !== Float32Array;
+        const out = type.array === Uint32Array || (!normalize && type.array !== Float32Array)
+            ? new Uint32Array(count)
+            : new Float32Array(count);
+        if (accessor.bufferView === undefined) return out;
+
+        const bufferView = gltf.bufferViews[accessor.bufferView];
+        if ((bufferView.buffer || 0) !== 0 || !binary) {
+            throw new Error('GLB files with external buffers are not supported');
+        }
+        const elementSize = type.array.BYTES_PER_ELEMENT;
+        const stride = bufferView.byteStride || components * elementSize;
+        const start = binary.byteOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+        if (start + (accessor.count - 1) * stride + components * elementSize > binary.byteOffset + binary.byteLength) {
+            throw new Error('glTF accessor reaches past the end of the binary chunk');
+        }
+
+        const view = new DataView(binary.buffer);
+        const getter = `get${type.array.name.replace('Array', '')}`;
+        for (let i = 0; i < accessor.count; i++) {
+            for (let c = 0; c < components; c++) {
+                const value = view[getter](start + i * stride + c * elementSize, true);
+                out[i * components + c] = normalize ? Math.max(value / type.max, -1) : value;
+            }
+        }
+        return out;
+    }
+
+    // Triangle list of a primitive's (possibly strip or fan) vertex order, or null for points
+    function primitiveTriangles(mode, order) {
+        if (mode === 0) return null;
+        const triangles = [];
+        if (mode === 4) {
+            for (let i = 0; i + 2 < order.length; i += 3) triangles.push(order[i], order[i + 1], order[i + 2]);
+        } else if (mode === 5) {
+            for (let i = 0; i + 2 < order.length; i++) {
+                if (i % 2 === 0) triangles.push(order[i], order[i + 1], order[i + 2]);
+                else triangles.push(order[i + 1], order[i], order[i + 2]);
+            }
+        } else if (mode === 6) {
+            for (let i = 1; i + 1 < order.length; i++) triangles.push(order[0], order[i], order[i + 1]);
+        }
+        return triangles;
+    }
+
+    /**
+     * Binary glTF 2.0: every triangle and point primitive of the default scene,
+     * with node transforms applied, merged into one mesh. COLOR_0 is kept;
+     * primitives without it take their material's base color when others have one.
+     * glTF is Y-up; options.upAxis = 'z' rotates the result into a Z-up frame.
+     */
+    function parseGLB(data, options = {}) {
+        const bytes = asBytes(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+            throw new Error('Invalid GLB file: missing "glTF" magic number');
+        }
+        if (view.getUint32(4, true) !== 2) {
+            throw new Error(`Unsupported glTF version ${view.getUint32(4, true)}`);
+        }
+
+        let gltf = null;
+        let binary = null;
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset, true);
+            const type = view.getUint32(offset + 4, true);
+            const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+            if (type === GLB_CHUNK_JSON) gltf = JSON.parse(new TextDecoder().decode(chunk));
+            else if (type === GLB_CHUNK_BIN && !binary) binary = chunk;
+            offset += 8 + length;
+        }
+        if (!gltf) {
+            throw new Error('Invalid GLB file: missing JSON chunk');
+        }
+        const required = (gltf.extensionsRequired || [])[0];
+        if (required) {
+            throw new Error(`glTF extension "${required}" is not supported`);
+        }
+
+        const parts = [];
+        const addMesh = (meshIndex, matrix) => {
+            for (const primitive of gltf.meshes[meshIndex].primitives) {
+                const mode = primitive.mode !== undefined ? primitive.mode : 4;
+                if (![0, 4, 5, 6].includes(mode) || primitive.attributes.POSITION === undefined) continue;
+                const positions = readAccessor(gltf, binary, primitive.attributes.POSITION);
+                const count = positions.length / 3;
+                const order = primitive.indices !== undefined
+                    ? readAccessor(gltf, binary, primitive.indices)
+                    : Uint32Array.from({ length: count }, (_, i) => i);
+
+                let colors = null;
+                if (primitive.attributes.COLOR_0 !== undefined) {
+                    const accessor = gltf.accessors[primitive.attributes.COLOR_0];
+                    const values = readAccessor(gltf, binary, primitive.attributes.COLOR_0);
+                    const stride = GLTF_COMPONENTS[accessor.type];
+                    colors = new Float32Array(count * 3);
+                    for (let i = 0; i < count; i++) {
+                        for (let c = 0; c < 3; c++) colors[i * 3 + c] = values[i * stride + c];
+                    }
+                }
+                const material = primitive.material !== undefined && gltf.materials ? gltf.materials[primitive.material] : null;
+                const baseColor = (material && material.pbrMetallicRoughness && material.pbrMetallicRoughness.baseColorFactor) || [1, 1, 1, 1];
+
+                parts.push({ positions, colors, baseColor, matrix, triangles: primitiveTriangles(mode, order) });
+            }
+        };
+
+        const visit = (nodeIndex, parentMatrix) => {
+            const node = gltf.nodes[nodeIndex];
+            const matrix = multiplyMatrices(parentMatrix, nodeMatrix(node));
+            if (node.mesh !== undefined) addMesh(node.mesh, matrix);
+            (node.children || []).forEach(child => visit(child, matrix));
+        };
+
+        const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+        const scene = gltf.scenes && gltf.scenes[gltf.scene || 0];
+        if (scene) {
+            (scene.nodes || []).forEach(node => visit(node, identity));
+        } else {
+            (gltf.meshes || []).forEach((_, index) => addMesh(index, identity));
+        }
+        if (parts.length === 0) {
+            throw new Error('The GLB file contains no triangle or point primitives');
+        }
+
+        const vertexCount = parts.reduce((sum, part) => sum + part.positions.length / 3, 0);
+        const triangleCount = parts.reduce((sum, part) => sum + (part.triangles ? part.triangles.length : 0), 0);
+        const hasColors = parts.some(part => part.colors);
+        const positions = new Float32Array(vertexCount * 3);
+        const colors = hasColors ? new Float32Array(vertexCount * 3) : null;
+        const indices = new Uint32Array(triangleCount);
+        const zUp = options.upAxis === 'z';
+
+        let base = 0;
+        let written = 0;
+        for (const part of parts) {
+            const m = part.matrix;
+            const count = part.positions.length / 3;
+            for (let i = 0; i < count; i++) {
+                const x = part.positions[i * 3];
+                const y = part.positions[i * 3 + 1];
+                const z = part.positions[i * 3 + 2];
+                const wx = m[0] * x + m[4] * y + m[8] * z + m[12];
+                const wy = m[1] * x + m[5] * y + m[9] * z + m[13];
+                const wz = m[2] * x + m[6] * y + m[10] * z + m[14];
+                const o = (base + i) * 3;
+                positions[o] = wx;
+                positions[o + 1] = zUp ? -wz : wy;
+                positions[o + 2] = zUp ? wy : wz;
+                if (colors) {
+                    for (let c = 0; c < 3; c++) {
+                        colors[o + c] = part.colors ? part.colors[i * 3 + c] : part.baseColor[c];
+                    }
+                }
+                reportProgress(options.onProgress, base + i + 1, vertexCount);
+            }
+            if (part.triangles) {
+                for (let k = 0; k < part.triangles.length; k++) indices[written++] = base + part.triangles[k];
+            }
+            base += count;
+        }
+
+        const comments = gltf.asset && gltf.asset.generator ? [gltf.asset.generator] : [];
+        return createResult('glb', positions, colors, indices, comments);
+    }
+
+    /**
+     * Parse any supported mesh file into PLYParser's result shape
+     * { header, vertexCount, faceCount, polygonCount, positions, colors, indices, properties }.
+     * options.format forces a format; otherwise it is detected from the bytes
+     * and options.name. options.onProgress receives { vertices, totalVertices },
+     * with totalVertices 0 while it is not known yet.
+     */
+    function parse(data, options = {}) {
+        const bytes = asBytes(data);
+        const format = options.format || detectFormat(bytes, options.name);
+        switch (format) {
+            case 'ply':
+                return plyParser.parse(bytes, options);
+            case 'obj':
+                return parseOBJ(bytes, options);
+            case 'stl':
+                return parseSTL(bytes, options);
+            case 'glb':
+                return parseGLB(bytes, options);
+            case 'qmesh':
+                return quantizedMesh.decode(bytes, options);
+            default:
+                throw new Error(options.name
+                    ? `Unrecognized mesh format: ${String(options.name).split(/[?#]/)[0].split('/').pop()}`
+                    : 'Unrecognized mesh format');
+        }
+    }
+
+    const encodeText = (text) => new TextEncoder().encode(text);
+    const toByte = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255);
+
+    /**
+     * Binary little-endian PLY with float positions, uchar colors, every entry of
+     * mesh.properties as a float property and triangle faces. `mesh` is
+     * { positions, indices, colors, properties, comments } as produced by parse;
+     * colors are in [0, 1] and everything but positions is optional.
+     */
+    function writePLY(mesh) {
+        const vertexCount = mesh.positions.length / 3;
+        const faceCount = mesh.indices ? mesh.indices.length / 3 : 0;
+        const properties = Object.entries(mesh.properties || {});
+        const colors = mesh.colors;
+
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            ...(mesh.comments || []).map(comment => `comment ${comment}`),
+            `element vertex ${vertexCount}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            ...(colors ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+            ...properties.map(([name]) => `property float ${name}`),
+            ...(faceCount > 0 ? [`element face ${faceCount}`, 'property list uchar int vertex_indices'] : []),
+            'end_header',
+            ''
+        ].join('\n');
+
+        const headerBytes = encodeText(header);
+        const vertexSize = 12 + (colors ? 3 : 0) + properties.length * 4;
+        const bytes = new Uint8Array(headerBytes.length + vertexCount * vertexSize + faceCount * 13);
+        const view = new DataView(bytes.buffer);
+        bytes.set(headerBytes);
+
+        let offset = headerBytes.length;
+        for (let i = 0; i < vertexCount; i++) {
+            for (let c = 0; c < 3; c++, offset += 4) view.setFloat32(offset, mesh.positions[i * 3 + c], true);
+            if (colors) {
+                for (let c = 0; c < 3; c++) bytes[offset++] = toByte(colors[i * 3 + c]);
+            }
+            for (const [, values] of properties) {
+                view.setFloat32(offset, values[i], true);
+                offset += 4;
+            }
+        }
+        for (let f = 0; f < faceCount; f++) {
+            bytes[offset++] = 3;
+            for (let k = 0; k < 3; k++, offset += 4) view.setInt32(offset, mesh.indices[f * 3 + k], true);
+        }
+        return bytes;
+    }
+
+    // OBJ with "v x y z r g b" vertex colors, which Blender and MeshLab read
+    function writeOBJ(mesh) {
+        const lines = (mesh.comments || []).map(comment => `# ${comment}`);
+        const vertexCount = mesh.positions.length / 3;
+        const format = (value) => Number(value.toPrecision(7)).toString();
+
+        for (let i = 0; i < vertexCount; i++) {
+            let line = `v ${format(mesh.positions[i * 3])} ${format(mesh.positions[i * 3 + 1])} ${format(mesh.positions[i * 3 + 2])}`;
+            if (mesh.colors) {
+                line += ` ${format(mesh.colors[i * 3])} ${format(mesh.colors[i * 3 + 1])} ${format(mesh.colors[i * 3 + 2])}`;
+            }
+            lines.push(line);
+        }
+        const indices = mesh.indices || [];
+        for (let f = 0; f < indices.length; f += 3) {
+            lines.push(`f ${indices[f] + 1} ${indices[f + 1] + 1} ${indices[f + 2] + 1}`);
+        }
+        lines.push('');
+        return encodeText(lines.join('\n'));
+    }
+
+    // Binary STL; the format has no standard way to store colors, so they are dropped
+    function writeSTL(mesh) {
+        const indices = mesh.indices;
+        if (!indices || indices.length === 0) {
+            throw new Error('STL export needs a mesh with faces');
+        }
+
+        const positions = mesh.positions;
+        const triangles = indices.length / 3;
+        const bytes = new Uint8Array(84 + triangles * 50);
+        const view = new DataView(bytes.buffer);
+        bytes.set(encodeText(((mesh.comments || [])[0] || 'binary STL').slice(0, 80)));
+        view.setUint32(80, triangles, true);
+
+        let offset = 84;
+        for (let t = 0; t < triangles; t++) {
+            const a = indices[t * 3] * 3;
+            const b = indices[t * 3 + 1] * 3;
+            const c = indices[t * 3 + 2] * 3;
+            const e1 = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+            const e2 = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+            const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+            const length = Math.hypot(n[0], n[1], n[2]) || 1;
+
+            for (let k = 0; k < 3; k++, offset += 4) view.setFloat32(offset, n[k] / length, true);
+            for (const corner of [a, b, c]) {
+                for (let k = 0; k < 3; k++, offset += 4) view.setFloat32(offset, positions[corner + k], true);
+            }
+            offset += 2;
+        }
+        return bytes;
+    }
+
+    /**
+     * Single-primitive GLB with positions, COLOR_0 and normals when given, and
+     * 32-bit indices (a point primitive when there are no faces).
+     * options.upAxis = 'z' rotates Z-up positions into glTF's Y-up frame.
+     */
+    function writeGLB(mesh, options = {}) {
+        const vertexCount = mesh.positions.length / 3;
+        if (vertexCount === 0) {
+            throw new Error('Nothing to export');
+        }
+        const zUp = options.upAxis === 'z';
+        const toGLTF = (source) => {
+            const out = new Float32Array(source.length);
+            for (let i = 0; i < source.length; i += 3) {
+                out[i] = source[i];
+                out[i + 1] = zUp ? source[i + 2] : source[i + 1];
+                out[i + 2] = zUp ? -source[i + 1] : source[i + 2];
+            }
+            return out;
+        };
+
+        const positions = toGLTF(mesh.positions);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], positions[i]);
+            max[i % 3] = Math.max(max[i % 3], positions[i]);
+        }
+
+        const views = [];
+        const accessors = [];
+        const attributes = {};
+        const addAccessor = (array, type, target, extra = {}) => {
+            const byteOffset = views.reduce((sum, view) => sum + view.data.byteLength, 0);
+            views.push({ data: new Uint8Array(array.buffer, array.byteOffset, array.byteLength), byteOffset, target });
+            accessors.push({
+                bufferView: views.length - 1,
+                componentType: array instanceof Uint32Array ? 5125 : 5126,
+                count: array.length / GLTF_COMPONENTS[type],
+                type,
+                ...extra
+            });
+            return accessors.length - 1;
+        };
+
+        attributes.POSITION = addAccessor(positions, 'VEC3', 34962, { min, max });
+        if (mesh.normals) attributes.NORMAL = addAccessor(toGLTF(mesh.normals), 'VEC3', 34962);
+        if (mesh.colors) attributes.COLOR_0 = addAccessor(Float32Array.from(mesh.colors), 'VEC3', 34962);
+
+        const hasFaces = mesh.indices && mesh.indices.length > 0;
+        const primitive = { attributes, mode: hasFaces ? 4 : 0 };
+        if (hasFaces) primitive.indices = addAccessor(Uint32Array.from(mesh.indices), 'SCALAR', 34963);
+
+        const binaryLength = views.reduce((sum, view) => sum + view.data.byteLength, 0);
+        const gltf = {
+            asset: { version: '2.0', generator: 'PLYMeshViewer' },
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [{ mesh: 0, name: options.name || 'mesh' }],
+            meshes: [{ primitives: [primitive] }],
+            buffers: [{ byteLength: binaryLength }],
+            bufferViews: views.map(view => ({
+                buffer: 0,
+                byteOffset: view.byteOffset,
+                byteLength: view.data.byteLength,
+                target: view.target
+            })),
+            accessors
+        };
+        // Chunks are padded to 4 bytes: JSON with spaces, binary data with zeros
+        const pad = (length) => (length + 3) & ~3;
+        const json = encodeText(JSON.stringify(gltf));
+        const jsonLength = pad(json.length);
+        const binLength = pad(binaryLength);
+        const bytes = new Uint8Array(12 + 8 + jsonLength + 8 + binLength);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint32(0, GLB_MAGIC, true);
+        view.setUint32(4, 2, true);
+        view.setUint32(8, bytes.length, true);
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, GLB_CHUNK_JSON, true);
+        bytes.fill(0x20, 20, 20 + jsonLength);
+        bytes.set(json, 20);
+
+        let offset = 20 + jsonLength;
+        view.setUint32(offset, binLength, true);
+        view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+        offset += 8;
+        for (const bufferView of views) {
+            bytes.set(bufferView.data, offset + bufferView.byteOffset);
+        }
+        return bytes;
+    }
+
+    // File bytes of `mesh` in one of FORMATS
+    function write(format, mesh, options = {}) {
+        switch (format) {
+            case 'ply':
+                return writePLY(mesh);
+            case 'obj':
+                return writeOBJ(mesh);
+            case 'stl':
+                return writeSTL(mesh);
+            case 'glb':
+                return writeGLB(mesh, options);
+            case 'qmesh':
+                return quantizedMesh.encode(mesh, options);
+            default:
+                throw new Error(`Unsupported export format "${format}"`);
+        }
+    }
+
+    const MIME_TYPES = {
+        ply: 'application/octet-stream',
+        obj: 'model/obj',
+        stl: 'model/stl',
+        glb: 'model/gltf-binary',
+        qmesh: 'application/octet-stream'
+    };
+
+    const MeshFormats = {
+        FORMATS,
+        MIME_TYPES,
+        detectFormat,
+        detectCompression,
+        decompress,
+        parse,
+        parseOBJ,
+        parseSTL,
+        parseGLB,
+        write,
+        writePLY,
+        writeOBJ,
+        writeSTL,
+        writeGLB
+    };
+
+    root.MeshFormats = MeshFormats;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeshFormats;
+    }
+})(typeof self !== 'undefined' ? self : this);
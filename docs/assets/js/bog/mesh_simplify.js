@@ -0,0 +1,408 @@
+/**
+ * Quadric-error mesh simplification for PLYMeshViewer's levels of detail
+ * Iterative edge collapse after Garland & Heckbert, scheduled like Sven
+ * Forstmann's Fast-Quadric-Mesh-Simplification: instead of a priority queue,
+ * every pass collapses the edges below a growing error threshold
+ */
+
+(function (root) {
+    'use strict';
+
+    const MAX_PASSES = 100;
+
+    // Determinant of the 3x3 submatrix of a symmetric 4x4 quadric stored as 10 values
+    function det(q, o, a11, a12, a13, a21, a22, a23, a31, a32, a33) {
+        return q[o + a11] * q[o + a22] * q[o + a33] + q[o + a13] * q[o + a21] * q[o + a32] +
+            q[o + a12] * q[o + a23] * q[o + a31] - q[o + a13] * q[o + a22] * q[o + a31] -
+            q[o + a11] * q[o + a23] * q[o + a32] - q[o + a12] * q[o + a21] * q[o + a33];
+    }
+
+    function vertexError(q, o, x, y, z) {
+        return q[o] * x * x + 2 * q[o + 1] * x * y + 2 * q[o + 2] * x * z + 2 * q[o + 3] * x +
+            q[o + 4] * y * y + 2 * q[o + 5] * y * z + 2 * q[o + 6] * y +
+            q[o + 7] * z * z + 2 * q[o + 8] * z + q[o + 9];
+    }
+
+    /**
+     * Simplify an indexed triangle mesh to about targetFaces triangles.
+     * options.aggressiveness (default 7) controls how fast the error threshold
+     * grows per pass. Returns { positions, indices, sourceVertex }, where
+     * sourceVertex maps every output vertex to the input vertex it descends
+     * from, so per-vertex attributes can be carried over by lookup.
+     */
+    function simplify(inputPositions, inputIndices, targetFaces, options = {}) {
+        const aggressiveness = options.aggressiveness !== undefined ? options.aggressiveness : 7;
+        const onProgress = options.onProgress || null;
+        const vertexCount = inputPositions.length / 3;
+        let faceCount = inputIndices.length / 3;
+
+        const positions = Float32Array.from(inputPositions);
+        const quadrics = new Float64Array(vertexCount * 10);
+        const border = new Uint8Array(vertexCount);
+        const refStart = new Uint32Array(vertexCount);
+        const refCount = new Uint32Array(vertexCount);
+
+        let faces = Int32Array.from(inputIndices);
+        let errors = new Float32Array(faceCount * 4);
+        let normals = new Float32Array(faceCount * 3);
+        let deleted = new Uint8Array(faceCount);
+        let dirty = new Uint8Array(faceCount);
+
+        // Vertex → (face * 3 + corner) references; collapses append to the end
+        let refs = new Int32Array(faceCount * 3 * 2);
+        let refLength = 0;
+        const pushRef = (ref) => {
+            if (refLength === refs.length) {
+                const grown = new Int32Array(refs.length * 2);
+                grown.set(refs);
+                refs = grown;
+            }
+            refs[refLength++] = ref;
+        };
+
+        const scratch = new Float64Array(10);
+        const point = new Float64Array(3);
+
+        // Cost of collapsing edge (a, b); the optimal position is left in `point`
+        const collapseError = (a, b) => {
+            for (let k = 0; k < 10; k++) scratch[k] = quadrics[a * 10 + k] + quadrics[b * 10 + k];
+            const d = det(scratch, 0, 0, 1, 2, 1, 4, 5, 2, 5, 7);
+            if (d !== 0 && !(border[a] && border[b])) {
+                point[0] = -1 / d * det(scratch, 0, 1, 2, 3, 4, 5, 6, 5, 7, 8);
+                point[1] = 1 / d * det(scratch, 0, 0, 2, 3, 1, 5, 6, 2, 7, 8);
+                point[2] = -1 / d * det(scratch, 0, 0, 1, 3, 1, 4, 6, 2, 5, 8);
+
+                // Nearly flat neighborhoods make the quadric close to singular and
+                // the optimum drift along the surface; only trust it near the edge
+                const edge = (positions[a * 3] - positions[b * 3]) ** 2 +
+                    (positions[a * 3 + 1] - positions[b * 3 + 1]) ** 2 +
+                    (positions[a * 3 + 2] - positions[b * 3 + 2]) ** 2;
+                const drift = (point[0] - (positions[a * 3] + positions[b * 3]) / 2) ** 2 +
+                    (point[1] - (positions[a * 3 + 1] + positions[b * 3 + 1]) / 2) ** 2 +
+                    (point[2] - (positions[a * 3 + 2] + positions[b * 3 + 2]) / 2) ** 2;
+                if (drift <= edge) {
+                    return vertexError(scratch, 0, point[0], point[1], point[2]);
+                }
+            }
+
+            // Singular quadric, a border edge or a runaway optimum: pick the best
+            // of both ends and the midpoint
+            let best = Infinity;
+            let bx = 0;
+            let by = 0;
+            let bz = 0;
+            for (let c = 0; c < 3; c++) {
+                const wa = c === 0 ? 1 : c === 1 ? 0 : 0.5;
+                const x = positions[a * 3] * wa + positions[b * 3] * (1 - wa);
+                const y = positions[a * 3 + 1] * wa + positions[b * 3 + 1] * (1 - wa);
+                const z = positions[a * 3 + 2] * wa + positions[b * 3 + 2] * (1 - wa);
+                const error = vertexError(scratch, 0, x, y, z);
+                if (error < best) {
+                    best = error;
+                    bx = x;
+                    by = y;
+                    bz = z;
+                }
+            }
+            point[0] = bx;
+            point[1] = by;
+            point[2] = bz;
+            return best;
+        };
+
+        const updateFaceErrors = (f) => {
+            let min = Infinity;
+            for (let j = 0; j < 3; j++) {
+                const error = collapseError(faces[f * 3 + j], faces[f * 3 + (j + 1) % 3]);
+                errors[f * 4 + j] = error;
+                if (error < min) min = error;
+            }
+            errors[f * 4 + 3] = min;
+        };
+
+        const faceNormal = (f, out, offset) => {
+            const a = faces[f * 3] * 3;
+            const b = faces[f * 3 + 1] * 3;
+            const c = faces[f * 3 + 2] * 3;
+            const ux = positions[b] - positions[a];
+            const uy = positions[b + 1] - positions[a + 1];
+            const uz = positions[b + 2] - positions[a + 2];
+            const vx = positions[c] - positions[a];
+            const vy = positions[c + 1] - positions[a + 1];
+            const vz = positions[c + 2] - positions[a + 2];
+            const nx = uy * vz - uz * vy;
+            const ny = uz * vx - ux * vz;
+            const nz = ux * vy - uy * vx;
+            // Slivers (sine of the corner angle below 1e-3) get a zero normal
+            const length = Math.hypot(nx, ny, nz);
+            const scale = length > 1e-3 * Math.hypot(ux, uy, uz) * Math.hypot(vx, vy, vz) ? 1 / length : 0;
+            out[offset] = nx * scale;
+            out[offset + 1] = ny * scale;
+            out[offset + 2] = nz * scale;
+            return a;
+        };
+
+        // Drop deleted faces and rebuild the vertex → face references
+        const rebuild = (first) => {
+            if (!first) {
+                let kept = 0;
+                for (let f = 0; f < faceCount; f++) {
+                    if (deleted[f]) continue;
+                    if (kept !== f) {
+                        faces.copyWithin(kept * 3, f * 3, f * 3 + 3);
+                        errors.copyWithin(kept * 4, f * 4, f * 4 + 4);
+                        normals.copyWithin(kept * 3, f * 3, f * 3 + 3);
+                    }
+                    kept++;
+                }
+                faceCount = kept;
+                faces = faces.subarray(0, kept * 3);
+                errors = errors.subarray(0, kept * 4);
+                normals = normals.subarray(0, kept * 3);
+                deleted = new Uint8Array(kept);
+                dirty = new Uint8Array(kept);
+            } else {
+                // Plane quadrics of the original faces, summed per vertex
+                for (let f = 0; f < faceCount; f++) {
+                    const a = faceNormal(f, normals, f * 3);
+                    const nx = normals[f * 3];
+                    const ny = normals[f * 3 + 1];
+                    const nz = normals[f * 3 + 2];
+                    const d = -(nx * positions[a] + ny * positions[a + 1] + nz * positions[a + 2]);
+                    const plane = [nx * nx, nx * ny, nx * nz, nx * d, ny * ny, ny * nz, ny * d, nz * nz, nz * d, d * d];
+                    for (let j = 0; j < 3; j++) {
+                        const o = faces[f * 3 + j] * 10;
+                        for (let k = 0; k < 10; k++) quadrics[o + k] += plane[k];
+                    }
+                }
+            }
+
+            refCount.fill(0);
+            for (let i = 0; i < faceCount * 3; i++) refCount[faces[i]]++;
+            let start = 0;
+            for (let v = 0; v < vertexCount; v++) {
+                refStart[v] = start;
+                start += refCount[v];
+                refCount[v] = 0;
+            }
+            refLength = start;
+            for (let f = 0; f < faceCount; f++) {
+                for (let j = 0; j < 3; j++) {
+                    const v = faces[f * 3 + j];
+                    refs[refStart[v] + refCount[v]++] = f * 3 + j;
+                }
+            }
+
+            if (first) {
+                // An edge used by a single face marks both its vertices as border
+                for (let f = 0; f < faceCount; f++) {
+                    for (let j = 0; j < 3; j++) {
+                        const a = faces[f * 3 + j];
+                        const b = faces[f * 3 + (j + 1) % 3];
+                        let shared = 0;
+                        for (let k = 0; k < refCount[a]; k++) {
+                            const ref = refs[refStart[a] + k];
+                            const g = (ref - ref % 3);
+                            if (faces[g] === b || faces[g + 1] === b || faces[g + 2] === b) shared++;
+                        }
+                        if (shared === 1) border[a] = border[b] = 1;
+                    }
+                }
+                for (let f = 0; f < faceCount; f++) updateFaceErrors(f);
+            }
+        };
+
+        let removed = new Uint8Array(64);
+        const ensureRemoved = (size) => {
+            if (removed.length < size) removed = new Uint8Array(size * 2);
+        };
+        const direction = new Float64Array(6);
+
+        // Would moving vertex `v` to `point` flip one of its faces (other than those shared with `other`)?
+        const flips = (v, other, flags, offset) => {
+            for (let k = 0; k < refCount[v]; k++) {
+                const ref = refs[refStart[v] + k];
+                const f = (ref - ref % 3) / 3;
+                if (deleted[f]) continue;
+
+                const corner = ref % 3;
+                const id1 = faces[f * 3 + (corner + 1) % 3];
+                const id2 = faces[f * 3 + (corner + 2) % 3];
+                if (id1 === other || id2 === other) {
+                    flags[offset + k] = 1;
+                    continue;
+                }
+
+                // Faces that started out degenerate have no orientation to lose
+                flags[offset + k] = 0;
+                if (normals[f * 3] === 0 && normals[f * 3 + 1] === 0 && normals[f * 3 + 2] === 0) continue;
+
+                for (let c = 0; c < 2; c++) {
+                    const id = c === 0 ? id1 : id2;
+                    const x = positions[id * 3] - point[0];
+                    const y = positions[id * 3 + 1] - point[1];
+                    const z = positions[id * 3 + 2] - point[2];
+                    const length = Math.hypot(x, y, z) || 1;
+                    direction[c * 3] = x / length;
+                    direction[c * 3 + 1] = y / length;
+                    direction[c * 3 + 2] = z / length;
+                }
+                const dot = direction[0] * direction[3] + direction[1] * direction[4] + direction[2] * direction[5];
+                if (Math.abs(dot) > 0.999) return true;
+
+                let nx = direction[1] * direction[5] - direction[2] * direction[4];
+                let ny = direction[2] * direction[3] - direction[0] * direction[5];
+                let nz = direction[0] * direction[4] - direction[1] * direction[3];
+                const length = Math.hypot(nx, ny, nz) || 1;
+                nx /= length;
+                ny /= length;
+                nz /= length;
+                if (nx * normals[f * 3] + ny * normals[f * 3 + 1] + nz * normals[f * 3 + 2] < 0.2) return true;
+            }
+            return false;
+        };
+
+        let deletedCount = 0;
+
+        // Point v's surviving faces at `keep`, delete the collapsed ones
+        const updateFaces = (keep, v, flags, offset) => {
+            for (let k = 0; k < refCount[v]; k++) {
+                const ref = refs[refStart[v] + k];
+                const f = (ref - ref % 3) / 3;
+                if (deleted[f]) continue;
+                if (flags[offset + k]) {
+                    deleted[f] = 1;
+                    deletedCount++;
+                    continue;
+                }
+                faces[ref] = keep;
+                dirty[f] = 1;
+                updateFaceErrors(f);
+                pushRef(ref);
+            }
+        };
+
+        const initialFaces = faceCount;
+        for (let pass = 0; pass < MAX_PASSES; pass++) {
+            if (faceCount - deletedCount <= targetFaces) break;
+
+            if (pass % 5 === 0) {
+                rebuild(pass === 0);
+                deletedCount = 0;
+            }
+            dirty.fill(0);
+            if (onProgress) onProgress(initialFaces - (faceCount - deletedCount), initialFaces - targetFaces);
+
+            // Collapse everything cheaper than the threshold; it grows with every pass
+            const threshold = 0.000000001 * Math.pow(pass + 3, aggressiveness);
+
+            for (let f = 0; f < faceCount; f++) {
+                if (errors[f * 4 + 3] > threshold || deleted[f] || dirty[f]) continue;
+
+                for (let j = 0; j < 3; j++) {
+                    if (errors[f * 4 + j] > threshold) continue;
+                    const i0 = faces[f * 3 + j];
+                    const i1 = faces[f * 3 + (j + 1) % 3];
+                    if (border[i0] !== border[i1]) continue;
+
+                    collapseError(i0, i1);
+                    ensureRemoved(refCount[i0] + refCount[i1]);
+                    if (flips(i0, i1, removed, 0) || flips(i1, i0, removed, refCount[i0])) continue;
+
+                    positions[i0 * 3] = point[0];
+                    positions[i0 * 3 + 1] = point[1];
+                    positions[i0 * 3 + 2] = point[2];
+                    for (let k = 0; k < 10; k++) quadrics[i0 * 10 + k] += quadrics[i1 * 10 + k];
+
+                    const start = refLength;
+                    updateFaces(i0, i0, removed, 0);
+                    updateFaces(i0, i1, removed, refCount[i0]);
+                    const count = refLength - start;
+                    if (count <= refCount[i0]) {
+                        // Reuse the vertex's old slot when the new list fits
+                        refs.copyWithin(refStart[i0], start, refLength);
+                        refLength = start;
+                    } else {
+                        refStart[i0] = start;
+                    }
+                    refCount[i0] = count;
+                    break;
+                }
+                if (faceCount - deletedCount <= targetFaces) break;
+            }
+        }
+
+        // Compact: keep referenced vertices only, in their original order
+        const remap = new Int32Array(vertexCount).fill(-1);
+        let outFaces = 0;
+        for (let f = 0; f < faceCount; f++) {
+            if (deleted[f]) continue;
+            outFaces++;
+            for (let j = 0; j < 3; j++) remap[faces[f * 3 + j]] = 0;
+        }
+        let outVertices = 0;
+        for (let v = 0; v < vertexCount; v++) {
+            if (remap[v] === 0) remap[v] = outVertices++;
+        }
+
+        const result = {
+            positions: new Float32Array(outVertices * 3),
+            indices: new Uint32Array(outFaces * 3),
+            sourceVertex: new Uint32Array(outVertices)
+        };
+        for (let v = 0; v < vertexCount; v++) {
+            const target = remap[v];
+            if (target < 0) continue;
+            result.positions[target * 3] = positions[v * 3];
+            result.positions[target * 3 + 1] = positions[v * 3 + 1];
+            result.positions[target * 3 + 2] = positions[v * 3 + 2];
+            result.sourceVertex[target] = v;
+        }
+        let offset = 0;
+        for (let f = 0; f < faceCount; f++) {
+            if (deleted[f]) continue;
+            for (let j = 0; j < 3; j++) result.indices[offset++] = remap[faces[f * 3 + j]];
+        }
+        return result;
+    }
+
+    /**
+     * Successively coarser levels: each keeps `ratio` of the previous one's faces
+     * until a level has no more than minFaces or `maxLevels` exist. Level
+     * sourceVertex maps point into the original mesh.
+     */
+    function buildLevels(positions, indices, options = {}) {
+        const ratio = options.ratio || 0.25;
+        const minFaces = options.minFaces || 50000;
+        const maxLevels = options.maxLevels || 3;
+        const onProgress = options.onProgress || null;
+
+        const levels = [];
+        let current = { positions, indices, sourceVertex: null };
+        while (levels.length < maxLevels && current.indices.length / 3 > minFaces) {
+            const target = Math.max(Math.floor(current.indices.length / 3 * ratio), minFaces);
+            const level = simplify(current.positions, current.indices, target, {
+                aggressiveness: options.aggressiveness,
+                onProgress: onProgress && ((done, total) => onProgress({ level: levels.length, done, total }))
+            });
+            if (current.sourceVertex) {
+                level.sourceVertex = level.sourceVertex.map(v => current.sourceVertex[v]);
+            }
+            // Stop once simplification stalls, e.g. on meshes made of tiny separate pieces
+            if (level.indices.length > current.indices.length * 0.9) break;
+            levels.push(level);
+            current = level;
+        }
+        return levels;
+    }
+
+    const MeshSimplify = {
+        simplify,
+        buildLevels
+    };
+
+    root.MeshSimplify = MeshSimplify;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeshSimplify;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,214 @@
+/**
+ * Mesh statistics and topology checks for PLYMeshViewer
+ * Counts, bounds, surface area and connected components, plus boundary and
+ * non-manifold edges/vertices, degenerate triangles and duplicate vertices
+ */
+
+(function () {
+    'use strict';
+
+    const CATEGORIES = ['boundaryEdges', 'nonManifoldEdges', 'nonManifoldVertices', 'degenerateFaces', 'duplicateVertices'];
+
+    function createUnionFind(size) {
+        const parent = new Int32Array(size);
+        for (let i = 0; i < size; i++) parent[i] = i;
+
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent[rootA] = rootB;
+        };
+
+        return { find, union };
+    }
+
+    function triangleArea(positions, a, b, c) {
+        const ax = positions[b * 3] - positions[a * 3];
+        const ay = positions[b * 3 + 1] - positions[a * 3 + 1];
+        const az = positions[b * 3 + 2] - positions[a * 3 + 2];
+        const bx = positions[c * 3] - positions[a * 3];
+        const by = positions[c * 3 + 1] - positions[a * 3 + 1];
+        const bz = positions[c * 3 + 2] - positions[a * 3 + 2];
+        return 0.5 * Math.hypot(ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx);
+    }
+
+    function findDuplicateVertices(positions, vertexCount) {
+        const seen = new Map();
+        const duplicates = [];
+        for (let i = 0; i < vertexCount; i++) {
+            const key = `${positions[i * 3]},${positions[i * 3 + 1]},${positions[i * 3 + 2]}`;
+            if (seen.has(key)) duplicates.push(i);
+            else seen.set(key, i);
+        }
+        return Uint32Array.from(duplicates);
+    }
+
+    /**
+     * Analyze a triangle soup. positions: Float32Array (xyz), indices:
+     * Uint32Array of triangles (may be empty for point clouds).
+     * options.origin is added to the bounds, options.areaEpsilon (relative to
+     * the squared bounding-box diagonal) marks near-zero-area triangles.
+     * Edges are returned as flat [a, b, a, b, ...] vertex pairs.
+     */
+    function analyze(positions, indices, options = {}) {
+        const vertexCount = positions.length / 3;
+        const faceCount = indices.length / 3;
+        const origin = options.origin || [0, 0, 0];
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < vertexCount; i++) {
+            for (let k = 0; k < 3; k++) {
+                const value = positions[i * 3 + k];
+                if (value < min[k]) min[k] = value;
+                if (value > max[k]) max[k] = value;
+            }
+        }
+        const diagonal = vertexCount > 0 ? Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) : 0;
+        const areaEpsilon = (options.areaEpsilon !== undefined ? options.areaEpsilon : 1e-12) * diagonal * diagonal;
+
+        // Surface area, degenerate triangles and vertex connectivity
+        let surfaceArea = 0;
+        const degenerateFaces = [];
+        const vertexSets = createUnionFind(vertexCount);
+        const referenced = new Uint8Array(vertexCount);
+        for (let f = 0; f < faceCount; f++) {
+            const a = indices[f * 3];
+            const b = indices[f * 3 + 1];
+            const c = indices[f * 3 + 2];
+            const area = triangleArea(positions, a, b, c);
+            surfaceArea += area;
+            if (a === b || b === c || a === c || area <= areaEpsilon) {
+                degenerateFaces.push(f);
+            }
+            vertexSets.union(a, b);
+            vertexSets.union(a, c);
+            referenced[a] = referenced[b] = referenced[c] = 1;
+        }
+
+        let components = 0;
+        let isolatedVertices = 0;
+        for (let i = 0; i < vertexCount; i++) {
+            if (!referenced[i]) isolatedVertices++;
+            else if (vertexSets.find(i) === i) components++;
+        }
+
+        // Group the 3F half-edges by undirected edge: counting sort on the
+        // smaller vertex, then insertion sort on the larger one within each bucket
+        const halfEdges = faceCount * 3;
+        const lower = new Uint32Array(halfEdges);
+        const upper = new Uint32Array(halfEdges);
+        const bucketStart = new Uint32Array(vertexCount + 1);
+        for (let e = 0; e < halfEdges; e++) {
+            const v0 = indices[e];
+            const v1 = indices[e - (e % 3) + ((e % 3) + 1) % 3];
+            lower[e] = Math.min(v0, v1);
+            upper[e] = Math.max(v0, v1);
+            bucketStart[lower[e] + 1]++;
+        }
+        for (let i = 0; i < vertexCount; i++) bucketStart[i + 1] += bucketStart[i];
+
+        const order = new Uint32Array(halfEdges);
+        const fill = bucketStart.slice(0, vertexCount);
+        for (let e = 0; e < halfEdges; e++) order[fill[lower[e]]++] = e;
+
+        for (let v = 0; v < vertexCount; v++) {
+            for (let i = bucketStart[v] + 1; i < bucketStart[v + 1]; i++) {
+                const e = order[i];
+                let j = i - 1;
+                while (j >= bucketStart[v] && upper[order[j]] > upper[e]) {
+                    order[j + 1] = order[j];
+                    j--;
+                }
+                order[j + 1] = e;
+            }
+        }
+
+        // Corners (face, vertex) joined across manifold edges; a vertex whose
+        // corners end up in several groups is a pinch point
+        const corners = createUnionFind(halfEdges);
+        const cornerOf = (e, vertex) => {
+            const base = e - (e % 3);
+            for (let k = 0; k < 3; k++) {
+                if (indices[base + k] === vertex) return base + k;
+            }
+            return -1;
+        };
+
+        const boundaryEdges = [];
+        const nonManifoldEdges = [];
+        const nonManifold = new Uint8Array(vertexCount);
+        for (let i = 0; i < halfEdges;) {
+            const e = order[i];
+            let j = i + 1;
+            while (j < halfEdges && lower[order[j]] === lower[e] && upper[order[j]] === upper[e]) j++;
+
+            const a = lower[e];
+            const b = upper[e];
+            if (a !== b) {
+                const count = j - i;
+                if (count === 1) {
+                    boundaryEdges.push(a, b);
+                } else if (count === 2) {
+                    const other = order[i + 1];
+                    corners.union(cornerOf(e, a), cornerOf(other, a));
+                    corners.union(cornerOf(e, b), cornerOf(other, b));
+                } else {
+                    nonManifoldEdges.push(a, b);
+                    nonManifold[a] = nonManifold[b] = 1;
+                }
+            }
+            i = j;
+        }
+
+        const firstCorner = new Int32Array(vertexCount).fill(-1);
+        for (let c = 0; c < halfEdges; c++) {
+            const vertex = indices[c];
+            if (firstCorner[vertex] < 0) firstCorner[vertex] = c;
+            else if (corners.find(firstCorner[vertex]) !== corners.find(c)) nonManifold[vertex] = 1;
+        }
+        const nonManifoldVertices = [];
+        for (let i = 0; i < vertexCount; i++) {
+            if (nonManifold[i]) nonManifoldVertices.push(i);
+        }
+
+        return {
+            vertexCount,
+            faceCount,
+            bounds: vertexCount > 0
+                ? { min: min.map((value, k) => value + origin[k]), max: max.map((value, k) => value + origin[k]) }
+                : null,
+            surfaceArea,
+            components,
+            isolatedVertices,
+            boundaryEdges: Uint32Array.from(boundaryEdges),
+            nonManifoldEdges: Uint32Array.from(nonManifoldEdges),
+            nonManifoldVertices: Uint32Array.from(nonManifoldVertices),
+            degenerateFaces: Uint32Array.from(degenerateFaces),
+            duplicateVertices: findDuplicateVertices(positions, vertexCount)
+        };
+    }
+
+    // Number of problems in a category (edges are stored as vertex pairs)
+    function count(stats, category) {
+        const items = stats[category];
+        return category.endsWith('Edges') ? items.length / 2 : items.length;
+    }
+
+    const MeshStats = {
+        CATEGORIES,
+        analyze,
+        count
+    };
+
+    if (typeof window !== 'undefined') {
+        window.MeshStats = MeshStats;
+    }
+})();
@@ -3,6 +3,37 @@
  * Compatible with Chrome, Firefox, Safari, and Edge
  */
 
+// Directory of this script, used to locate the loader worker next to it
+const MESH_VIEWER_BASE_URL = (typeof document !== 'undefined' && document.currentScript)
+    ? document.currentScript.src.replace(/[^/]*$/, '')
+    : '';
+
+// URL hash as an ordered list of [key, value] pairs; bare keys such as #section are kept
+function parseHashParams(hash) {
+    return hash.replace(/^#/, '').split('&').filter(Boolean).map(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return [decodeURIComponent(part), null];
+        return [decodeURIComponent(part.slice(0, index)), decodeURIComponent(part.slice(index + 1))];
+    });
+}
+
+function formatHashParams(params) {
+    const encode = (text) => encodeURIComponent(text).replace(/%2C/g, ',');
+    return params.map(([key, value]) => (value === null ? encode(key) : `${encode(key)}=${encode(value)}`)).join('&');
+}
+
+// Model axes for the view presets, per PLY up axis: right × forward = up, and the
+// front view looks along forward
+const VIEW_AXES = {
+    x: { right: [0, 1, 0], forward: [0, 0, 1] },
+    y: { right: [1, 0, 0], forward: [0, 0, -1] },
+    z: { right: [1, 0, 0], forward: [0, 1, 0] }
+};
+
+const NAVIGATION_MODES = ['orbit', 'fly', 'walk'];
+// Keys held down for fly/walk movement, by KeyboardEvent.code
+const NAVIGATION_KEYS = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyQ', 'KeyE', 'Space', 'ShiftLeft', 'ShiftRight'];
+
 class PLYMeshViewer {
     constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
@@ -33,14 +64,122 @@ class PLYMeshViewer {
             forceMeshColor: options.forceMeshColor || false,
             autoRotate: options.autoRotate || false,
             autoRotateSpeed: options.autoRotateSpeed || 1.0,
+            // 'auto' picks splats for 3DGS files, points for face-less files and mesh otherwise;
+            // 'mesh', 'points' and 'splats' force a mode
+            renderMode: options.renderMode || 'auto',
+            // Highest spherical harmonics degree evaluated for splat colors (0-3)
+            splatShDegree: options.splatShDegree !== undefined ? options.splatShDegree : 3,
+            // Splats are sorted back to front in this worker (with useWorker), on the main thread otherwise
+            splatWorkerUrl: options.splatWorkerUrl || `${MESH_VIEWER_BASE_URL}splat_worker.js`,
+            // Point cloud mode: size in pixels ('screen') or PLY units ('world')
+            pointSize: options.pointSize !== undefined ? options.pointSize : 2,
+            pointSizeMode: options.pointSizeMode || 'screen',
+            roundPoints: options.roundPoints !== undefined ? options.roundPoints : true,
+            eyeDomeLighting: options.eyeDomeLighting !== undefined ? options.eyeDomeLighting : true,
+            edlStrength: options.edlStrength !== undefined ? options.edlStrength : 1.0,
+            edlRadius: options.edlRadius !== undefined ? options.edlRadius : 1.4,
+            // Default colormap for setColorBy, and whether to show the color-by panel
+            colormap: options.colormap || 'viridis',
+            colorControls: options.colorControls || false,
+            // Parse PLY files in a Web Worker, falling back to the main thread when unavailable
+            useWorker: options.useWorker !== undefined ? options.useWorker : true,
+            workerUrl: options.workerUrl || `${MESH_VIEWER_BASE_URL}ply_worker.js`,
+            // Show download/parse progress on top of the canvas
+            showProgress: options.showProgress !== undefined ? options.showProgress : true,
+            // Guided tour: a CameraPath JSON object/string or URL, played once the mesh is loaded
+            cameraPath: options.cameraPath || null,
+            cameraPathAutoplay: options.cameraPathAutoplay !== undefined ? options.cameraPathAutoplay : true,
+            cameraPathLoop: options.cameraPathLoop || false,
+            // Show the keyframe authoring panel
+            cameraPathControls: options.cameraPathControls || false,
+            // Keep the view in the URL hash under permalinkKey once the user moves it, and show a "copy link" button
+            permalink: options.permalink || false,
+            permalinkKey: options.permalinkKey || containerId,
+            permalinkButton: options.permalinkButton !== undefined ? options.permalinkButton : Boolean(options.permalink),
+            // Screenshot/record/save-mesh buttons; image exports default to twice the on-screen size
+            exportButtons: options.exportButtons || false,
+            exportWidth: options.exportWidth || null,
+            exportHeight: options.exportHeight || null,
+            exportTransparent: options.exportTransparent || false,
+            // Distance/polyline/angle buttons; units labels the PLY's coordinate unit
+            measureTools: options.measureTools || false,
+            units: options.units || 'm',
+            // Section box / remove-ceiling / caps buttons, and the PLY's up axis for the ceiling preset
+            clipControls: options.clipControls || false,
+            clipCaps: options.clipCaps || false,
+            clipCapColor: options.clipCapColor !== undefined ? options.clipCapColor : 0xd65244,
+            upAxis: options.upAxis || 'z',
+            // Mesh statistics and topology problem panel
+            statsPanel: options.statsPanel || false,
+            // Reference-cloud evaluation panel, see evaluateAgainstReference. evalReference is a
+            // default reference URL and evalOptions overrides ReconstructionEval.DEFAULTS
+            evalPanel: options.evalPanel || false,
+            evalReference: options.evalReference || null,
+            evalOptions: options.evalOptions || {},
+            evalWorkerUrl: options.evalWorkerUrl || `${MESH_VIEWER_BASE_URL}eval_worker.js`,
+            // Levels of detail for meshes above lodThreshold faces. While the user moves the camera,
+            // the finest level within the triangle budget is drawn; the budget adapts to keep frames
+            // near lodFrameTime ms. The full mesh returns lodSettleDelay ms after the user stops, and
+            // auto-rotation or a camera path tour keeps it. Each level keeps a quarter of the
+            // previous one's faces, down to about lodMinFaces
+            lod: options.lod !== undefined ? options.lod : true,
+            lodThreshold: options.lodThreshold || 1000000,
+            lodMinFaces: options.lodMinFaces || 50000,
+            lodTriangleBudget: options.lodTriangleBudget || 1000000,
+            lodFrameTime: options.lodFrameTime || 33,
+            lodSettleDelay: options.lodSettleDelay !== undefined ? options.lodSettleDelay : 300,
+            lodWorkerUrl: options.lodWorkerUrl || `${MESH_VIEWER_BASE_URL}lod_worker.js`,
+            // Snapshot playback: a frame list, manifest object or manifest URL, see
+            // SnapshotTimeline.parseManifest. timelineFps applies when frames carry no times
+            timeline: options.timeline || null,
+            timelineFps: options.timelineFps || 2,
+            timelineLoop: options.timelineLoop !== undefined ? options.timelineLoop : true,
+            timelineAutoplay: options.timelineAutoplay || false,
+            timelineControls: options.timelineControls !== undefined ? options.timelineControls : true,
+            // Frames fetched ahead of the current one, and how many parsed frames stay cached
+            timelinePrefetch: options.timelinePrefetch !== undefined ? options.timelinePrefetch : 2,
+            timelineCacheSize: options.timelineCacheSize || 6,
+            // Open local mesh files by dropping them on the viewer or with an Open button. Several
+            // files play as a timeline in name order; the last recentFiles are kept in IndexedDB
+            fileDrop: options.fileDrop || false,
+            recentFiles: options.recentFiles !== undefined ? options.recentFiles : 8,
+            // Orbit zoom limits; zooming in past minDistance carries the pivot forward instead
+            minDistance: options.minDistance || 0.5,
+            maxDistance: options.maxDistance || 100,
+            // 'orbit', 'fly' (WASD + mouse look) or 'walk' (fly mode on the ground, with
+            // gravity), 'perspective' or 'orthographic', and the panel switching them with
+            // the top/front/side presets. Speeds and heights are in PLY units (see units)
+            // per second; flySpeed defaults to a tenth of the model's largest side
+            navigationMode: options.navigationMode || 'orbit',
+            projection: options.projection || 'perspective',
+            navigationControls: options.navigationControls || false,
+            flySpeed: options.flySpeed || null,
+            walkSpeed: options.walkSpeed || 1.4,
+            walkEyeHeight: options.walkEyeHeight || 1.6,
+            gravity: options.gravity !== undefined ? options.gravity : 9.81,
             ...options,
             initialOrbit: sanitizedOrbit,
             initialTarget
         };
 
+        // A view stored in the URL wins over the configured initial view
+        this.permalinkState = this.options.permalink ? this.readPermalink() : null;
+        if (this.permalinkState) {
+            const { theta, phi, radius, target, renderMode } = this.permalinkState;
+            this.options.initialOrbit = { theta, phi, radius };
+            this.options.initialTarget = target;
+            if (renderMode) this.options.renderMode = renderMode;
+        }
+
         this.init();
         this.setupEventListeners();
         this.animate();
+
+        if (this.options.timeline) {
+            this.loadTimeline(this.options.timeline).catch(error => {
+                console.error('Error loading timeline:', error);
+            });
+        }
     }
 
     init() {
@@ -55,6 +194,9 @@ class PLYMeshViewer {
             1000
         );
         this.camera.position.set(0, 0, 2);
+        // this.camera is whichever of the two is active, see setProjection
+        this.perspectiveCamera = this.camera;
+        this.orthographicCamera = null;
 
         // Create renderer
         this.renderer = new THREE.WebGLRenderer({
@@ -65,6 +207,7 @@ class PLYMeshViewer {
         this.renderer.setSize(this.options.width, this.options.height);
         this.renderer.setClearColor(this.options.backgroundColor, 1);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit for performance
+        this.renderer.localClippingEnabled = true;
         this.container.appendChild(this.renderer.domElement);
 
         // Add lights
@@ -75,24 +218,153 @@ class PLYMeshViewer {
 
         // Store mesh reference
         this.mesh = null;
+        // Overlays given in PLY coordinates (trajectories, ...) follow the mesh transform
+        this.annotationRoot = new THREE.Group();
+        this.annotationRoot.matrixAutoUpdate = false;
+        this.scene.add(this.annotationRoot);
+        this.trajectories = [];
+        this.trajectoryPanel = null;
+
+        // Second mesh shown right of the swipe divider, see loadComparisonPLY
+        this.comparison = null;
+        this.comparisonLoadController = null;
+        this.splats = null;
+        this.geometry = null;
+        this.activeRenderMode = null;
+        this.edl = null;
+
+        // Scalar attribute coloring, see setColorBy
+        this.colorBy = null;
+        this.legendElement = null;
+        this.colorControls = null;
+        if (this.options.colorControls) {
+            this.createColorControls();
+        }
+
+        // Keyframed fly-through, see playCameraPath
+        this.cameraPath = new CameraPath();
+        this.cameraPathPlayback = null;
+        this.cameraPathControls = null;
+        if (this.options.cameraPathControls) {
+            this.createCameraPathControls();
+        }
+
+        // URL of the loaded PLY, written to the permalink, and its file name for exports
+        this.sourceUrl = null;
+        this.sourceName = null;
+        this.permalinkTimer = null;
+        this.permalinkEdited = false;
+        this.toolbar = null;
+        if (this.options.permalinkButton) {
+            this.addToolbarButton('Copy link', 'Copy a link to this view', (button) => {
+                this.copyPermalink()
+                    .then(() => this.flashToolbarButton(button, 'Copied'))
+                    .catch(() => this.flashToolbarButton(button, 'Copy failed'));
+            });
+        }
+
+        // Set while exportScreenshot/recordAnimation drive the renderer
+        this.exporting = false;
+        if (this.options.exportButtons) {
+            this.createExportButtons();
+        }
+
+        // Measurements in PLY coordinates, drawn under annotationRoot
+        this.measurements = [];
+        this.measureTool = null;
+        this.pendingMeasurement = null;
+        this.measureButtons = null;
+        this.measureReadout = null;
+        this.lastPickedPoint = null;
+        this.nextMeasurementId = 1;
+        if (this.options.measureTools) {
+            this.createMeasureButtons();
+        }
+
+        // Clipping is authored in PLY coordinates; clippingPlanes holds the world-space
+        // copies that every drawable material shares, see updateClipping
+        this.clipping = {
+            planes: [],
+            box: null,
+            ceiling: null,
+            helper: null,
+            drag: null,
+            buttons: null
+        };
+        this.clippingPlanes = [];
+        if (this.options.clipControls) {
+            this.createClipButtons();
+        }
+
+        // Topology analysis of this.geometry, see computeMeshStats
+        this.meshStats = null;
+        this.topologyHighlights = {};
+        this.statsPanel = null;
+        if (this.options.statsPanel) {
+            this.createStatsPanel();
+        }
+
+        // Latest { rows, csv } of evaluateAgainstReference for this.geometry
+        this.evaluation = null;
+        this.evalController = null;
+        this.evalPanel = null;
+        if (this.options.evalPanel) {
+            this.createEvalPanel();
+        }
+
+        // Simplified copies of this.geometry, see buildLOD and updateLOD
+        this.lod = null;
+
+        // Snapshot playback state, see loadTimeline
+        this.timeline = null;
+        this.timelineControls = null;
+
+        // Drop overlay, Open button and recent-files list, see openFiles
+        this.fileDrop = null;
+        if (this.options.fileDrop) {
+            this.createFileDrop();
+        }
+
+        // Fly/walk movement: held keys, speed multiplier (mouse wheel) and walk-mode
+        // vertical speed and ground level along the up axis, see updateNavigation
+        this.navigation = {
+            mode: 'orbit',
+            keys: new Set(),
+            speedScale: 1,
+            verticalSpeed: 0,
+            groundLevel: null,
+            groundCheck: 0,
+            lastTime: null,
+            controls: null,
+            readout: null
+        };
+        if (this.options.navigationControls) {
+            this.createNavigationControls();
+        }
+        if (this.options.projection !== 'perspective') {
+            this.setProjection(this.options.projection);
+        }
+        if (this.options.navigationMode !== 'orbit') {
+            this.setNavigationMode(this.options.navigationMode);
+        }
 
         // Animation frame ID
         this.animationId = null;
     }
 
-    setupLights() {
+    setupLights(scene = this.scene) {
         // Ambient light
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        this.scene.add(ambientLight);
+        scene.add(ambientLight);
 
         // Directional lights
         const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.5);
         directionalLight1.position.set(5, 5, 5);
-        this.scene.add(directionalLight1);
+        scene.add(directionalLight1);
 
         const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.3);
         directionalLight2.position.set(-5, -5, -5);
-        this.scene.add(directionalLight2);
+        scene.add(directionalLight2);
     }
 
     setupMouseControls() {
@@ -101,6 +373,9 @@ class PLYMeshViewer {
             isPanning: false,
             lastMouseX: 0,
             lastMouseY: 0,
+            // Where the last press started, to tell clicks from drags
+            downX: 0,
+            downY: 0,
             rotationSpeed: 0.005,
             panSpeed: 0.01,
             zoomSpeed: 0.1
@@ -108,6 +383,9 @@ class PLYMeshViewer {
 
         this.cameraTarget = new THREE.Vector3(0, 0, 0);
 
+        // Camera sync group, see PLYMeshViewer.link
+        this.linkGroup = null;
+
         // Add momentum/inertia
         this.momentum = {
             rotation: { x: 0, y: 0 },
@@ -127,6 +405,15 @@ class PLYMeshViewer {
         canvas.addEventListener('mouseleave', (e) => this.onMouseUp(e), false);
         canvas.addEventListener('wheel', (e) => this.onMouseWheel(e), { passive: false });
         canvas.addEventListener('contextmenu', (e) => e.preventDefault(), false);
+        canvas.addEventListener('click', (e) => this.onCanvasClick(e), false);
+        canvas.addEventListener('dblclick', (e) => this.onCanvasDoubleClick(e), false);
+
+        // Fly/walk and view preset keys only go to a focused canvas
+        canvas.tabIndex = 0;
+        canvas.style.outline = 'none';
+        canvas.addEventListener('keydown', (e) => this.onNavigationKeyDown(e), false);
+        canvas.addEventListener('keyup', (e) => this.navigation.keys.delete(e.code), false);
+        canvas.addEventListener('blur', () => this.navigation.keys.clear(), false);
 
         // Touch events
         canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
@@ -135,13 +422,25 @@ class PLYMeshViewer {
 
         // Window resize
         window.addEventListener('resize', () => this.onWindowResize(), false);
+        // Measurement keys only while focus is in this viewer (clicking the canvas focuses it),
+        // so Enter in page inputs or another viewer leaves the measurement alone
+        this.container.addEventListener('keydown', (e) => this.onKeyDown(e), false);
     }
 
     onMouseDown(event) {
         event.preventDefault();
+        this.stopCameraPath();
+        // preventDefault keeps the canvas from taking focus by itself
+        this.renderer.domElement.focus({ preventScroll: true });
 
         this.controls.lastMouseX = event.clientX;
         this.controls.lastMouseY = event.clientY;
+        this.controls.downX = event.clientX;
+        this.controls.downY = event.clientY;
+
+        if (event.button === 0 && this.startSectionDrag(event)) {
+            return;
+        }
 
         if (event.button === 0) {
             this.controls.isRotating = true;
@@ -151,6 +450,11 @@ class PLYMeshViewer {
     }
 
     onMouseMove(event) {
+        if (this.clipping.drag) {
+            this.dragSection(event);
+            return;
+        }
+
         if (!this.controls.isRotating && !this.controls.isPanning) {
             return;
         }
@@ -177,16 +481,24 @@ class PLYMeshViewer {
     onMouseUp(event) {
         this.controls.isRotating = false;
         this.controls.isPanning = false;
+        this.clipping.drag = null;
         // Momentum will continue in animate loop
     }
 
     onMouseWheel(event) {
         event.preventDefault();
+        this.stopCameraPath();
         const delta = event.deltaY;
+        if (this.navigation.mode !== 'orbit') {
+            // Fly and walk have no pivot to zoom to; the wheel sets the speed instead
+            this.setNavigationSpeed(this.navigation.speedScale * (delta < 0 ? 1.25 : 0.8));
+            return;
+        }
         this.zoomCamera(delta);
     }
 
     onTouchStart(event) {
+        this.stopCameraPath();
         if (event.touches.length === 1) {
             this.controls.isRotating = true;
             this.controls.lastMouseX = event.touches[0].clientX;
@@ -230,7 +542,16 @@ class PLYMeshViewer {
     }
 
     rotateCamera(deltaX, deltaY) {
-        const position = this.camera.position.clone().sub(this.cameraTarget);
+        if (this.navigation.mode !== 'orbit') {
+            this.turnCamera(deltaX, deltaY);
+            this.notifyLinked('rotate', deltaX, deltaY);
+            this.schedulePermalinkUpdate(true);
+            return;
+        }
+
+        // Orbit around camera.up, which is +y unless a view preset or fly mode changed it
+        const toPole = new THREE.Quaternion().setFromUnitVectors(this.camera.up, new THREE.Vector3(0, 1, 0));
+        const position = this.camera.position.clone().sub(this.cameraTarget).applyQuaternion(toPole);
         const radius = position.length();
 
         let theta = Math.atan2(position.x, position.z);
@@ -244,7 +565,32 @@ class PLYMeshViewer {
         position.y = radius * Math.cos(phi);
         position.z = radius * Math.sin(phi) * Math.cos(theta);
 
-        this.camera.position.copy(position.add(this.cameraTarget));
+        this.camera.position.copy(position.applyQuaternion(toPole.invert()).add(this.cameraTarget));
+        this.camera.lookAt(this.cameraTarget);
+
+        this.notifyLinked('rotate', deltaX, deltaY);
+        this.schedulePermalinkUpdate(true);
+    }
+
+    // Fly/walk mouse look: swing the target around the camera with a level horizon
+    turnCamera(deltaX, deltaY) {
+        const up = this.camera.up;
+        const direction = this.cameraTarget.clone().sub(this.camera.position);
+        const distance = direction.length();
+        if (distance === 0) return;
+        direction.divideScalar(distance);
+
+        // Dragging moves the scene with the cursor, as in panorama viewers
+        direction.applyAxisAngle(up, deltaX * this.controls.rotationSpeed);
+        const right = direction.clone().cross(up);
+        if (right.lengthSq() < 1e-8) right.setFromMatrixColumn(this.camera.matrix, 0);
+        right.normalize();
+
+        const pitch = Math.acos(THREE.MathUtils.clamp(direction.dot(up), -1, 1));
+        const newPitch = THREE.MathUtils.clamp(pitch - deltaY * this.controls.rotationSpeed, 0.1, Math.PI - 0.1);
+        direction.applyAxisAngle(right, pitch - newPitch);
+
+        this.cameraTarget.copy(this.camera.position).addScaledVector(direction, distance);
         this.camera.lookAt(this.cameraTarget);
     }
 
@@ -264,6 +610,9 @@ class PLYMeshViewer {
 
         this.camera.position.add(offset);
         this.cameraTarget.add(offset);
+
+        this.notifyLinked('pan', deltaX, deltaY);
+        this.schedulePermalinkUpdate(true);
     }
 
     zoomCamera(delta) {
@@ -272,241 +621,794 @@ class PLYMeshViewer {
 
         const direction = this.camera.position.clone().sub(this.cameraTarget);
         const newDistance = distance * zoomFactor;
+        // The orthographic frustum scales with the distance, so it may come much closer
+        const minDistance = this.camera.isOrthographicCamera ? 0.001 : this.options.minDistance;
 
-        if (newDistance > 0.5 && newDistance < 100) {
+        if (newDistance > minDistance && newDistance < this.options.maxDistance) {
             direction.normalize().multiplyScalar(newDistance);
             this.camera.position.copy(this.cameraTarget.clone().add(direction));
+        } else if (newDistance <= minDistance && !this.camera.isOrthographicCamera) {
+            // Dolly through: push the pivot ahead so zooming keeps moving into large scenes
+            const step = direction.normalize().multiplyScalar(newDistance - distance);
+            this.camera.position.add(step);
+            this.cameraTarget.add(step);
+        }
+
+        this.notifyLinked('zoom', delta);
+        this.schedulePermalinkUpdate(true);
+    }
+
+    /**
+     * 'perspective' or 'orthographic'. The orthographic view shows what the
+     * perspective camera sees at the orbit target, so the model keeps its size
+     * there; zooming scales it. Choosing orthographic returns to orbit mode.
+     */
+    setProjection(projection) {
+        if (projection !== 'perspective' && projection !== 'orthographic') {
+            throw new Error(`Unknown projection "${projection}"`);
+        }
+        if (projection === 'orthographic' && this.navigation.mode !== 'orbit') {
+            this.setNavigationMode('orbit');
+        }
+
+        if (projection === 'orthographic' && !this.orthographicCamera) {
+            // The negative near plane keeps parts of the (4 units wide) model behind the camera visible
+            this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -10, 1000);
+        }
+        const camera = projection === 'orthographic' ? this.orthographicCamera : this.perspectiveCamera;
+        if (camera !== this.camera) {
+            camera.position.copy(this.camera.position);
+            camera.quaternion.copy(this.camera.quaternion);
+            camera.up.copy(this.camera.up);
+            this.camera = camera;
+        }
+
+        this.options.projection = projection;
+        this.updateCameraProjection();
+        this.updateNavigationControls();
+    }
+
+    // Fit the cameras to the canvas aspect; the orthographic frustum follows the orbit distance
+    updateCameraProjection() {
+        const perspective = this.perspectiveCamera;
+        // Walking through a scan needs a near plane well below eye height
+        const scale = this.mesh ? this.mesh.scale.x : 1;
+        perspective.near = this.navigation.mode === 'orbit' ? 0.1 : Math.min(0.1, this.options.walkEyeHeight * scale * 0.05);
+        perspective.updateProjectionMatrix();
+
+        const camera = this.orthographicCamera;
+        if (camera !== this.camera) return;
+        const halfHeight = camera.position.distanceTo(this.cameraTarget) * Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2);
+        camera.top = halfHeight;
+        camera.bottom = -halfHeight;
+        camera.left = -halfHeight * perspective.aspect;
+        camera.right = halfHeight * perspective.aspect;
+        camera.updateProjectionMatrix();
+    }
+
+    /**
+     * 'orbit' (drag to orbit the target), 'fly' (WASD moves, Q/E down and up,
+     * Shift runs, dragging looks around and the wheel sets the speed) or 'walk'
+     * (fly mode kept walkEyeHeight above the mesh surface, with gravity; Space
+     * jumps). Keys go to the canvas once it has been clicked. Fly and walk use
+     * the perspective camera, level the horizon on the upAxis option and stop
+     * auto-rotation.
+     */
+    setNavigationMode(mode) {
+        if (!NAVIGATION_MODES.includes(mode)) {
+            throw new Error(`Unknown navigation mode "${mode}"`);
+        }
+
+        const navigation = this.navigation;
+        if (mode !== 'orbit') {
+            this.stopCameraPath();
+            this.options.autoRotate = false;
+            if (this.camera !== this.perspectiveCamera) this.setProjection('perspective');
+            this.camera.up.copy(this.getViewAxes().up);
+            this.turnCamera(0, 0);
+        }
+
+        navigation.mode = mode;
+        navigation.keys.clear();
+        navigation.verticalSpeed = 0;
+        navigation.groundLevel = null;
+        navigation.groundCheck = 0;
+        this.options.navigationMode = mode;
+        this.updateCameraProjection();
+        this.updateNavigationControls();
+    }
+
+    // Multiplier on the fly/walk speed, kept between 1/64 and 64
+    setNavigationSpeed(scale) {
+        this.navigation.speedScale = THREE.MathUtils.clamp(scale, 1 / 64, 64);
+        this.updateNavigationReadout();
+    }
+
+    // World-space right, forward and up of the model, see VIEW_AXES
+    getViewAxes() {
+        const axes = VIEW_AXES[this.options.upAxis] || VIEW_AXES.z;
+        const rotation = this.mesh ? this.mesh.quaternion : new THREE.Quaternion();
+        const right = new THREE.Vector3(...axes.right).applyQuaternion(rotation);
+        const forward = new THREE.Vector3(...axes.forward).applyQuaternion(rotation);
+        return { right, forward, up: right.clone().cross(forward) };
+    }
+
+    /**
+     * Look at the model from the 'top', 'front' or 'side' (its right, +x for a
+     * z-up model) at the current orbit distance. The axes follow the upAxis
+     * option. Presets return to orbit mode and stop auto-rotation so the view
+     * stays put; orbiting afterwards turns around the preset's screen up.
+     */
+    setViewPreset(name) {
+        const axes = this.getViewAxes();
+        const presets = {
+            top: [axes.up, axes.forward],
+            front: [axes.forward.clone().negate(), axes.up],
+            side: [axes.right, axes.up]
+        };
+        if (!presets[name]) {
+            throw new Error(`Unknown view preset "${name}"`);
+        }
+
+        this.stopCameraPath();
+        this.stopMomentum();
+        this.options.autoRotate = false;
+        if (this.navigation.mode !== 'orbit') this.setNavigationMode('orbit');
+
+        const [direction, screenUp] = presets[name];
+        const distance = this.camera.position.distanceTo(this.cameraTarget);
+        this.camera.up.copy(screenUp);
+        this.camera.position.copy(this.cameraTarget).addScaledVector(direction, distance);
+        this.camera.lookAt(this.cameraTarget);
+
+        this.notifyLinked('view');
+        this.schedulePermalinkUpdate(true);
+    }
+
+    // Frame the whole model, keeping the view direction
+    fitToView() {
+        const bounds = this.getBounds();
+        if (!bounds) return;
+
+        this.stopCameraPath();
+        this.stopMomentum();
+        this.syncAnnotationRoot();
+        const sphere = bounds.getBoundingSphere(new THREE.Sphere()).applyMatrix4(this.annotationRoot.matrix);
+
+        // Half of the narrower field of view, so the sphere fits both ways
+        const perspective = this.perspectiveCamera;
+        const tanHalf = Math.tan(THREE.MathUtils.degToRad(perspective.fov) / 2);
+        const halfFov = Math.atan(tanHalf * Math.min(1, perspective.aspect));
+        const distance = sphere.radius * 1.05 / (this.camera.isOrthographicCamera ? Math.tan(halfFov) : Math.sin(halfFov));
+
+        const direction = this.camera.position.clone().sub(this.cameraTarget);
+        if (direction.lengthSq() === 0) direction.set(0, 0, 1);
+        this.cameraTarget.copy(sphere.center);
+        this.camera.position.copy(sphere.center).addScaledVector(direction.normalize(), distance);
+        this.camera.lookAt(this.cameraTarget);
+
+        this.notifyLinked('view');
+        this.schedulePermalinkUpdate(true);
+    }
+
+    stopMomentum() {
+        this.momentum.rotation.x = 0;
+        this.momentum.rotation.y = 0;
+        this.momentum.pan.x = 0;
+        this.momentum.pan.y = 0;
+    }
+
+    // Double-clicking the model moves the orbit pivot to the point under the cursor
+    onCanvasDoubleClick(event) {
+        // Double-clicks finish polylines while measuring
+        if (this.measureTool) return;
+        const point = this.pickSurfacePoint(event.clientX, event.clientY);
+        if (!point) return;
+
+        this.stopCameraPath();
+        this.stopMomentum();
+        const pivot = this.annotationRoot.localToWorld(point);
+        if (this.camera.isOrthographicCamera) {
+            // Slide over to the point; turning towards it would change the orthographic scale
+            const offset = this.camera.position.clone().sub(this.cameraTarget);
+            this.camera.position.copy(pivot).add(offset);
+        }
+        this.cameraTarget.copy(pivot);
+        this.camera.lookAt(this.cameraTarget);
+
+        this.notifyLinked('view');
+        this.schedulePermalinkUpdate(true);
+    }
+
+    onNavigationKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const navigation = this.navigation;
+        if (navigation.mode !== 'orbit' && NAVIGATION_KEYS.includes(event.code)) {
+            navigation.keys.add(event.code);
+            // Space would scroll the page
+            event.preventDefault();
+            return;
+        }
+
+        // Numpad keys as in Blender, plus the digit row for keyboards without one
+        const key = event.code.replace(/^(Digit|Numpad)/, '');
+        const actions = {
+            1: () => this.setViewPreset('front'),
+            3: () => this.setViewPreset('side'),
+            7: () => this.setViewPreset('top'),
+            5: () => this.setProjection(this.camera.isOrthographicCamera ? 'perspective' : 'orthographic'),
+            KeyF: () => this.fitToView()
+        };
+        if (actions[key]) {
+            actions[key]();
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Move the camera for the held keys: WASD along the view (kept level when
+     * walking), Q/E down and up when flying, four times faster with Shift.
+     * Walking holds the eye walkEyeHeight above the mesh surface under it and
+     * falls with gravity; over point clouds, splats or empty space it keeps
+     * its height.
+     */
+    updateNavigation(now) {
+        const navigation = this.navigation;
+        const elapsed = navigation.lastTime !== null ? Math.min((now - navigation.lastTime) / 1000, 0.1) : 0;
+        navigation.lastTime = now;
+        if (navigation.mode === 'orbit' || !this.mesh || elapsed === 0) return;
+
+        const keys = navigation.keys;
+        const walking = navigation.mode === 'walk';
+        // World units per PLY unit
+        const scale = this.mesh.scale.x;
+        const up = this.camera.up;
+        const forward = this.cameraTarget.clone().sub(this.camera.position).normalize();
+        if (walking) forward.addScaledVector(up, -forward.dot(up)).normalize();
+        const right = forward.clone().cross(up).normalize();
+
+        const offset = new THREE.Vector3();
+        if (keys.has('KeyW')) offset.add(forward);
+        if (keys.has('KeyS')) offset.sub(forward);
+        if (keys.has('KeyD')) offset.add(right);
+        if (keys.has('KeyA')) offset.sub(right);
+        if (!walking && keys.has('KeyE')) offset.add(up);
+        if (!walking && keys.has('KeyQ')) offset.sub(up);
+
+        let speed;
+        if (walking) {
+            speed = this.options.walkSpeed * scale;
+        } else if (this.options.flySpeed) {
+            speed = this.options.flySpeed * scale;
+        } else {
+            const size = this.getBounds().getSize(new THREE.Vector3());
+            speed = Math.max(size.x, size.y, size.z) * scale * 0.1;
+        }
+        speed *= navigation.speedScale * (keys.has('ShiftLeft') || keys.has('ShiftRight') ? 4 : 1);
+        if (offset.lengthSq() > 0) offset.normalize().multiplyScalar(speed * elapsed);
+
+        if (walking) {
+            if (now - navigation.groundCheck > 100) {
+                navigation.groundLevel = this.findGroundLevel(this.camera.position.clone().add(offset));
+                navigation.groundCheck = now;
+            }
+
+            if (navigation.groundLevel === null) {
+                navigation.verticalSpeed = 0;
+            } else {
+                const level = this.camera.position.dot(up);
+                const standing = navigation.groundLevel + this.options.walkEyeHeight * scale;
+                const gravity = this.options.gravity * scale;
+                if (keys.has('Space') && level <= standing + 1e-6 && gravity > 0) {
+                    // Jump half a PLY unit high
+                    navigation.verticalSpeed = Math.sqrt(gravity * scale);
+                }
+                navigation.verticalSpeed -= gravity * elapsed;
+                let newLevel = level + navigation.verticalSpeed * elapsed;
+                if (newLevel <= standing) {
+                    newLevel = standing;
+                    navigation.verticalSpeed = 0;
+                }
+                offset.addScaledVector(up, newLevel - level);
+            }
+        }
+
+        if (offset.lengthSq() === 0) return;
+        this.camera.position.add(offset);
+        this.cameraTarget.add(offset);
+        this.notifyLinked('view');
+        this.schedulePermalinkUpdate(true);
+    }
+
+    // Level along camera.up of the mesh surface below a world-space point, or null
+    findGroundLevel(position) {
+        if (this.activeRenderMode !== 'mesh') return null;
+
+        const down = this.camera.up.clone().negate();
+        const raycaster = new THREE.Raycaster(position, down);
+        this.mesh.updateMatrixWorld();
+        const hit = raycaster.intersectObject(this.mesh, false)
+            .find(intersection => this.clippingPlanes.every(plane => plane.distanceToPoint(intersection.point) >= 0));
+        return hit ? hit.point.dot(this.camera.up) : null;
+    }
+
+    createNavigationControls() {
+        const panel = document.createElement('div');
+        panel.className = 'mesh-viewer__panel mesh-viewer__panel--navigation';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <strong>Navigation</strong>
+            <div class="mesh-viewer__buttons">
+                <button type="button" data-mode="orbit" title="Drag to orbit, right-drag to pan, scroll to zoom">Orbit</button>
+                <button type="button" data-mode="fly" title="WASD to move, Q/E down and up, drag to look around">Fly</button>
+                <button type="button" data-mode="walk" title="WASD to walk on the surface, Space to jump">Walk</button>
+            </div>
+            <div class="mesh-viewer__buttons">
+                <button type="button" data-preset="top" title="Top view (7)">Top</button>
+                <button type="button" data-preset="front" title="Front view (1)">Front</button>
+                <button type="button" data-preset="side" title="Side view (3)">Side</button>
+            </div>
+            <div class="mesh-viewer__buttons">
+                <button type="button" data-action="projection" title="Orthographic projection (5)">Ortho</button>
+                <button type="button" data-action="fit" title="Frame the whole model (F)">Fit</button>
+            </div>
+        `;
+        this.container.appendChild(panel);
+
+        this.addToolbarButton('View', 'Navigation mode, projection and view presets', (button) => {
+            const open = panel.style.display === 'none';
+            panel.style.display = open ? '' : 'none';
+            button.classList.toggle('is-active', open);
+        });
+        panel.addEventListener('click', (event) => {
+            const { mode, preset, action } = event.target.dataset;
+            if (mode) this.setNavigationMode(mode);
+            else if (preset) this.setViewPreset(preset);
+            else if (action === 'projection') this.setProjection(this.camera.isOrthographicCamera ? 'perspective' : 'orthographic');
+            else if (action === 'fit') this.fitToView();
+            else return;
+            // Hand the keyboard back to the view for WASD and the preset keys
+            this.renderer.domElement.focus({ preventScroll: true });
+        });
+
+        this.navigation.controls = panel;
+        this.updateNavigationControls();
+    }
+
+    updateNavigationControls() {
+        const panel = this.navigation.controls;
+        if (panel) {
+            panel.querySelectorAll('[data-mode]').forEach(button => {
+                button.classList.toggle('is-active', button.dataset.mode === this.navigation.mode);
+            });
+            panel.querySelector('[data-action="projection"]').classList.toggle('is-active', Boolean(this.camera.isOrthographicCamera));
         }
+        this.updateNavigationReadout();
+    }
+
+    // Key reminder and speed while flying or walking
+    updateNavigationReadout() {
+        const navigation = this.navigation;
+        if (!navigation.readout) {
+            if (navigation.mode === 'orbit') return;
+            navigation.readout = document.createElement('div');
+            navigation.readout.className = 'mesh-viewer__readout mesh-viewer__readout--navigation';
+            this.container.appendChild(navigation.readout);
+        }
+
+        const hints = {
+            fly: 'WASD move · Q/E down/up · Shift faster · drag to look',
+            walk: 'WASD walk · Space jump · Shift run · drag to look'
+        };
+        const speed = `scroll for speed ×${Number(navigation.speedScale.toPrecision(3))}`;
+        navigation.readout.textContent = navigation.mode === 'orbit' ? '' : `${hints[navigation.mode]} · ${speed}`;
+        navigation.readout.style.display = navigation.mode === 'orbit' ? 'none' : '';
+    }
+
+    notifyLinked(type, ...args) {
+        if (this.linkGroup) {
+            this.linkGroup.propagate(this, type, args);
+        }
+    }
+
+    /**
+     * Join viewers into a camera sync group, e.g.
+     * PLYMeshViewer.link([a, b], { orbit: true, target: true, zoom: true }).
+     * See ViewerLinkGroup for the options and runtime controls.
+     */
+    static link(viewers, options = {}) {
+        return new ViewerLinkGroup(viewers, options);
+    }
+
+    static unlink(viewers) {
+        viewers.forEach(viewer => {
+            if (viewer.linkGroup) viewer.linkGroup.remove(viewer);
+        });
     }
 
     onWindowResize() {
         const width = this.container.clientWidth;
         const height = this.container.clientHeight;
 
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        this.perspectiveCamera.aspect = width / height;
+        this.updateCameraProjection();
         this.renderer.setSize(width, height);
     }
 
-    async loadPLY(source) {
-        try {
-            let plyData;
+    /**
+     * Load a PLY from a URL, File/Blob or ArrayBuffer.
+     * options.signal cancels the load; options.onProgress receives
+     * { phase, loadedBytes, totalBytes, vertices, totalVertices }.
+     * Starting a new load cancels the one still in flight.
+     */
+    async loadPLY(source, options = {}) {
+        this.clearTimeline();
+        if (this.loadController) {
+            this.loadController.abort();
+        }
 
-            if (typeof source === 'string') {
-                const response = await fetch(source);
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch PLY file: ${response.statusText}`);
-                }
-                plyData = await response.arrayBuffer();
-            } else if (source instanceof File) {
-                plyData = await source.arrayBuffer();
-            } else if (source instanceof ArrayBuffer) {
-                plyData = source;
+        const controller = new AbortController();
+        this.loadController = controller;
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
             } else {
-                throw new Error('Invalid source type for PLY file');
+                options.signal.addEventListener('abort', () => controller.abort(), { once: true });
             }
+        }
+
+        const onProgress = (progress) => {
+            this.updateProgress(progress);
+            const callback = options.onProgress || this.options.onProgress;
+            if (callback) callback(progress);
+        };
 
-            const geometry = this.parsePLY(plyData);
+        try {
+            const data = await this.loadPLYData(source, controller.signal, onProgress);
+            const geometry = this.createGeometry(data);
             this.displayMesh(geometry);
+            this.sourceUrl = typeof source === 'string' ? source : null;
+            this.sourceName = this.getSourceName(source);
+            this.schedulePermalinkUpdate();
+            this.startInitialCameraPath();
         } catch (error) {
-            console.error('Error loading PLY file:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Error loading PLY file:', error);
+            }
             throw error;
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.updateProgress(null);
+            }
         }
     }
 
-    parsePLY(arrayBuffer) {
-        const data = new Uint8Array(arrayBuffer);
-        let position = 0;
-
-        // Read header
-        const decoder = new TextDecoder('ascii');
-        let headerText = '';
-
-        while (position < data.length) {
-            const char = String.fromCharCode(data[position]);
-            headerText += char;
-            position++;
-
-            if (headerText.endsWith('end_header\n') || headerText.endsWith('end_header\r\n')) {
-                break;
-            }
-        }
-
-        // Parse header
-        const lines = headerText.split('\n').map(line => line.trim());
-        let vertexCount = 0;
-        let faceCount = 0;
-        let format = 'ascii';
-        const vertexProperties = [];
-        let inVertex = false;
-        let inFace = false;
-
-        for (const line of lines) {
-            const tokens = line.split(/\s+/);
-
-            if (tokens[0] === 'format') {
-                format = tokens[1];
-            } else if (tokens[0] === 'element') {
-                if (tokens[1] === 'vertex') {
-                    vertexCount = parseInt(tokens[2]);
-                    inVertex = true;
-                    inFace = false;
-                } else if (tokens[1] === 'face') {
-                    faceCount = parseInt(tokens[2]);
-                    inFace = true;
-                    inVertex = false;
-                }
-            } else if (tokens[0] === 'property') {
-                if (inVertex) {
-                    vertexProperties.push({ type: tokens[1], name: tokens[2] });
-                }
-            }
+    cancelLoad() {
+        if (this.loadController) {
+            this.loadController.abort();
         }
+    }
 
-        const geometry = new THREE.BufferGeometry();
+    // File name of a URL or File source, used to pick its format and name exports
+    getSourceName(source) {
+        if (typeof source === 'string') return decodeURIComponent(source.split(/[?#]/)[0].split('/').pop());
+        return source && source.name ? source.name : null;
+    }
 
-        if (format.startsWith('binary')) {
-            this.parseBinaryPLY(data, position, vertexCount, faceCount, vertexProperties, geometry, format);
-        } else {
-            this.parseAsciiPLY(headerText, arrayBuffer, vertexCount, faceCount, geometry);
+    /**
+     * Download and parse a PLY, OBJ, STL, GLB or quantized mesh file, optionally
+     * gzip/deflate-compressed, into PLYParser's result shape. The format comes
+     * from the file's magic bytes or its name, see MeshFormats.detectFormat;
+     * GLB files are turned to the upAxis option.
+     */
+    async loadPLYData(source, signal, onProgress) {
+        if (typeof source === 'string') {
+            // Workers resolve relative URLs against their own script, not the page
+            source = new URL(source, document.baseURI).href;
+        } else if (!(source instanceof Blob) && !(source instanceof ArrayBuffer)) {
+            throw new Error('Invalid source type for PLY file');
         }
+        const format = { name: this.getSourceName(source), upAxis: this.options.upAxis };
 
-        geometry.computeVertexNormals();
-        return geometry;
+        if (this.options.useWorker && typeof Worker !== 'undefined') {
+            let worker;
+            try {
+                worker = new Worker(this.options.workerUrl);
+            } catch (error) {
+                // file:// pages and strict CSPs refuse workers
+                console.warn('PLY worker unavailable, parsing on the main thread:', error);
+            }
+            if (worker) {
+                try {
+                    return await this.runWorker(worker, { source, format }, signal, onProgress);
+                } catch (error) {
+                    if (!error.workerUnavailable) throw error;
+                    // A worker script that 404s or is blocked only fails once it starts
+                    console.warn('PLY worker failed to start, parsing on the main thread:', error);
+                }
+            }
+        }
+
+        return this.loadOnMainThread(source, signal, onProgress, format);
     }
 
-    parseBinaryPLY(data, position, vertexCount, faceCount, vertexProperties, geometry, format) {
-        const littleEndian = format.includes('little');
-        const view = new DataView(data.buffer, position);
-        let offset = 0;
-
-        const vertices = [];
-        const colors = [];
-        const hasColor = vertexProperties.some(p => p.name === 'red' || p.name === 'r');
-
-        for (let i = 0; i < vertexCount; i++) {
-            let x = 0, y = 0, z = 0;
-            let r = 255, g = 255, b = 255;
-
-            for (const prop of vertexProperties) {
-                let value;
-
-                if (prop.type === 'float') {
-                    value = view.getFloat32(offset, littleEndian);
-                    offset += 4;
-                } else if (prop.type === 'double') {
-                    value = view.getFloat64(offset, littleEndian);
-                    offset += 8;
-                } else if (prop.type === 'uchar') {
-                    value = view.getUint8(offset);
-                    offset += 1;
-                } else if (prop.type === 'int') {
-                    value = view.getInt32(offset, littleEndian);
-                    offset += 4;
-                }
+    /**
+     * Post one job to a worker speaking the progress/result/error protocol, then
+     * terminate it. A worker error before any message rejects with
+     * error.workerUnavailable set: the script did not load or run.
+     */
+    runWorker(worker, job, signal, onProgress, transfer = []) {
+        return new Promise((resolve, reject) => {
+            let answered = false;
+            const finish = () => {
+                worker.terminate();
+                signal.removeEventListener('abort', onAbort);
+            };
+
+            // Terminating also stops a fetch or parse that is still running in the worker
+            const onAbort = () => {
+                finish();
+                reject(new DOMException('The worker job was aborted', 'AbortError'));
+            };
 
-                if (prop.name === 'x') x = value;
-                else if (prop.name === 'y') y = value;
-                else if (prop.name === 'z') z = value;
-                else if (prop.name === 'red' || prop.name === 'r') r = value;
-                else if (prop.name === 'green' || prop.name === 'g') g = value;
-                else if (prop.name === 'blue' || prop.name === 'b') b = value;
+            if (signal.aborted) {
+                onAbort();
+                return;
             }
+            signal.addEventListener('abort', onAbort);
+
+            worker.addEventListener('message', (event) => {
+                answered = true;
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress(message.progress);
+                } else if (message.type === 'result') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            });
+
+            worker.addEventListener('error', (event) => {
+                finish();
+                const error = new Error(event.message || 'Worker failed');
+                error.workerUnavailable = !answered;
+                reject(error);
+            });
+
+            worker.postMessage(job, transfer);
+        });
+    }
+
+    async loadOnMainThread(source, signal, onProgress, format = {}) {
+        let bytes;
+        let totalBytes = 0;
+        const onDownload = (progress) => {
+            totalBytes = progress.totalBytes;
+            onProgress({ phase: 'download', ...progress, vertices: 0, totalVertices: 0 });
+        };
 
-            vertices.push(x, y, z);
-            if (hasColor) {
-                colors.push(r / 255, g / 255, b / 255);
+        if (typeof source === 'string') {
+            const response = await fetch(source, { signal });
+            if (!response.ok) {
+                throw new Error(`Failed to fetch PLY file: ${response.statusText}`);
             }
+            bytes = await PLYParser.readBody(response, onDownload);
+        } else if (source instanceof Blob) {
+            bytes = await PLYParser.readBody(source, onDownload);
+        } else {
+            bytes = new Uint8Array(source);
         }
 
-        const indices = [];
+        const compression = MeshFormats.detectCompression(bytes);
+        if (compression) {
+            onProgress({ phase: 'decompress', loadedBytes: bytes.length, totalBytes: bytes.length, vertices: 0, totalVertices: 0 });
+            bytes = await MeshFormats.decompress(bytes, compression);
+        }
 
-        for (let i = 0; i < faceCount; i++) {
-            const numVertices = view.getUint8(offset);
-            offset += 1;
+        if (signal.aborted) {
+            throw new DOMException('PLY loading was aborted', 'AbortError');
+        }
 
-            const faceIndices = [];
-            for (let j = 0; j < numVertices; j++) {
-                faceIndices.push(view.getInt32(offset, littleEndian));
-                offset += 4;
+        const loadedBytes = bytes.length;
+        return MeshFormats.parse(bytes, {
+            ...format,
+            onProgress: ({ vertices, totalVertices }) => {
+                onProgress({ phase: 'parse', loadedBytes, totalBytes: totalBytes || loadedBytes, vertices, totalVertices });
             }
+        });
+    }
+
+    updateProgress(progress) {
+        if (!this.options.showProgress) return;
 
-            if (numVertices === 3) {
-                indices.push(faceIndices[0], faceIndices[1], faceIndices[2]);
-            } else if (numVertices === 4) {
-                indices.push(faceIndices[0], faceIndices[1], faceIndices[2]);
-                indices.push(faceIndices[0], faceIndices[2], faceIndices[3]);
+        if (!progress) {
+            if (this.progressElement) {
+                this.progressElement.remove();
+                this.progressElement = null;
             }
+            return;
         }
 
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
+        if (!this.progressElement) {
+            this.progressElement = document.createElement('div');
+            this.progressElement.className = 'mesh-viewer__progress';
+            this.container.appendChild(this.progressElement);
+        }
 
-        if (hasColor && colors.length > 0) {
-            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        if (progress.phase === 'download') {
+            this.progressElement.textContent = progress.totalBytes > 0
+                ? `Downloading ${megabytes(progress.loadedBytes)} / ${megabytes(progress.totalBytes)} MB`
+                : `Downloading ${megabytes(progress.loadedBytes)} MB`;
+        } else if (progress.phase === 'decompress') {
+            this.progressElement.textContent = `Unpacking ${megabytes(progress.loadedBytes)} MB`;
+        } else if (progress.phase === 'evaluate') {
+            this.progressElement.textContent = progress.total > 0
+                ? `Evaluating (${progress.stage}) ${Math.round(100 * progress.done / progress.total)}%`
+                : `Evaluating (${progress.stage})`;
+        } else if (progress.totalVertices > 0) {
+            this.progressElement.textContent =
+                `Parsing ${progress.vertices.toLocaleString()} / ${progress.totalVertices.toLocaleString()} vertices`;
+        } else {
+            // OBJ files do not say how many vertices follow
+            this.progressElement.textContent = `Parsing ${progress.vertices.toLocaleString()} vertices`;
         }
     }
 
-    parseAsciiPLY(headerText, arrayBuffer, vertexCount, faceCount, geometry) {
-        const decoder = new TextDecoder('ascii');
-        const text = decoder.decode(arrayBuffer);
-        const lines = text.split('\n');
+    parsePLY(arrayBuffer) {
+        return this.createGeometry(PLYParser.parse(arrayBuffer));
+    }
 
-        let dataStartLine = 0;
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].trim() === 'end_header') {
-                dataStartLine = i + 1;
-                break;
-            }
+    createGeometry(data) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+        // An empty index would make THREE.Points draw and raycast nothing
+        if (data.indices.length > 0) {
+            geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
         }
 
-        const vertices = [];
-        const colors = [];
+        if (data.colors) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
+        }
 
-        for (let i = 0; i < vertexCount; i++) {
-            const line = lines[dataStartLine + i].trim();
-            if (!line) continue;
+        // Keep the header and the remaining per-vertex scalars for later use
+        geometry.userData.header = data.header;
+        geometry.userData.properties = data.properties;
 
-            const values = line.split(/\s+/).map(v => parseFloat(v));
-            vertices.push(values[0], values[1], values[2]);
+        const gaussian = this.createGaussianData(data);
+        if (gaussian) {
+            this.finishGaussianData(gaussian, geometry);
+        }
 
-            if (values.length >= 6) {
-                colors.push(values[3] / 255, values[4] / 255, values[5] / 255);
-            }
+        // Quantized meshes bring their own normals
+        if (data.normals) {
+            geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+        } else if (data.indices.length > 0) {
+            geometry.computeVertexNormals();
+        }
+        return geometry;
+    }
+
+    createGaussianData(data) {
+        const names = Object.keys(data.properties);
+        if (typeof GaussianSplatCloud === 'undefined' || !GaussianSplatCloud.hasGaussianProperties(names)) {
+            return null;
         }
 
-        const indices = [];
-        for (let i = 0; i < faceCount; i++) {
-            const line = lines[dataStartLine + vertexCount + i].trim();
-            if (!line) continue;
+        const gaussian = GaussianSplatCloud.packProperties(data.properties, data.vertexCount);
+        // The SH coefficients can take hundreds of MB; keep only the packed copy (see getExportMesh)
+        names.filter(name => name.startsWith('f_rest_')).forEach(name => delete data.properties[name]);
+        return gaussian;
+    }
 
-            const values = line.split(/\s+/).map(v => parseInt(v));
-            const numVertices = values[0];
+    finishGaussianData(gaussian, geometry) {
+        // Base SH color doubles as vertex color when the file is drawn as a mesh
+        const colors = new Float32Array(gaussian.count * 3);
+        for (let i = 0; i < colors.length; i++) {
+            colors[i] = THREE.MathUtils.clamp(0.5 + GaussianSplatCloud.SH_C0 * gaussian.dc[i], 0, 1);
+        }
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.userData.gaussian = gaussian;
+    }
 
-            if (numVertices === 3) {
-                indices.push(values[1], values[2], values[3]);
-            } else if (numVertices === 4) {
-                indices.push(values[1], values[2], values[3]);
-                indices.push(values[1], values[3], values[4]);
-            }
+    resolveRenderMode(geometry) {
+        const requested = this.options.renderMode;
+        const hasFaces = geometry.index !== null && geometry.index.count > 0;
+
+        if (requested === 'mesh' || requested === 'points') return requested;
+        if (geometry.userData.gaussian && typeof GaussianSplatCloud !== 'undefined') return 'splats';
+        return hasFaces ? 'mesh' : 'points';
+    }
+
+    /**
+     * Show a geometry, centered and framed by the camera. With options.keepView
+     * it takes over the current mesh's placement instead, so the camera stays put.
+     */
+    displayMesh(geometry, options = {}) {
+        const placement = options.keepView && this.mesh ? {
+            origin: (this.mesh.geometry.userData.origin || new THREE.Vector3()).clone(),
+            scale: this.mesh.scale.clone(),
+            rotation: this.mesh.rotation.clone()
+        } : null;
+
+        this.removeMesh();
+        this.clearTopologyHighlights();
+        this.meshStats = null;
+        this.cancelEvaluation();
+        this.evaluation = null;
+        if (this.lod && this.lod.source !== geometry) {
+            this.clearLOD();
+        }
+        this.geometry = geometry;
+        this.activeRenderMode = this.resolveRenderMode(geometry);
+
+        const drawable = this.createDrawable(geometry, this.activeRenderMode);
+        this.mesh = drawable.object;
+        this.splats = drawable.splats;
+
+        this.scene.add(this.mesh);
+        if (placement) {
+            this.placeMesh(placement);
+        } else {
+            this.centerMesh();
+        }
+
+        if (this.comparison) {
+            this.alignComparison();
         }
 
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
+        // Keep the color-by attribute across loads when the new file has it too
+        if (this.colorBy && !this.getScalarProperties().includes(this.colorBy.property)) {
+            this.colorBy = null;
+        }
+        if (this.colorBy) {
+            this.applyColorBy();
+        } else {
+            this.updateLegend();
+        }
+        this.updateColorControls();
+        this.updateStatsPanel();
+        this.updateEvalPanel();
 
-        if (colors.length > 0) {
-            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        if (!this.lod && this.activeRenderMode === 'mesh') {
+            this.buildLOD(geometry);
         }
     }
 
-    displayMesh(geometry) {
-        if (this.mesh) {
-            this.scene.remove(this.mesh);
-            if (this.mesh.geometry) this.mesh.geometry.dispose();
-            if (this.mesh.material) this.mesh.material.dispose();
+    // Build the scene object for a geometry in the given render mode
+    createDrawable(geometry, mode) {
+        if (mode === 'splats') {
+            const splats = new GaussianSplatCloud(geometry.attributes.position.array, geometry.userData.gaussian, {
+                shDegree: this.options.splatShDegree,
+                workerUrl: this.options.useWorker ? this.options.splatWorkerUrl : null
+            });
+            // The splat centers start out wherever the source geometry currently is
+            if (geometry.userData.origin) {
+                splats.mesh.geometry.userData.origin = geometry.userData.origin.clone();
+            }
+            splats.mesh.material.clippingPlanes = this.clippingPlanes;
+            return { object: splats.mesh, splats };
         }
 
         const hasColors = geometry.attributes.color !== undefined && !this.options.forceMeshColor;
+
+        if (mode === 'points') {
+            const material = new PointCloudMaterial({
+                color: this.options.meshColor,
+                vertexColors: hasColors,
+                size: this.options.pointSize,
+                sizeMode: this.options.pointSizeMode,
+                round: this.options.roundPoints
+            });
+            material.clippingPlanes = this.clippingPlanes;
+            return { object: new THREE.Points(geometry, material), splats: null };
+        }
+
         const material = new THREE.MeshStandardMaterial({
             color: this.options.meshColor,
             vertexColors: hasColors,
@@ -514,13 +1416,44 @@ class PLYMeshViewer {
             metalness: 0.3,
             roughness: 0.7,
             side: THREE.DoubleSide,
-            flatShading: false
+            flatShading: false,
+            clippingPlanes: this.clippingPlanes
         });
+        const mesh = new THREE.Mesh(geometry, material);
 
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.mesh);
+        // Back faces seen through a cut are drawn flat, which reads as a cap on closed shells
+        const cap = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: this.options.clipCapColor,
+            side: THREE.BackSide,
+            clippingPlanes: this.clippingPlanes
+        }));
+        cap.visible = false;
+        mesh.add(cap);
+        mesh.userData.cap = cap;
+        this.updateClipCap(mesh);
+
+        return { object: mesh, splats: null };
+    }
+
+    disposeDrawable(scene, object, splats) {
+        scene.remove(object);
+        if (splats) {
+            splats.dispose();
+            return;
+        }
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+        if (object.userData.cap) object.userData.cap.material.dispose();
+    }
 
-        this.centerMesh();
+    removeMesh() {
+        if (this.mesh) {
+            // Put the full mesh back so it is the geometry that gets disposed
+            this.showLODLevel(-1);
+            this.disposeDrawable(this.scene, this.mesh, this.splats);
+        }
+        this.mesh = null;
+        this.splats = null;
     }
 
     centerMesh() {
@@ -533,6 +1466,10 @@ class PLYMeshViewer {
         boundingBox.getCenter(center);
         this.mesh.geometry.translate(-center.x, -center.y, -center.z);
 
+        // Accumulated translation, so geometry coordinates + origin = PLY coordinates
+        const userData = this.mesh.geometry.userData;
+        userData.origin = (userData.origin || new THREE.Vector3()).add(center);
+
         const size = new THREE.Vector3();
         boundingBox.getSize(size);
         const maxDim = Math.max(size.x, size.y, size.z);
@@ -541,11 +1478,14 @@ class PLYMeshViewer {
 
         const target = this.options.initialTarget || { x: 0, y: 0, z: 0 };
         this.cameraTarget.set(target.x || 0, target.y || 0, target.z || 0);
+        // initialOrbit is given around +y; fly and walk keep the model's up instead
+        if (this.navigation.mode === 'orbit') this.camera.up.set(0, 1, 0);
+        else this.camera.up.copy(this.getViewAxes().up);
         // Recompute a comfortable camera distance based on the scaled mesh size
         const scaledSize = size.clone().multiplyScalar(scale);
         const scaledMaxDim = Math.max(scaledSize.x, scaledSize.y, scaledSize.z);
         const boundingRadius = scaledMaxDim * 0.5;
-        const fovInRad = THREE.MathUtils.degToRad(this.camera.fov);
+        const fovInRad = THREE.MathUtils.degToRad(this.perspectiveCamera.fov);
         const distance = (boundingRadius / Math.sin(fovInRad / 2)) * 1.2; // add slight padding
 
         // Prevent the camera from getting too close or too far
@@ -553,6 +1493,16 @@ class PLYMeshViewer {
         this.applyOrbit(clampedDistance, this.options.initialOrbit);
     }
 
+    // Move the mesh into an existing placement from displayMesh, leaving the camera alone
+    placeMesh({ origin, scale, rotation }) {
+        const geometry = this.mesh.geometry;
+        const shift = origin.clone().sub(geometry.userData.origin || new THREE.Vector3());
+        geometry.translate(-shift.x, -shift.y, -shift.z);
+        geometry.userData.origin = origin.clone();
+        this.mesh.scale.copy(scale);
+        this.mesh.rotation.copy(rotation);
+    }
+
     applyOrbit(distance, orbitConfig = {}) {
         const orbit = {
             theta: 0,
@@ -575,7 +1525,8 @@ class PLYMeshViewer {
         const y = effectiveDistance * cosPhi;
         const z = effectiveDistance * sinPhi * cosTheta;
 
-        this.camera.position.set(x, y, z);
+        // Orbit around the target, matching what getCurrentOrbit reports
+        this.camera.position.set(x, y, z).add(this.cameraTarget);
         this.camera.lookAt(this.cameraTarget);
     }
 
@@ -605,20 +1556,628 @@ class PLYMeshViewer {
         };
     }
 
-    setWireframe(enabled) {
-        if (this.mesh && this.mesh.material) {
-            this.mesh.material.wireframe = enabled;
-        }
+    // Exact inverse of getCurrentViewState
+    setViewState(state) {
+        const current = this.getCurrentViewState();
+        const theta = state.theta !== undefined ? state.theta : current.theta;
+        const phi = state.phi !== undefined ? state.phi : current.phi;
+        const radius = state.radius !== undefined ? state.radius : current.radius;
+        const target = state.target || current.target;
+
+        this.cameraTarget.set(target.x || 0, target.y || 0, target.z || 0);
+        this.applyOrbit(radius, { theta, phi, radius });
+        this.schedulePermalinkUpdate();
     }
 
-    setMeshColor(color) {
-        if (this.mesh && this.mesh.material) {
+    /**
+     * Record the current view as a keyframe of this.cameraPath.
+     * options: duration (s, travel time from the previous keyframe), easing, index
+     */
+    addCameraKeyframe(options = {}) {
+        const keyframe = this.cameraPath.addKeyframe(this.getCurrentViewState(), options);
+        this.updateCameraPathControls();
+        return keyframe;
+    }
+
+    removeCameraKeyframe(index) {
+        this.cameraPath.removeKeyframe(index);
+        this.updateCameraPathControls();
+    }
+
+    clearCameraPath() {
+        this.stopCameraPath();
+        this.cameraPath.clear();
+        this.updateCameraPathControls();
+    }
+
+    // Fly through this.cameraPath (or the given path); any user input stops playback
+    playCameraPath(options = {}) {
+        if (options.path) {
+            this.cameraPath = options.path instanceof CameraPath ? options.path : CameraPath.fromJSON(options.path);
+        }
+        if (this.cameraPath.keyframes.length === 0) return;
+
+        this.momentum.rotation.x = this.momentum.rotation.y = 0;
+        this.momentum.pan.x = this.momentum.pan.y = 0;
+        this.cameraPathPlayback = {
+            startTime: performance.now(),
+            loop: options.loop !== undefined ? options.loop : this.options.cameraPathLoop
+        };
+        this.updateCameraPathControls();
+    }
+
+    stopCameraPath() {
+        if (!this.cameraPathPlayback) return;
+        this.cameraPathPlayback = null;
+        this.updateCameraPathControls();
+    }
+
+    updateCameraPath(now) {
+        const playback = this.cameraPathPlayback;
+        if (!playback) return;
+
+        const duration = this.cameraPath.duration;
+        let time = (now - playback.startTime) / 1000;
+        if (playback.loop && duration > 0) {
+            time %= duration;
+        }
+
+        const state = this.cameraPath.sample(time);
+        if (state) {
+            this.setViewState(state);
+            if (this.linkGroup && this.linkGroup.enabled) {
+                this.linkGroup.syncFrom(this);
+            }
+        }
+
+        if (!state || (!playback.loop && time >= duration)) {
+            this.stopCameraPath();
+        }
+    }
+
+    exportCameraPath() {
+        return JSON.stringify(this.cameraPath.toJSON(), null, 2);
+    }
+
+    importCameraPath(json) {
+        this.stopCameraPath();
+        this.cameraPath = CameraPath.fromJSON(json);
+        this.updateCameraPathControls();
+        return this.cameraPath;
+    }
+
+    // Load a path from a URL, File or JSON object/string
+    async loadCameraPath(source) {
+        if (typeof source === 'string' && !/^\s*[[{]/.test(source)) {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch camera path: ${response.statusText}`);
+            }
+            return this.importCameraPath(await response.text());
+        }
+        if (source instanceof Blob) {
+            return this.importCameraPath(await source.text());
+        }
+        return this.importCameraPath(source);
+    }
+
+    // The cameraPath option is played once, after the first mesh is shown
+    startInitialCameraPath() {
+        const source = this.options.cameraPath;
+        if (!source) return;
+        this.options.cameraPath = null;
+
+        this.loadCameraPath(source)
+            .then(() => {
+                if (this.options.cameraPathAutoplay) this.playCameraPath();
+            })
+            .catch(error => console.error('Error loading camera path:', error));
+    }
+
+    createCameraPathControls() {
+        const panel = document.createElement('div');
+        panel.className = 'mesh-viewer__panel mesh-viewer__panel--path';
+        panel.innerHTML = `
+            <label>Duration
+                <input data-role="duration" type="number" min="0" step="0.5" value="2">
+            </label>
+            <label>Easing
+                <select data-role="easing"></select>
+            </label>
+            <div class="mesh-viewer__buttons">
+                <button type="button" data-role="add">Add view</button>
+                <button type="button" data-role="play">Play</button>
+                <button type="button" data-role="clear">Clear</button>
+            </div>
+            <div class="mesh-viewer__buttons">
+                <button type="button" data-role="export">Export</button>
+                <button type="button" data-role="import">Import</button>
+                <input data-role="file" type="file" accept=".json,application/json" hidden>
+            </div>
+            <div data-role="status"></div>
+        `;
+        this.container.appendChild(panel);
+
+        const field = (role) => panel.querySelector(`[data-role="${role}"]`);
+        this.cameraPathControls = {
+            panel,
+            duration: field('duration'),
+            easing: field('easing'),
+            play: field('play'),
+            file: field('file'),
+            status: field('status')
+        };
+
+        CameraPath.easings().forEach(name => {
+            this.cameraPathControls.easing.add(new Option(name, name));
+        });
+        this.cameraPathControls.easing.value = 'easeInOut';
+
+        field('add').addEventListener('click', () => {
+            const duration = parseFloat(this.cameraPathControls.duration.value);
+            this.addCameraKeyframe({
+                duration: Number.isFinite(duration) ? Math.max(duration, 0) : 2,
+                easing: this.cameraPathControls.easing.value
+            });
+        });
+        field('play').addEventListener('click', () => {
+            if (this.cameraPathPlayback) this.stopCameraPath();
+            else this.playCameraPath();
+        });
+        field('clear').addEventListener('click', () => this.clearCameraPath());
+        field('export').addEventListener('click', () => {
+            const url = URL.createObjectURL(new Blob([this.exportCameraPath()], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'camera_path.json';
+            link.click();
+            URL.revokeObjectURL(url);
+        });
+        field('import').addEventListener('click', () => this.cameraPathControls.file.click());
+        this.cameraPathControls.file.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+            this.loadCameraPath(file).catch(error => {
+                this.cameraPathControls.status.textContent = error.message;
+            });
+        });
+
+        this.updateCameraPathControls();
+    }
+
+    updateCameraPathControls() {
+        const controls = this.cameraPathControls;
+        if (!controls) return;
+
+        const count = this.cameraPath.keyframes.length;
+        controls.play.textContent = this.cameraPathPlayback ? 'Stop' : 'Play';
+        controls.play.disabled = count === 0;
+        controls.status.textContent = `${count} view${count === 1 ? '' : 's'}, ${this.cameraPath.duration.toFixed(1)} s`;
+    }
+
+    /**
+     * View state stored under options.permalinkKey in the URL hash, as
+     * `theta,phi,radius,x,y,z[,renderMode[,file]]`, or null when absent or invalid.
+     * Files from other origins are ignored.
+     */
+    readPermalink() {
+        const entry = parseHashParams(window.location.hash).find(([key]) => key === this.options.permalinkKey);
+        if (!entry || !entry[1]) return null;
+
+        const fields = entry[1].split(',');
+        const numbers = fields.slice(0, 6).map(Number);
+        if (numbers.length < 6 || !numbers.every(Number.isFinite)) return null;
+
+        const renderMode = fields[6];
+        const file = fields.slice(7).join(',');
+        let sameOrigin = false;
+        try {
+            sameOrigin = Boolean(file) && new URL(file, document.baseURI).origin === window.location.origin;
+        } catch (error) {
+            sameOrigin = false;
+        }
+
+        return {
+            theta: numbers[0],
+            phi: numbers[1],
+            radius: numbers[2],
+            target: { x: numbers[3], y: numbers[4], z: numbers[5] },
+            renderMode: ['auto', 'mesh', 'points', 'splats'].includes(renderMode) ? renderMode : null,
+            file: sameOrigin ? file : null
+        };
+    }
+
+    getPermalinkValue() {
+        const state = this.getCurrentViewState();
+        const round = (value) => String(Number(value.toFixed(5)));
+        const fields = [state.theta, state.phi, state.radius, state.target.x, state.target.y, state.target.z].map(round);
+        fields.push(this.options.renderMode);
+        if (this.sourceUrl) fields.push(this.sourceUrl);
+        return fields.join(',');
+    }
+
+    // Write this viewer's entry into the hash, keeping other viewers' entries
+    writePermalink() {
+        clearTimeout(this.permalinkTimer);
+        this.permalinkTimer = null;
+
+        const key = this.options.permalinkKey;
+        const params = parseHashParams(window.location.hash);
+        const value = this.getPermalinkValue();
+        const entry = params.find(([name]) => name === key);
+        if (entry) entry[1] = value;
+        else params.push([key, value]);
+
+        const url = `${window.location.pathname}${window.location.search}#${formatHashParams(params)}`;
+        // replaceState keeps camera moves out of the back-button history
+        window.history.replaceState(window.history.state, '', url);
+        return window.location.href;
+    }
+
+    // The hash is left alone until the user moves the view or copies a link; moved marks those calls
+    schedulePermalinkUpdate(moved = false) {
+        if (moved) this.permalinkEdited = true;
+        if (!this.options.permalink || !this.permalinkEdited || !this.mesh || this.permalinkTimer) return;
+        this.permalinkTimer = setTimeout(() => this.writePermalink(), 300);
+    }
+
+    async copyPermalink() {
+        this.permalinkEdited = true;
+        const url = this.writePermalink();
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(url);
+            return url;
+        }
+
+        // Fallback for http:// pages, where the async clipboard API is unavailable
+        const textarea = document.createElement('textarea');
+        textarea.value = url;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) throw new Error('Copy to clipboard failed');
+        return url;
+    }
+
+    addToolbarButton(label, title, onClick) {
+        if (!this.toolbar) {
+            this.toolbar = document.createElement('div');
+            this.toolbar.className = 'mesh-viewer__toolbar';
+            this.container.appendChild(this.toolbar);
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', () => onClick(button));
+        this.toolbar.appendChild(button);
+        return button;
+    }
+
+    flashToolbarButton(button, text) {
+        const label = button.dataset.label || button.textContent;
+        button.dataset.label = label;
+        button.textContent = text;
+        clearTimeout(button.flashTimer);
+        button.flashTimer = setTimeout(() => {
+            button.textContent = label;
+        }, 1500);
+    }
+
+    setRenderMode(mode) {
+        this.options.renderMode = mode;
+        this.schedulePermalinkUpdate();
+        if (!this.geometry) return;
+
+        // Rebuild the drawable from the loaded geometry without moving the camera
+        const position = this.camera.position.clone();
+        const target = this.cameraTarget.clone();
+        this.displayMesh(this.geometry);
+        this.camera.position.copy(position);
+        this.cameraTarget.copy(target);
+        this.camera.lookAt(this.cameraTarget);
+    }
+
+    setPointSize(size, sizeMode) {
+        this.options.pointSize = size;
+        if (sizeMode) this.options.pointSizeMode = sizeMode;
+
+        if (this.activeRenderMode === 'points') {
+            this.mesh.material.size = this.options.pointSize;
+            this.mesh.material.sizeMode = this.options.pointSizeMode;
+        }
+    }
+
+    setRoundPoints(enabled) {
+        this.options.roundPoints = enabled;
+        if (this.activeRenderMode === 'points') {
+            this.mesh.material.round = enabled;
+        }
+    }
+
+    setEyeDomeLighting(enabled, settings = {}) {
+        this.options.eyeDomeLighting = enabled;
+        if (settings.strength !== undefined) this.options.edlStrength = settings.strength;
+        if (settings.radius !== undefined) this.options.edlRadius = settings.radius;
+
+        if (this.edl) {
+            this.edl.strength = this.options.edlStrength;
+            this.edl.radius = this.options.edlRadius;
+        }
+    }
+
+    setWireframe(enabled) {
+        if (this.mesh && this.mesh.material) {
+            this.mesh.material.wireframe = enabled;
+        }
+    }
+
+    setMeshColor(color) {
+        this.options.meshColor = color;
+        if (this.mesh && this.mesh.material && this.mesh.material.color && !this.colorBy) {
             this.mesh.material.color.set(color);
         }
     }
 
+    // Names of the numeric per-vertex attributes that setColorBy accepts
+    getScalarProperties() {
+        if (!this.geometry) return [];
+        return ['x', 'y', 'z', ...Object.keys(this.geometry.userData.properties || {})];
+    }
+
+    getScalarValues(name) {
+        const properties = this.geometry.userData.properties || {};
+        if (properties[name]) return properties[name];
+
+        const axis = ['x', 'y', 'z'].indexOf(name);
+        if (axis < 0) return null;
+
+        // Report coordinates in the PLY frame, not the centered one
+        const positions = this.geometry.attributes.position.array;
+        const origin = this.geometry.userData.origin;
+        const shift = origin ? origin.getComponent(axis) : 0;
+        const values = new Float32Array(positions.length / 3);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = positions[i * 3 + axis] + shift;
+        }
+        return values;
+    }
+
+    /**
+     * Color vertices by a scalar attribute. settings.colormap picks the map,
+     * settings.range = [min, max] fixes the range (omit for automatic) and
+     * settings.clip = [lowPercent, highPercent] clips outliers of the automatic range.
+     * Pass null to go back to vertex RGB / meshColor.
+     */
+    setColorBy(property, settings = {}) {
+        if (!property) {
+            this.colorBy = null;
+            this.restoreBaseColors();
+            this.updateLegend();
+            this.updateColorControls();
+            return null;
+        }
+
+        const previous = this.colorBy || {};
+        this.colorBy = {
+            property,
+            colormap: settings.colormap || previous.colormap || this.options.colormap,
+            range: settings.range !== undefined ? settings.range : null,
+            clip: settings.clip || previous.clip || [0, 100]
+        };
+
+        const result = this.applyColorBy();
+        this.updateColorControls();
+        return result;
+    }
+
+    applyColorBy() {
+        if (!this.geometry || !this.colorBy) return null;
+
+        const values = this.getScalarValues(this.colorBy.property);
+        if (!values) {
+            console.warn(`Vertex property "${this.colorBy.property}" not found`);
+            return null;
+        }
+
+        const { colormap, clip } = this.colorBy;
+        let range = this.colorBy.range;
+        if (!range) {
+            range = Colormaps.computeRange(values, clip);
+            // Diverging maps are centered on zero when the data crosses it
+            if (Colormaps.isDiverging(colormap) && range[0] < 0 && range[1] > 0) {
+                const extent = Math.max(-range[0], range[1]);
+                range = [-extent, extent];
+            }
+        }
+
+        const colors = Colormaps.apply(colormap, values, range);
+        this.colorBy.activeRange = range;
+
+        if (this.splats) {
+            this.splats.setColorOverride(colors);
+        } else {
+            const userData = this.geometry.userData;
+            if (!('baseColor' in userData)) {
+                userData.baseColor = this.geometry.attributes.color || null;
+            }
+            this.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+            this.updateMaterialColors();
+        }
+
+        this.updateLegend();
+        return { property: this.colorBy.property, colormap, range };
+    }
+
+    restoreBaseColors() {
+        if (this.splats) {
+            this.splats.setColorOverride(null);
+            return;
+        }
+        if (!this.geometry) return;
+
+        const userData = this.geometry.userData;
+        if ('baseColor' in userData) {
+            if (userData.baseColor) {
+                this.geometry.setAttribute('color', userData.baseColor);
+            } else {
+                this.geometry.deleteAttribute('color');
+            }
+            delete userData.baseColor;
+        }
+        this.updateMaterialColors();
+    }
+
+    updateMaterialColors() {
+        if (!this.mesh || this.splats) return;
+
+        const material = this.mesh.material;
+        const hasColors = this.geometry.attributes.color !== undefined;
+        material.vertexColors = hasColors && (this.colorBy !== null || !this.options.forceMeshColor);
+        material.color.set(this.colorBy ? 0xffffff : this.options.meshColor);
+        material.needsUpdate = true;
+        this.updateLODColors();
+    }
+
+    updateLegend() {
+        if (!this.colorBy || !this.colorBy.activeRange) {
+            if (this.legendElement) {
+                this.legendElement.remove();
+                this.legendElement = null;
+            }
+            return;
+        }
+
+        if (!this.legendElement) {
+            this.legendElement = document.createElement('canvas');
+            this.legendElement.className = 'mesh-viewer__legend';
+            this.container.appendChild(this.legendElement);
+        }
+
+        const width = 220;
+        const height = 58;
+        const ratio = window.devicePixelRatio || 1;
+        const canvas = this.legendElement;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const { property, colormap, activeRange } = this.colorBy;
+        const barX = 12;
+        const barY = 24;
+        const barWidth = width - 24;
+        const barHeight = 12;
+
+        const gradient = context.createLinearGradient(barX, 0, barX + barWidth, 0);
+        for (let i = 0; i <= 16; i++) {
+            gradient.addColorStop(i / 16, Colormaps.toCSS(colormap, i / 16));
+        }
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        context.fillRect(0, 0, width, height);
+        context.fillStyle = gradient;
+        context.fillRect(barX, barY, barWidth, barHeight);
+
+        const format = (value) => Math.abs(value) >= 1e4 || (Math.abs(value) < 1e-2 && value !== 0)
+            ? value.toExponential(2)
+            : value.toFixed(3).replace(/\.?0+$/, '');
+
+        context.fillStyle = '#fff';
+        context.font = '600 12px sans-serif';
+        context.textBaseline = 'middle';
+        context.textAlign = 'left';
+        context.fillText(property, barX, 13);
+
+        context.font = '11px sans-serif';
+        context.fillText(format(activeRange[0]), barX, barY + barHeight + 11);
+        context.textAlign = 'center';
+        context.fillText(format((activeRange[0] + activeRange[1]) / 2), barX + barWidth / 2, barY + barHeight + 11);
+        context.textAlign = 'right';
+        context.fillText(format(activeRange[1]), barX + barWidth, barY + barHeight + 11);
+    }
+
+    createColorControls() {
+        const panel = document.createElement('div');
+        panel.className = 'mesh-viewer__panel mesh-viewer__panel--color';
+        panel.innerHTML = `
+            <label>Color
+                <select data-role="property"></select>
+            </label>
+            <label>Map
+                <select data-role="colormap"></select>
+            </label>
+            <label>Range
+                <input data-role="min" type="number" step="any" placeholder="auto">
+                <input data-role="max" type="number" step="any" placeholder="auto">
+            </label>
+            <label>Clip %
+                <input data-role="clip-low" type="number" min="0" max="100" step="0.5" value="0">
+                <input data-role="clip-high" type="number" min="0" max="100" step="0.5" value="100">
+            </label>
+        `;
+        this.container.appendChild(panel);
+
+        const field = (role) => panel.querySelector(`[data-role="${role}"]`);
+        this.colorControls = {
+            panel,
+            property: field('property'),
+            colormap: field('colormap'),
+            min: field('min'),
+            max: field('max'),
+            clipLow: field('clip-low'),
+            clipHigh: field('clip-high')
+        };
+
+        Colormaps.names().forEach(name => {
+            this.colorControls.colormap.add(new Option(name, name));
+        });
+        this.colorControls.colormap.value = this.options.colormap;
+
+        const applyControls = () => {
+            const controls = this.colorControls;
+            const min = parseFloat(controls.min.value);
+            const max = parseFloat(controls.max.value);
+            this.setColorBy(controls.property.value || null, {
+                colormap: controls.colormap.value,
+                range: Number.isFinite(min) && Number.isFinite(max) ? [min, max] : null,
+                clip: [parseFloat(controls.clipLow.value) || 0, parseFloat(controls.clipHigh.value) || 100]
+            });
+        };
+
+        panel.addEventListener('change', applyControls);
+
+        this.updateColorControls();
+    }
+
+    updateColorControls() {
+        const controls = this.colorControls;
+        if (!controls) return;
+
+        const select = controls.property;
+        const current = this.colorBy ? this.colorBy.property : '';
+        select.innerHTML = '';
+        select.add(new Option('Default', ''));
+        this.getScalarProperties().forEach(name => select.add(new Option(name, name)));
+        select.value = current;
+
+        if (this.colorBy) {
+            controls.colormap.value = this.colorBy.colormap;
+        }
+    }
+
     animate() {
         this.animationId = requestAnimationFrame(() => this.animate());
+        if (this.exporting) return;
 
         // Apply momentum when not actively dragging
         if (!this.controls.isRotating && !this.controls.isPanning) {
@@ -646,33 +2205,2417 @@ class PLYMeshViewer {
             }
         }
 
-        // Auto-rotate
-        if (this.options.autoRotate && this.mesh) {
+        this.updateNavigation(performance.now());
+        this.updateCameraPath(performance.now());
+
+        // Auto-rotate, paused during a camera path so the tour shows what was recorded
+        if (this.options.autoRotate && this.mesh && !this.cameraPathPlayback) {
             this.mesh.rotation.z += 0.005 * this.options.autoRotateSpeed;
         }
+        this.updateCameraProjection();
 
-        this.renderer.render(this.scene, this.camera);
+        if (this.splats) {
+            this.splats.update(this.camera, this.renderer);
+        }
+
+        this.updateTimeline(performance.now());
+        this.updateLOD(performance.now());
+        this.syncAnnotationRoot();
+        this.updateMeasurementLabels();
+
+        if (this.comparison && this.comparison.object) {
+            if (this.mesh) {
+                this.comparison.object.rotation.copy(this.mesh.rotation);
+            }
+            if (this.comparison.splats) {
+                this.comparison.splats.update(this.camera, this.renderer);
+            }
+        }
+
+        this.renderScene();
     }
 
-    dispose() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+    // Map PLY coordinates onto the centered, scaled (and auto-rotated) mesh
+    syncAnnotationRoot() {
+        const root = this.annotationRoot;
+        if (!this.mesh) {
+            root.matrix.identity();
+        } else {
+            const origin = this.mesh.geometry.userData.origin || new THREE.Vector3();
+            this.mesh.updateMatrix();
+            root.matrix.makeTranslation(-origin.x, -origin.y, -origin.z).premultiply(this.mesh.matrix);
         }
+        root.matrixWorldNeedsUpdate = true;
+        this.updateClipping();
+    }
 
-        if (this.mesh) {
-            this.scene.remove(this.mesh);
-            if (this.mesh.geometry) this.mesh.geometry.dispose();
-            if (this.mesh.material) this.mesh.material.dispose();
+    /**
+     * Load a TUM-format trajectory (`timestamp tx ty tz qx qy qz qw`) from a
+     * URL or File. options: name, color, groundTruth (use as the reference),
+     * align (Umeyama Sim3 to the ground truth, default true), withScale,
+     * maxDifference (timestamp matching, s), delta (RPE step), frustumEvery, frustumSize.
+     */
+    async loadTrajectory(source, options = {}) {
+        let text;
+        let name = options.name;
+
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch trajectory: ${response.statusText}`);
+            }
+            text = await response.text();
+            name = name || source.split('/').pop();
+        } else if (source instanceof Blob) {
+            text = await source.text();
+            name = name || source.name;
+        } else {
+            throw new Error('Invalid source type for trajectory file');
         }
 
-        this.renderer.dispose();
-        if (this.container && this.renderer.domElement.parentNode === this.container) {
-            this.container.removeChild(this.renderer.domElement);
+        return this.addTrajectory(Trajectory.parseTUM(text), { ...options, name });
+    }
+
+    addTrajectory(poses, options = {}) {
+        const palette = [0xff6b6b, 0x4ecdc4, 0xffd166, 0xc77dff, 0x06d6a0];
+        const estimates = this.trajectories.filter(t => !t.groundTruth).length;
+
+        const trajectory = {
+            name: options.name || `trajectory-${this.trajectories.length + 1}`,
+            poses,
+            groundTruth: Boolean(options.groundTruth),
+            color: options.color !== undefined
+                ? options.color
+                : (options.groundTruth ? 0xffffff : palette[estimates % palette.length]),
+            options,
+            object: null,
+            metrics: null
+        };
+
+        if (trajectory.groundTruth) {
+            this.trajectories.forEach(t => { t.groundTruth = false; });
+        }
+        this.trajectories.push(trajectory);
+        this.updateTrajectories();
+        return trajectory;
+    }
+
+    removeTrajectory(name) {
+        this.trajectories = this.trajectories.filter(trajectory => {
+            if (trajectory.name !== name) return true;
+            this.disposeTrajectoryObject(trajectory);
+            return false;
+        });
+        this.updateTrajectories();
+    }
+
+    clearTrajectories() {
+        this.trajectories.forEach(trajectory => this.disposeTrajectoryObject(trajectory));
+        this.trajectories = [];
+        this.updateTrajectories();
+    }
+
+    disposeTrajectoryObject(trajectory) {
+        if (trajectory.object) {
+            this.annotationRoot.remove(trajectory.object);
+            Trajectory.disposeObject(trajectory.object);
+            trajectory.object = null;
+        }
+    }
+
+    getTrajectoryMetrics() {
+        return this.trajectories
+            .filter(trajectory => trajectory.metrics)
+            .map(trajectory => ({ name: trajectory.name, ...trajectory.metrics }));
+    }
+
+    // Re-align every estimate to the current ground truth and rebuild the drawings
+    updateTrajectories() {
+        const reference = this.trajectories.find(trajectory => trajectory.groundTruth);
+
+        this.trajectories.forEach(trajectory => {
+            this.disposeTrajectoryObject(trajectory);
+            trajectory.metrics = null;
+            trajectory.error = null;
+            let poses = trajectory.poses;
+
+            if (reference && trajectory !== reference) {
+                try {
+                    const result = Trajectory.evaluate(trajectory.poses, reference.poses, trajectory.options);
+                    trajectory.metrics = {
+                        matches: result.matches,
+                        scale: result.alignment.scale,
+                        ate: result.ate,
+                        rpe: result.rpe
+                    };
+                    if (trajectory.options.align !== false) {
+                        poses = result.aligned;
+                    }
+                } catch (error) {
+                    trajectory.error = error.message;
+                    console.warn(`Trajectory "${trajectory.name}":`, error.message);
+                }
+            }
+
+            trajectory.object = Trajectory.createObject(poses, {
+                color: trajectory.color,
+                frustumEvery: trajectory.options.frustumEvery,
+                frustumSize: trajectory.options.frustumSize
+            });
+            this.annotationRoot.add(trajectory.object);
+        });
+
+        this.updateTrajectoryPanel();
+    }
+
+    updateTrajectoryPanel() {
+        if (this.trajectories.length === 0) {
+            if (this.trajectoryPanel) {
+                this.trajectoryPanel.remove();
+                this.trajectoryPanel = null;
+            }
+            return;
+        }
+
+        if (!this.trajectoryPanel) {
+            this.trajectoryPanel = document.createElement('div');
+            this.trajectoryPanel.className = 'mesh-viewer__metrics';
+            this.container.appendChild(this.trajectoryPanel);
+        }
+
+        const format = (value) => (Number.isFinite(value) ? value.toFixed(4) : '–');
+        const swatch = (color) => `<span class="mesh-viewer__swatch" style="background: #${new THREE.Color(color).getHexString()}"></span>`;
+
+        this.trajectoryPanel.innerHTML = this.trajectories.map(trajectory => {
+            const title = `${swatch(trajectory.color)}<strong>${this.escapeHTML(trajectory.name)}</strong>`;
+            if (trajectory.groundTruth) {
+                return `<div>${title} (ground truth, ${trajectory.poses.length} poses)</div>`;
+            }
+            if (trajectory.error) {
+                return `<div>${title}: ${this.escapeHTML(trajectory.error)}</div>`;
+            }
+            if (!trajectory.metrics) {
+                return `<div>${title} (${trajectory.poses.length} poses)</div>`;
+            }
+            const { ate, rpe, matches, scale } = trajectory.metrics;
+            return `<div>${title}
+                <div>ATE RMSE ${format(ate.rmse)} · mean ${format(ate.mean)} · max ${format(ate.max)}</div>
+                <div>RPE trans ${format(rpe.translation.rmse)} · rot ${format(rpe.rotation.rmse)}°</div>
+                <div>${matches} matched poses · scale ${format(scale)}</div>
+            </div>`;
+        }).join('');
+    }
+
+    escapeHTML(text) {
+        const element = document.createElement('span');
+        element.textContent = String(text);
+        return element.innerHTML;
+    }
+
+    /**
+     * Surface point under the given client coordinates, in PLY coordinates
+     * (centering and scaling undone), or null. Point clouds and splats pick the
+     * nearest point within a few pixels of the ray.
+     */
+    pickSurfacePoint(clientX, clientY) {
+        if (!this.mesh) return null;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(ndc, this.camera);
+
+        this.mesh.updateMatrixWorld();
+        let target = this.mesh;
+        if (this.activeRenderMode !== 'mesh') {
+            // World-space tolerance of ~5 pixels at the orbit distance
+            const distance = this.camera.position.distanceTo(this.cameraTarget);
+            const pixelSize = 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov) / 2) / rect.height;
+            raycaster.params.Points.threshold = pixelSize * 5;
+
+            if (this.splats) {
+                const centers = this.mesh.geometry.userData.centers;
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(centers, 3));
+                target = new THREE.Points(geometry);
+                target.matrixWorld.copy(this.mesh.matrixWorld);
+            }
+        }
+
+        // Parts removed by clipping can't be picked
+        const hit = raycaster.intersectObject(target, false)
+            .find(intersection => this.clippingPlanes.every(plane => plane.distanceToPoint(intersection.point) >= 0));
+        if (target !== this.mesh) target.geometry.dispose();
+        if (!hit) return null;
+
+        // For points, snap to the picked point itself rather than the ray
+        const world = target.isPoints
+            ? new THREE.Vector3().fromBufferAttribute(target.geometry.attributes.position, hit.index).applyMatrix4(target.matrixWorld)
+            : hit.point;
+
+        this.syncAnnotationRoot();
+        this.annotationRoot.updateMatrixWorld(true);
+        return this.annotationRoot.worldToLocal(world.clone());
+    }
+
+    // 'distance', 'polyline', 'angle' or null to stop measuring
+    setMeasureTool(tool) {
+        if (tool && !Measurements.tools().includes(tool)) {
+            throw new Error(`Unknown measurement tool "${tool}"`);
+        }
+
+        this.cancelMeasurement();
+        this.measureTool = tool || null;
+        this.renderer.domElement.style.cursor = this.measureTool ? 'crosshair' : '';
+        this.updateMeasureControls();
+    }
+
+    onCanvasClick(event) {
+        if (!this.measureTool || event.button !== 0) return;
+
+        // Ignore the click that ends a rotation drag
+        const moved = Math.hypot(event.clientX - this.controls.downX, event.clientY - this.controls.downY);
+        if (moved > 4) return;
+
+        const point = this.pickSurfacePoint(event.clientX, event.clientY);
+        if (!point) return;
+
+        const pending = this.pendingMeasurement;
+        // Clicking the last polyline point again (or double-clicking) finishes it
+        if (pending && pending.lastClick &&
+            Math.hypot(event.clientX - pending.lastClick.x, event.clientY - pending.lastClick.y) < 6) {
+            this.finishMeasurement();
+            return;
+        }
+
+        this.addMeasurementPoint(point.toArray());
+        if (this.pendingMeasurement) {
+            this.pendingMeasurement.lastClick = { x: event.clientX, y: event.clientY };
+        }
+    }
+
+    onKeyDown(event) {
+        // Typing in the viewer's own panels (e.g. the eval reference URL) is not a measurement key
+        if (!this.pendingMeasurement || event.target.closest('input, select, textarea')) return;
+        if (event.key === 'Enter') {
+            this.finishMeasurement();
+        } else if (event.key === 'Escape') {
+            this.cancelMeasurement();
+        }
+    }
+
+    addMeasurementPoint(point) {
+        if (!this.measureTool) return;
+
+        if (!this.pendingMeasurement) {
+            this.pendingMeasurement = this.createMeasurement(this.measureTool, []);
         }
+
+        const pending = this.pendingMeasurement;
+        pending.points.push(point);
+        this.updateMeasurementObject(pending);
+        this.lastPickedPoint = point;
+        this.updateMeasureReadout();
+
+        if (Measurements.isComplete(pending.type, pending.points)) {
+            this.finishMeasurement();
+        }
+    }
+
+    finishMeasurement() {
+        const pending = this.pendingMeasurement;
+        if (!pending) return null;
+
+        this.pendingMeasurement = null;
+        if (!Measurements.isValid(pending.type, pending.points)) {
+            this.disposeMeasurement(pending);
+            return null;
+        }
+
+        delete pending.lastClick;
+        this.measurements.push(pending);
+        this.updateMeasureReadout();
+        return pending;
+    }
+
+    cancelMeasurement() {
+        if (!this.pendingMeasurement) return;
+        this.disposeMeasurement(this.pendingMeasurement);
+        this.pendingMeasurement = null;
+        this.updateMeasureReadout();
+    }
+
+    // Add a finished measurement from PLY-coordinate points, e.g. from JSON
+    addMeasurement(type, points) {
+        if (!Measurements.isValid(type, points)) {
+            throw new Error(`A ${type} measurement needs more points`);
+        }
+        const measurement = this.createMeasurement(type, points.map(point => [...point]));
+        this.updateMeasurementObject(measurement);
+        this.measurements.push(measurement);
+        return measurement;
+    }
+
+    createMeasurement(type, points) {
+        const label = document.createElement('div');
+        label.className = 'mesh-viewer__label';
+        this.container.appendChild(label);
+        return { id: this.nextMeasurementId++, type, points, object: null, label };
+    }
+
+    updateMeasurementObject(measurement) {
+        if (measurement.object) {
+            this.annotationRoot.remove(measurement.object);
+            Measurements.disposeObject(measurement.object);
+        }
+        measurement.object = Measurements.createObject(measurement.points);
+        this.annotationRoot.add(measurement.object);
+        measurement.label.textContent = Measurements.format(measurement.type, measurement.points, this.options.units);
+    }
+
+    disposeMeasurement(measurement) {
+        if (measurement.object) {
+            this.annotationRoot.remove(measurement.object);
+            Measurements.disposeObject(measurement.object);
+        }
+        measurement.label.remove();
+    }
+
+    removeMeasurement(id) {
+        const measurement = this.measurements.find(m => m.id === id);
+        if (!measurement) return;
+        this.disposeMeasurement(measurement);
+        this.measurements = this.measurements.filter(m => m !== measurement);
+    }
+
+    clearMeasurements() {
+        this.cancelMeasurement();
+        this.measurements.forEach(measurement => this.disposeMeasurement(measurement));
+        this.measurements = [];
+    }
+
+    exportMeasurements() {
+        return JSON.stringify(Measurements.toJSON(this.measurements, this.options.units), null, 2);
+    }
+
+    importMeasurements(json) {
+        const list = Measurements.fromJSON(json);
+        return list.map(({ type, points }) => this.addMeasurement(type, points));
+    }
+
+    // Keep the HTML labels next to their 3D anchors
+    updateMeasurementLabels() {
+        const all = this.pendingMeasurement ? [...this.measurements, this.pendingMeasurement] : this.measurements;
+        if (all.length === 0) return;
+
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const anchor = new THREE.Vector3();
+        this.annotationRoot.updateMatrixWorld(true);
+
+        all.forEach(measurement => {
+            const point = Measurements.labelAnchor(measurement.type, measurement.points);
+            const label = measurement.label;
+            if (!point || !label.textContent) {
+                label.style.display = 'none';
+                return;
+            }
+
+            anchor.fromArray(point).applyMatrix4(this.annotationRoot.matrixWorld).project(this.camera);
+            const visible = anchor.z > -1 && anchor.z < 1;
+            label.style.display = visible ? '' : 'none';
+            label.style.left = `${(anchor.x + 1) / 2 * size.x}px`;
+            label.style.top = `${(1 - anchor.y) / 2 * size.y}px`;
+        });
+    }
+
+    createMeasureButtons() {
+        const names = { distance: 'Distance', polyline: 'Polyline', angle: 'Angle' };
+        this.measureButtons = {};
+        Measurements.tools().forEach(tool => {
+            this.measureButtons[tool] = this.addToolbarButton(names[tool], `Measure ${tool}`, () => {
+                this.setMeasureTool(this.measureTool === tool ? null : tool);
+            });
+        });
+
+        this.addToolbarButton('Clear', 'Remove all measurements', () => this.clearMeasurements());
+        this.addToolbarButton('Export JSON', 'Save the measurements as JSON', () => {
+            MediaExport.download(new Blob([this.exportMeasurements()], { type: 'application/json' }), 'measurements.json');
+        });
+
+        this.measureReadout = document.createElement('div');
+        this.measureReadout.className = 'mesh-viewer__readout';
+        this.container.appendChild(this.measureReadout);
+        this.updateMeasureControls();
+    }
+
+    updateMeasureControls() {
+        if (!this.measureButtons) return;
+        Object.entries(this.measureButtons).forEach(([tool, button]) => {
+            button.classList.toggle('is-active', this.measureTool === tool);
+        });
+        this.updateMeasureReadout();
+    }
+
+    // Hint for the active tool, plus the coordinates of the last picked point
+    updateMeasureReadout() {
+        const readout = this.measureReadout;
+        if (!readout) return;
+
+        const hints = {
+            distance: 'Click two points',
+            polyline: 'Click points, click the last one again or press Enter to finish',
+            angle: 'Click a point, the vertex, then another point'
+        };
+        const lines = this.measureTool ? [hints[this.measureTool]] : [];
+        if (this.lastPickedPoint) lines.push(Measurements.formatPoint(this.lastPickedPoint, this.options.units));
+
+        readout.textContent = lines.join(' · ');
+        readout.style.display = lines.length ? '' : 'none';
+    }
+
+    // Bounding box of the loaded PLY in its own coordinates
+    getBounds() {
+        if (!this.mesh) return null;
+        const geometry = this.mesh.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const origin = geometry.userData.origin || new THREE.Vector3();
+        return geometry.boundingBox.clone().translate(origin);
+    }
+
+    /**
+     * Clip away everything on the side opposite to `normal` of the plane
+     * through `point`, both in PLY coordinates. Returns the plane's index.
+     */
+    addClippingPlane(normal, point) {
+        if (this.clipping.planes.length >= 6) {
+            throw new Error('At most six clipping planes are supported');
+        }
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+            new THREE.Vector3(...normal).normalize(), new THREE.Vector3(...point));
+        this.clipping.planes.push(plane);
+        this.updateClipping();
+        return this.clipping.planes.length - 1;
+    }
+
+    removeClippingPlane(index) {
+        this.clipping.planes.splice(index, 1);
+        this.updateClipping();
+    }
+
+    // Remove the clipping planes, the section box and the ceiling cut
+    clearClipping() {
+        this.clipping.planes = [];
+        this.clipping.ceiling = null;
+        this.setSectionBox(null);
+    }
+
+    /**
+     * Axis-aligned section box in PLY coordinates: { min: [x, y, z], max: [x, y, z] },
+     * true to fit the loaded PLY, or null to remove it. Its faces can be dragged in the view.
+     */
+    setSectionBox(box) {
+        if (box === true) {
+            box = this.getBounds();
+            if (!box) return;
+        } else if (box && !box.isBox3) {
+            box = new THREE.Box3(new THREE.Vector3(...box.min), new THREE.Vector3(...box.max));
+        }
+
+        this.clipping.box = box ? box.clone() : null;
+        this.clipping.drag = null;
+        this.updateSectionHelper();
+        this.updateClipping();
+        this.updateClipButtons();
+    }
+
+    getSectionBox() {
+        const box = this.clipping.box;
+        return box ? { min: box.min.toArray(), max: box.max.toArray() } : null;
+    }
+
+    /**
+     * "Remove ceiling" preset: cut everything above `fraction` of the height
+     * along options.axis (default the upAxis option). Pass false to undo.
+     */
+    removeCeiling(enabled = true, options = {}) {
+        this.clipping.ceiling = null;
+        const bounds = this.getBounds();
+        if (enabled && bounds) {
+            const axis = 'xyz'.indexOf(options.axis || this.options.upAxis);
+            const fraction = options.fraction !== undefined ? options.fraction : 0.8;
+            const height = bounds.min.getComponent(axis) + (bounds.max.getComponent(axis) - bounds.min.getComponent(axis)) * fraction;
+            const normal = new THREE.Vector3().setComponent(axis, -1);
+            this.clipping.ceiling = new THREE.Plane(normal, height);
+        }
+        this.updateClipping();
+        this.updateClipButtons();
+    }
+
+    setClipCaps(enabled, color) {
+        this.options.clipCaps = enabled;
+        if (color !== undefined) this.options.clipCapColor = color;
+        [this.mesh, this.comparison && this.comparison.object].forEach(object => {
+            if (object) this.updateClipCap(object);
+        });
+        this.updateClipButtons();
+    }
+
+    updateClipCap(object) {
+        const cap = object.userData.cap;
+        if (!cap) return;
+        const active = this.options.clipCaps && this.clippingPlanes.length > 0;
+        cap.visible = active;
+        cap.material.color.set(this.options.clipCapColor);
+        // Front faces only while capping, so the cap isn't hidden behind interior back faces
+        const side = active ? THREE.FrontSide : THREE.DoubleSide;
+        if (object.material.side !== side) {
+            object.material.side = side;
+            object.material.needsUpdate = true;
+        }
+    }
+
+    // All clipping planes in PLY coordinates
+    getLocalClippingPlanes() {
+        const planes = [...this.clipping.planes];
+        const box = this.clipping.box;
+        if (box) {
+            for (let axis = 0; axis < 3; axis++) {
+                const normal = new THREE.Vector3().setComponent(axis, 1);
+                planes.push(new THREE.Plane(normal, -box.min.getComponent(axis)));
+                planes.push(new THREE.Plane(normal.clone().negate(), box.max.getComponent(axis)));
+            }
+        }
+        if (this.clipping.ceiling) planes.push(this.clipping.ceiling);
+        return planes;
+    }
+
+    // Map the PLY-space planes onto the mesh transform; called with syncAnnotationRoot
+    updateClipping() {
+        if (!this.clipping) return;
+
+        const local = this.getLocalClippingPlanes();
+        const world = this.clippingPlanes;
+        const hadPlanes = world.length > 0;
+        world.length = local.length;
+        local.forEach((plane, i) => {
+            world[i] = (world[i] || new THREE.Plane()).copy(plane).applyMatrix4(this.annotationRoot.matrix);
+        });
+
+        if (hadPlanes !== world.length > 0) {
+            [this.mesh, this.comparison && this.comparison.object].forEach(object => {
+                if (object) this.updateClipCap(object);
+            });
+        }
+    }
+
+    // Wireframe of the section box plus a handle on each face
+    updateSectionHelper() {
+        if (this.clipping.helper) {
+            this.annotationRoot.remove(this.clipping.helper);
+            this.clipping.helper.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            this.clipping.helper = null;
+        }
+
+        const box = this.clipping.box;
+        if (!box) return;
+
+        const helper = new THREE.Group();
+        const edges = new THREE.Box3Helper(box, 0xffd166);
+        edges.material.depthTest = false;
+        edges.renderOrder = 10;
+        helper.add(edges);
+
+        const bounds = this.getBounds() || box;
+        const handleSize = bounds.getSize(new THREE.Vector3()).length() * 0.02;
+        helper.userData.handles = [];
+        for (let axis = 0; axis < 3; axis++) {
+            ['min', 'max'].forEach(side => {
+                const handle = new THREE.Mesh(
+                    new THREE.BoxGeometry(handleSize, handleSize, handleSize),
+                    new THREE.MeshBasicMaterial({ color: 0xffd166, depthTest: false })
+                );
+                handle.renderOrder = 11;
+                handle.userData.face = { axis, side };
+                helper.add(handle);
+                helper.userData.handles.push(handle);
+            });
+        }
+
+        this.clipping.helper = helper;
+        this.annotationRoot.add(helper);
+        this.layoutSectionHandles();
+    }
+
+    // Put each handle at the center of its face; the Box3Helper follows the box by itself
+    layoutSectionHandles() {
+        const box = this.clipping.box;
+        const center = box.getCenter(new THREE.Vector3());
+        this.clipping.helper.userData.handles.forEach(handle => {
+            const { axis, side } = handle.userData.face;
+            handle.position.copy(center).setComponent(axis, box[side].getComponent(axis));
+        });
+    }
+
+    // Grab a section box handle under the cursor; returns true when one was hit
+    startSectionDrag(event) {
+        const helper = this.clipping.helper;
+        if (!helper) return false;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        ), this.camera);
+
+        this.syncAnnotationRoot();
+        this.annotationRoot.updateMatrixWorld(true);
+        const hit = raycaster.intersectObjects(helper.userData.handles, false)[0];
+        if (!hit) return false;
+
+        // Screen-space direction and length of one PLY unit along the face normal
+        const { axis, side } = hit.object.userData.face;
+        const box = this.clipping.box;
+        const extent = Math.max(box.max.getComponent(axis) - box.min.getComponent(axis), 1e-6);
+        const toScreen = (point) => {
+            const projected = point.applyMatrix4(this.annotationRoot.matrixWorld).project(this.camera);
+            return new THREE.Vector2((projected.x + 1) / 2 * rect.width, (1 - projected.y) / 2 * rect.height);
+        };
+        const start = hit.object.position.clone();
+        const a = toScreen(start.clone());
+        const b = toScreen(start.clone().setComponent(axis, start.getComponent(axis) + extent));
+
+        this.clipping.drag = {
+            axis,
+            side,
+            startValue: box[side].getComponent(axis),
+            startX: event.clientX,
+            startY: event.clientY,
+            screenAxis: b.sub(a).divideScalar(extent)
+        };
+        return true;
+    }
+
+    dragSection(event) {
+        const drag = this.clipping.drag;
+        const box = this.clipping.box;
+        const lengthSq = drag.screenAxis.lengthSq();
+        if (!box || lengthSq < 1e-12) return;
+
+        const mouse = new THREE.Vector2(event.clientX - drag.startX, event.clientY - drag.startY);
+        let value = drag.startValue + mouse.dot(drag.screenAxis) / lengthSq;
+
+        // Keep the box from turning inside out
+        const gap = 1e-3 * (this.getBounds() || box).getSize(new THREE.Vector3()).length();
+        if (drag.side === 'min') value = Math.min(value, box.max.getComponent(drag.axis) - gap);
+        else value = Math.max(value, box.min.getComponent(drag.axis) + gap);
+
+        box[drag.side].setComponent(drag.axis, value);
+        this.layoutSectionHandles();
+        this.updateClipping();
+    }
+
+    /**
+     * Counts, bounds (PLY units), surface area, connected components and
+     * topology problems of the loaded PLY; see MeshStats.analyze. Cached per load.
+     */
+    computeMeshStats() {
+        if (!this.geometry) return null;
+        if (!this.meshStats) {
+            const origin = this.geometry.userData.origin;
+            const index = this.geometry.index;
+            this.meshStats = MeshStats.analyze(
+                this.geometry.attributes.position.array,
+                index ? index.array : new Uint32Array(0),
+                { origin: origin ? origin.toArray() : [0, 0, 0] }
+            );
+            // Highlights are built from the positions as they were analyzed
+            this.meshStats.origin = origin ? origin.clone() : new THREE.Vector3();
+        }
+        return this.meshStats;
+    }
+
+    // Show or hide one MeshStats category on top of the model
+    setTopologyHighlight(category, enabled = true) {
+        if (!MeshStats.CATEGORIES.includes(category)) {
+            throw new Error(`Unknown topology category "${category}"`);
+        }
+
+        const existing = this.topologyHighlights[category];
+        if (existing) {
+            this.annotationRoot.remove(existing);
+            existing.geometry.dispose();
+            existing.material.dispose();
+            delete this.topologyHighlights[category];
+        }
+
+        const stats = enabled ? this.computeMeshStats() : null;
+        if (!stats || MeshStats.count(stats, category) === 0) return;
+
+        const colors = {
+            boundaryEdges: 0xff6b6b,
+            nonManifoldEdges: 0xc77dff,
+            nonManifoldVertices: 0xffd166,
+            degenerateFaces: 0x06d6a0,
+            duplicateVertices: 0x4ecdc4
+        };
+        const source = this.geometry.attributes.position.array;
+        const indices = this.geometry.index ? this.geometry.index.array : null;
+        const items = stats[category];
+
+        let positions;
+        if (category === 'degenerateFaces') {
+            // Zero-area triangles have nothing to fill, so mark their centroids
+            positions = new Float32Array(items.length * 3);
+            items.forEach((face, i) => {
+                for (let k = 0; k < 3; k++) {
+                    const vertex = indices[face * 3 + k];
+                    for (let axis = 0; axis < 3; axis++) {
+                        positions[i * 3 + axis] += source[vertex * 3 + axis] / 3;
+                    }
+                }
+            });
+        } else {
+            positions = new Float32Array(items.length * 3);
+            items.forEach((vertex, i) => positions.set(source.subarray(vertex * 3, vertex * 3 + 3), i * 3));
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const object = category.endsWith('Edges')
+            ? new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: colors[category], depthTest: false }))
+            : new THREE.Points(geometry, new THREE.PointsMaterial({
+                color: colors[category],
+                size: 6,
+                sizeAttenuation: false,
+                depthTest: false
+            }));
+        object.renderOrder = 10;
+        // The geometry may have been re-centered since the analysis
+        object.position.copy(stats.origin);
+        object.frustumCulled = false;
+
+        this.topologyHighlights[category] = object;
+        this.annotationRoot.add(object);
+    }
+
+    clearTopologyHighlights() {
+        Object.keys(this.topologyHighlights).forEach(category => this.setTopologyHighlight(category, false));
+    }
+
+    createStatsPanel() {
+        const labels = {
+            boundaryEdges: 'Boundary edges',
+            nonManifoldEdges: 'Non-manifold edges',
+            nonManifoldVertices: 'Non-manifold vertices',
+            degenerateFaces: 'Degenerate triangles',
+            duplicateVertices: 'Duplicate vertices'
+        };
+
+        const panel = document.createElement('div');
+        panel.className = 'mesh-viewer__panel mesh-viewer__panel--stats';
+        panel.innerHTML = `
+            <div data-role="summary"></div>
+            ${MeshStats.CATEGORIES.map(category => `
+                <label class="mesh-viewer__check">
+                    <input type="checkbox" data-category="${category}">
+                    <span class="mesh-viewer__check-label">${labels[category]}</span>
+                    <span data-count="${category}"></span>
+                </label>
+            `).join('')}
+        `;
+        this.container.appendChild(panel);
+
+        panel.addEventListener('change', (event) => {
+            const category = event.target.dataset.category;
+            if (category) this.setTopologyHighlight(category, event.target.checked);
+        });
+
+        this.statsPanel = panel;
+        this.updateStatsPanel();
+    }
+
+    updateStatsPanel() {
+        const panel = this.statsPanel;
+        if (!panel) return;
+
+        const stats = this.computeMeshStats();
+        const summary = panel.querySelector('[data-role="summary"]');
+        panel.querySelectorAll('input[data-category]').forEach(input => {
+            input.checked = Boolean(this.topologyHighlights[input.dataset.category]);
+            input.disabled = !stats;
+        });
+        if (!stats) {
+            summary.textContent = 'No mesh loaded';
+            return;
+        }
+
+        const units = this.options.units;
+        const format = (value) => Number(value.toPrecision(4)).toLocaleString();
+        const size = stats.bounds ? stats.bounds.max.map((value, k) => value - stats.bounds.min[k]) : [0, 0, 0];
+        const rows = [
+            ['Vertices', stats.vertexCount.toLocaleString()],
+            ['Faces', stats.faceCount.toLocaleString()],
+            ['Size', `${size.map(format).join(' × ')} ${units}`],
+            ['Min', stats.bounds ? stats.bounds.min.map(format).join(', ') : '–'],
+            ['Max', stats.bounds ? stats.bounds.max.map(format).join(', ') : '–'],
+            ['Area', `${format(stats.surfaceArea)} ${units}²`],
+            ['Components', stats.components.toLocaleString() +
+                (stats.isolatedVertices ? ` (+${stats.isolatedVertices.toLocaleString()} isolated vertices)` : '')]
+        ];
+        summary.innerHTML = rows
+            .map(([name, value]) => `<div><strong>${name}</strong> ${this.escapeHTML(value)}</div>`)
+            .join('');
+
+        MeshStats.CATEGORIES.forEach(category => {
+            panel.querySelector(`[data-count="${category}"]`).textContent = MeshStats.count(stats, category).toLocaleString();
+        });
+    }
+
+    /**
+     * Score the loaded mesh against a reference point cloud (URL, Blob or
+     * ArrayBuffer of a PLY in the same coordinates) the way eval_reconstruction.py
+     * does. settings override ReconstructionEval.DEFAULTS, plus settings.errorRange
+     * for the per-vertex error colormap. Vertices are colored by their distance to
+     * the reference ('eval_error'); resolves to { rows, csv } with the CSV's columns.
+     */
+    async evaluateAgainstReference(source, settings = {}) {
+        if (!this.geometry) {
+            throw new Error('Load a mesh before evaluating it');
+        }
+
+        this.cancelEvaluation();
+        const controller = new AbortController();
+        this.evalController = controller;
+        const geometry = this.geometry;
+        const { errorRange = [0, 0.2], ...overrides } = settings;
+        const options = { ...ReconstructionEval.DEFAULTS, ...this.options.evalOptions, ...overrides };
+        if (!options.name && this.sourceUrl) {
+            options.name = this.sourceUrl.split('/').pop();
+        }
+        this.updateEvalPanel('Loading reference…');
+
+        let status = '';
+        try {
+            const reference = await this.loadPLYData(source, controller.signal, (progress) => this.updateProgress(progress));
+
+            // Work in the centered frame of the mesh, where float32 keeps its precision
+            const origin = geometry.userData.origin || new THREE.Vector3();
+            const points = reference.positions;
+            for (let i = 0; i < points.length; i += 3) {
+                points[i] -= origin.x;
+                points[i + 1] -= origin.y;
+                points[i + 2] -= origin.z;
+            }
+
+            this.updateEvalPanel('Evaluating…');
+            const result = await this.runEvaluation({
+                reference: points,
+                positions: geometry.attributes.position.array,
+                indices: geometry.index ? geometry.index.array : new Uint32Array(0),
+                options
+            }, controller.signal);
+
+            geometry.userData.properties = { ...geometry.userData.properties, eval_error: result.vertexErrors };
+            this.evaluation = { rows: result.rows, csv: ReconstructionEval.toCSV(result.rows) };
+            this.setColorBy('eval_error', { colormap: 'reds', range: errorRange });
+            return this.evaluation;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                status = error.message;
+            }
+            throw error;
+        } finally {
+            if (this.evalController === controller) {
+                this.evalController = null;
+                this.updateProgress(null);
+                this.updateEvalPanel(status);
+            }
+        }
+    }
+
+    // The worker gets copies, so the displayed geometry and a main-thread retry stay intact
+    async runEvaluation(job, signal) {
+        const onProgress = (progress) => this.updateProgress({ phase: 'evaluate', ...progress });
+
+        if (this.options.useWorker && typeof Worker !== 'undefined') {
+            let worker;
+            try {
+                worker = new Worker(this.options.evalWorkerUrl);
+            } catch (error) {
+                console.warn('Evaluation worker unavailable, evaluating on the main thread:', error);
+            }
+            if (worker) {
+                const copy = {
+                    ...job,
+                    reference: job.reference.slice(),
+                    positions: job.positions.slice(),
+                    indices: job.indices.slice()
+                };
+                const transfer = [copy.reference.buffer, copy.positions.buffer, copy.indices.buffer];
+                try {
+                    return await this.runWorker(worker, copy, signal, onProgress, transfer);
+                } catch (error) {
+                    if (!error.workerUnavailable) throw error;
+                    // eval_worker.js or a script it imports did not load
+                    console.warn('Evaluation worker failed to start, evaluating on the main thread:', error);
+                }
+            }
+        }
+
+        const { reference, positions, indices, options } = job;
+        return ReconstructionEval.evaluate(reference, { positions, indices }, options, onProgress);
+    }
+
+    cancelEvaluation() {
+        if (this.evalController) {
+            this.evalController.abort();
+        }
+    }
+
+    createEvalPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'mesh-viewer__panel mesh-viewer__panel--eval';
+        panel.innerHTML = `
+            <label>Reference
+                <input data-role="file" type="file" accept=".ply">
+            </label>
+            <div class="mesh-viewer__buttons">
+                <button type="button" data-role="evaluate">Evaluate</button>
+                <button type="button" data-role="csv">CSV</button>
+            </div>
+            <div data-role="status"></div>
+            <table data-role="results"></table>
+        `;
+        this.container.appendChild(panel);
+
+        const field = (role) => panel.querySelector(`[data-role="${role}"]`);
+        this.evalPanel = {
+            panel,
+            file: field('file'),
+            evaluate: field('evaluate'),
+            csv: field('csv'),
+            status: field('status'),
+            results: field('results')
+        };
+
+        field('evaluate').addEventListener('click', () => {
+            const source = this.evalPanel.file.files[0] || this.options.evalReference;
+            // Errors end up in the panel's status line
+            this.evaluateAgainstReference(source).catch(() => {});
+        });
+        field('csv').addEventListener('click', () => {
+            MediaExport.download(new Blob([this.evaluation.csv], { type: 'text/csv' }), 'evaluation_metrics.csv');
+        });
+        field('file').addEventListener('change', () => this.updateEvalPanel());
+
+        this.updateEvalPanel();
+    }
+
+    updateEvalPanel(status = '') {
+        const controls = this.evalPanel;
+        if (!controls) return;
+
+        const hasReference = controls.file.files.length > 0 || Boolean(this.options.evalReference);
+        controls.evaluate.disabled = !this.geometry || !hasReference || Boolean(this.evalController);
+        controls.csv.disabled = !this.evaluation;
+        controls.status.textContent = status;
+
+        const rows = this.evaluation ? this.evaluation.rows : [];
+        const columns = [
+            ['threshold', 'τ (m)'],
+            ['Precision [Accuracy] (%)', 'P (%)'],
+            ['Recall [Completeness] (%)', 'R (%)'],
+            ['F-score (%)', 'F (%)'],
+            ['MAE_accuracy (cm)', 'Acc (cm)'],
+            ['MAE_completeness (cm)', 'Comp (cm)'],
+            ['Chamfer_L1 (cm)', 'CD-L1 (cm)']
+        ];
+        const format = (value) => (Number.isFinite(value) ? Number(value.toFixed(2)).toString() : '–');
+        controls.results.innerHTML = rows.length === 0 ? '' : `
+            <tr>${columns.map(([, label]) => `<th>${label}</th>`).join('')}</tr>
+            ${rows.map(row => `<tr>${columns.map(([key]) => `<td>${format(row[key])}</td>`).join('')}</tr>`).join('')}
+        `;
+    }
+
+    /**
+     * Simplify a large mesh into coarser levels in a worker, in the background.
+     * Simplifying millions of triangles on the main thread would freeze the page
+     * for longer than the levels save, so without workers there is no LOD.
+     */
+    async buildLOD(geometry) {
+        const faces = geometry.index ? geometry.index.count / 3 : 0;
+        if (!this.options.lod || faces <= this.options.lodThreshold) return;
+        if (!this.options.useWorker || typeof Worker === 'undefined') return;
+
+        let worker;
+        try {
+            worker = new Worker(this.options.lodWorkerUrl);
+        } catch (error) {
+            console.warn('LOD worker unavailable, drawing the full mesh only:', error);
+            return;
+        }
+
+        const controller = new AbortController();
+        const lod = {
+            source: geometry,
+            levels: [],
+            controller,
+            budget: this.options.lodTriangleBudget,
+            view: [],
+            lastMove: 0,
+            lastFrame: null,
+            lastAdjust: 0,
+            frameTime: null
+        };
+        this.lod = lod;
+
+        const positions = geometry.attributes.position.array.slice();
+        const indices = geometry.index.array.slice();
+        try {
+            const job = { positions, indices, options: { ratio: 0.25, minFaces: this.options.lodMinFaces } };
+            const levels = await this.runWorker(worker, job, controller.signal, () => {}, [positions.buffer, indices.buffer]);
+            if (this.lod !== lod) return;
+            lod.levels = levels.map(level => this.createLODGeometry(geometry, level));
+            this.updateLODColors();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('Could not build levels of detail:', error);
+            }
+        } finally {
+            lod.controller = null;
+        }
+    }
+
+    createLODGeometry(source, level) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(level.positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(level.indices, 1));
+        geometry.computeVertexNormals();
+
+        // Same frame and bounds as the full mesh, so annotations, picking and culling agree
+        geometry.userData = source.userData;
+        if (source.boundingBox) geometry.boundingBox = source.boundingBox.clone();
+        if (source.boundingSphere) geometry.boundingSphere = source.boundingSphere.clone();
+
+        return { geometry, faces: level.indices.length / 3, sourceVertex: level.sourceVertex };
+    }
+
+    // Level colors are looked up in the full mesh, whose colors colorBy replaces
+    updateLODColors() {
+        if (!this.lod) return;
+
+        const colors = this.lod.source.attributes.color;
+        this.lod.levels.forEach(({ geometry, sourceVertex }) => {
+            if (!colors) {
+                geometry.deleteAttribute('color');
+                return;
+            }
+            const values = new colors.array.constructor(sourceVertex.length * 3);
+            for (let i = 0; i < sourceVertex.length; i++) {
+                const v = sourceVertex[i] * 3;
+                values[i * 3] = colors.array[v];
+                values[i * 3 + 1] = colors.array[v + 1];
+                values[i * 3 + 2] = colors.array[v + 2];
+            }
+            geometry.setAttribute('color', new THREE.BufferAttribute(values, 3, colors.normalized));
+        });
+    }
+
+    // Draw LOD level `index` (-1 for the full mesh) on the mesh and its clipping cap
+    showLODLevel(index) {
+        const lod = this.lod;
+        if (!lod || !this.mesh || this.activeRenderMode !== 'mesh' || this.geometry !== lod.source) return;
+
+        const geometry = index < 0 || !lod.levels[index] ? lod.source : lod.levels[index].geometry;
+        if (this.mesh.geometry === geometry) return;
+        this.mesh.geometry = geometry;
+        if (this.mesh.userData.cap) {
+            this.mesh.userData.cap.geometry = geometry;
+        }
+    }
+
+    /**
+     * Pick the level for this frame: the full mesh once the user has left the
+     * camera still for lodSettleDelay ms, otherwise the finest level within the
+     * triangle budget. The budget shrinks while moving frames take longer than
+     * lodFrameTime and grows again when they are well under it.
+     */
+    updateLOD(now) {
+        const lod = this.lod;
+        if (!lod || lod.levels.length === 0 || !this.mesh || this.activeRenderMode !== 'mesh') return;
+
+        const frameTime = lod.lastFrame !== null ? now - lod.lastFrame : 0;
+        lod.lastFrame = now;
+
+        // Only the user's camera moves count: auto-rotation and camera path tours never
+        // stop, so counting them would keep the coarse levels up for good
+        const view = this.camera.matrixWorld.elements.slice();
+        const moved = !this.cameraPathPlayback && view.some((value, i) => value !== lod.view[i]);
+        lod.view = view;
+        if (moved) {
+            lod.lastMove = now;
+        } else if (now - lod.lastMove >= this.options.lodSettleDelay) {
+            lod.frameTime = null;
+            this.showLODLevel(-1);
+            return;
+        }
+
+        // Frames much longer than usual are tab switches or stalls, not rendering cost
+        if (frameTime > 0 && frameTime < 500) {
+            lod.frameTime = lod.frameTime === null ? frameTime : lod.frameTime * 0.8 + frameTime * 0.2;
+        }
+        if (lod.frameTime !== null && now - lod.lastAdjust > 500) {
+            const target = this.options.lodFrameTime;
+            if (lod.frameTime > target * 1.2) lod.budget *= 0.6;
+            else if (lod.frameTime < target * 0.6) lod.budget *= 1.25;
+            lod.budget = THREE.MathUtils.clamp(lod.budget, lod.levels[lod.levels.length - 1].faces, lod.source.index.count / 3);
+            lod.lastAdjust = now;
+        }
+
+        let index = -1;
+        if (lod.source.index.count / 3 > lod.budget) {
+            index = lod.levels.findIndex(level => level.faces <= lod.budget);
+            if (index < 0) index = lod.levels.length - 1;
+        }
+        this.showLODLevel(index);
+    }
+
+    clearLOD() {
+        const lod = this.lod;
+        if (!lod) return;
+
+        if (lod.controller) {
+            lod.controller.abort();
+        }
+        this.showLODLevel(-1);
+        lod.levels.forEach(level => level.geometry.dispose());
+        this.lod = null;
+    }
+
+    /**
+     * Play back an ordered list of mesh or Gaussian snapshots: a frame array, a
+     * manifest object or the URL of a manifest JSON (see SnapshotTimeline.parseManifest).
+     * The first frame is framed like loadPLY; later frames keep the camera where it is.
+     */
+    async loadTimeline(source) {
+        this.clearTimeline();
+
+        let manifest;
+        if (typeof source === 'string') {
+            const url = new URL(source, document.baseURI).href;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch timeline manifest: ${response.statusText}`);
+            }
+            manifest = SnapshotTimeline.parseManifest(await response.json(), url);
+        } else {
+            manifest = SnapshotTimeline.parseManifest(source, document.baseURI);
+        }
+
+        this.timeline = {
+            frames: manifest.frames,
+            fps: manifest.fps || this.options.timelineFps,
+            speed: 1,
+            loop: this.options.timelineLoop,
+            playing: false,
+            // Frame on screen, and the one to show next
+            index: -1,
+            requested: 0,
+            // Promise while frames are being shown, see showRequestedFrames
+            loading: null,
+            // Frame index → Promise of its geometry
+            cache: new Map(),
+            controller: new AbortController(),
+            frameStart: 0
+        };
+        if (this.options.timelineControls && !this.timelineControls) {
+            this.createTimelineControls();
+        }
+        this.updateTimelineControls();
+
+        await this.setTimelineFrame(0);
+        if (this.options.timelineAutoplay) {
+            this.playTimeline();
+        }
+    }
+
+    // Show frame `index`. Requests made while a frame loads replace each other, so scrubbing stays responsive
+    setTimelineFrame(index) {
+        const timeline = this.timeline;
+        if (!timeline) return Promise.resolve();
+
+        timeline.requested = THREE.MathUtils.clamp(Math.round(index), 0, timeline.frames.length - 1);
+        if (!timeline.loading) {
+            timeline.loading = this.showRequestedFrames(timeline);
+        }
+        this.updateTimelineControls();
+        return timeline.loading;
+    }
+
+    async showRequestedFrames(timeline) {
+        try {
+            while (this.timeline === timeline && timeline.requested !== timeline.index) {
+                const index = timeline.requested;
+                const geometry = await this.getTimelineFrame(index, true);
+                if (this.timeline !== timeline) return;
+                // Skip frames the scrubber has already moved past
+                if (timeline.requested !== index) continue;
+
+                this.displayMesh(geometry, { keepView: timeline.index >= 0 });
+                timeline.index = index;
+                timeline.frameStart = performance.now();
+                this.prefetchTimelineFrames();
+                this.evictTimelineFrames();
+                this.updateTimelineControls();
+            }
+        } catch (error) {
+            if (this.timeline === timeline) {
+                timeline.requested = timeline.index;
+                this.pauseTimeline();
+            }
+            throw error;
+        } finally {
+            timeline.loading = null;
+            this.updateProgress(null);
+            this.updateTimelineControls();
+        }
+    }
+
+    // Parsed geometry of a frame, loaded once and shared by playback and prefetching
+    getTimelineFrame(index, showProgress = false) {
+        const timeline = this.timeline;
+        let frame = timeline.cache.get(index);
+        if (!frame) {
+            const onProgress = showProgress ? (progress) => this.updateProgress(progress) : () => {};
+            frame = this.loadPLYData(timeline.frames[index].url, timeline.controller.signal, onProgress)
+                .then(data => this.createGeometry(data));
+            timeline.cache.set(index, frame);
+            // A failed frame is retried the next time it is needed
+            frame.catch(() => {
+                if (timeline.cache.get(index) === frame) timeline.cache.delete(index);
+            });
+        }
+        return frame;
+    }
+
+    prefetchTimelineFrames() {
+        const timeline = this.timeline;
+        const order = SnapshotTimeline.prefetchOrder(timeline.index, timeline.frames.length,
+            this.options.timelinePrefetch, timeline.loop);
+        // Errors surface again if the frame is shown
+        order.forEach(index => this.getTimelineFrame(index).catch(() => {}));
+    }
+
+    // Keep the timelineCacheSize frames closest to the current one
+    evictTimelineFrames() {
+        const timeline = this.timeline;
+        const count = timeline.frames.length;
+        const distance = (i) => {
+            const d = Math.abs(i - timeline.index);
+            return timeline.loop ? Math.min(d, count - d) : d;
+        };
+        const keep = [...timeline.cache.keys()]
+            .sort((a, b) => distance(a) - distance(b))
+            .slice(0, Math.max(this.options.timelineCacheSize, 1));
+
+        timeline.cache.forEach((frame, index) => {
+            if (keep.includes(index)) return;
+            timeline.cache.delete(index);
+            frame.then(geometry => {
+                if (geometry !== this.geometry) geometry.dispose();
+            }, () => {});
+        });
+    }
+
+    playTimeline() {
+        const timeline = this.timeline;
+        if (!timeline) return;
+
+        // Playing from the last frame of a non-looping timeline starts over
+        if (!timeline.loop && timeline.requested === timeline.frames.length - 1) {
+            this.setTimelineFrame(0).catch(error => console.error('Error loading timeline frame:', error));
+        }
+        timeline.playing = true;
+        timeline.frameStart = performance.now();
+        this.updateTimelineControls();
+    }
+
+    pauseTimeline() {
+        if (!this.timeline) return;
+        this.timeline.playing = false;
+        this.updateTimelineControls();
+    }
+
+    setTimelineSpeed(speed) {
+        if (!this.timeline || !(speed > 0)) return;
+        this.timeline.speed = speed;
+        this.updateTimelineControls();
+    }
+
+    setTimelineLoop(loop) {
+        if (!this.timeline) return;
+        this.timeline.loop = loop;
+        this.updateTimelineControls();
+    }
+
+    // Advance playback; a frame that is still loading holds the timeline rather than being skipped
+    updateTimeline(now) {
+        const timeline = this.timeline;
+        if (!timeline || !timeline.playing || timeline.loading || timeline.index < 0) return;
+
+        const duration = SnapshotTimeline.frameDuration(timeline.frames, timeline.index, timeline.fps) * 1000 / timeline.speed;
+        if (now - timeline.frameStart < duration) return;
+
+        let next = timeline.index + 1;
+        if (next >= timeline.frames.length) {
+            if (!timeline.loop) {
+                this.pauseTimeline();
+                return;
+            }
+            next = 0;
+        }
+        this.setTimelineFrame(next).catch(error => console.error('Error loading timeline frame:', error));
+    }
+
+    clearTimeline() {
+        const timeline = this.timeline;
+        if (!timeline) return;
+
+        this.timeline = null;
+        timeline.controller.abort();
+        timeline.cache.forEach(frame => frame.then(geometry => {
+            if (geometry !== this.geometry) geometry.dispose();
+        }, () => {}));
+        this.updateTimelineControls();
+    }
+
+    createTimelineControls() {
+        const bar = document.createElement('div');
+        bar.className = 'mesh-viewer__timeline';
+        bar.innerHTML = `
+            <button type="button" data-role="play">Play</button>
+            <input data-role="scrubber" type="range" min="0" max="0" step="1" value="0" aria-label="Snapshot">
+            <span data-role="label"></span>
+            <label title="Start over after the last snapshot">
+                <input data-role="loop" type="checkbox"> Loop
+            </label>
+            <select data-role="speed" aria-label="Playback speed">
+                ${[0.25, 0.5, 1, 2, 4].map(speed => `<option value="${speed}">${speed}×</option>`).join('')}
+            </select>
+        `;
+        this.container.appendChild(bar);
+
+        const field = (role) => bar.querySelector(`[data-role="${role}"]`);
+        this.timelineControls = {
+            bar,
+            play: field('play'),
+            scrubber: field('scrubber'),
+            label: field('label'),
+            loop: field('loop'),
+            speed: field('speed')
+        };
+
+        field('play').addEventListener('click', () => {
+            if (this.timeline && this.timeline.playing) this.pauseTimeline();
+            else this.playTimeline();
+        });
+        field('scrubber').addEventListener('input', (event) => {
+            this.pauseTimeline();
+            this.setTimelineFrame(Number(event.target.value))
+                .catch(error => console.error('Error loading timeline frame:', error));
+        });
+        field('loop').addEventListener('change', (event) => this.setTimelineLoop(event.target.checked));
+        field('speed').addEventListener('change', (event) => this.setTimelineSpeed(Number(event.target.value)));
+    }
+
+    updateTimelineControls() {
+        const controls = this.timelineControls;
+        if (!controls) return;
+
+        const timeline = this.timeline;
+        controls.bar.style.display = timeline ? '' : 'none';
+        if (!timeline) return;
+
+        const count = timeline.frames.length;
+        // requested is -1 when the first frame failed to load
+        const shown = Math.max(timeline.requested, 0);
+        controls.play.textContent = timeline.playing ? 'Pause' : 'Play';
+        controls.scrubber.max = String(count - 1);
+        controls.scrubber.value = String(shown);
+        controls.label.textContent = `${timeline.frames[shown].label} (${shown + 1}/${count})` +
+            (timeline.loading ? ' …' : '');
+        controls.loop.checked = timeline.loop;
+        controls.speed.value = String(timeline.speed);
+    }
+
+    /**
+     * Open local files as if their URLs had been given: one file is loaded with
+     * loadPLY, several play as a timeline sorted by name. Files that fail
+     * validation or loading are listed in the viewer instead of thrown.
+     */
+    async openFiles(files) {
+        const errors = [];
+        const valid = [];
+        for (const file of Array.from(files)) {
+            const error = await this.validateMeshFile(file);
+            if (error) errors.push(`${file.name}: ${error}`);
+            else valid.push(file);
+        }
+        valid.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+        this.showFileErrors(errors);
+        if (valid.length === 0) return;
+
+        const controls = this.fileDrop;
+        if (controls) {
+            controls.objectUrls.forEach(url => URL.revokeObjectURL(url));
+            controls.objectUrls = [];
+        }
+
+        try {
+            if (valid.length === 1) {
+                await this.loadPLY(valid[0]);
+            } else {
+                // Timeline frames are fetched by URL, so each file gets an object URL for as long as it is open
+                const frames = valid.map(file => ({
+                    url: URL.createObjectURL(file),
+                    label: SnapshotTimeline.labelFromName(file.name)
+                }));
+                if (controls) controls.objectUrls = frames.map(frame => frame.url);
+                await this.loadTimeline({ frames });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            const name = valid.length === 1 ? valid[0].name : 'Timeline';
+            errors.push(`${name}: ${error.message}`);
+            this.showFileErrors(errors);
+            return;
+        }
+
+        await this.rememberFiles(valid);
+    }
+
+    // Reason a file cannot be opened, or null. Only the start of the file is read
+    async validateMeshFile(file) {
+        if (!(file instanceof Blob)) return 'not a file';
+        if (file.size === 0) return 'the file is empty';
+
+        const bytes = new Uint8Array(await file.slice(0, 65536).arrayBuffer());
+        // Compressed files are only checked once they are unpacked while loading
+        if (MeshFormats.detectCompression(bytes)) return null;
+        const format = MeshFormats.detectFormat(bytes, file.name);
+        if (!format) return `not a supported mesh file (${MeshFormats.FORMATS.map(name => name.toUpperCase()).join(', ')})`;
+        if (format !== 'ply') return null;
+
+        let header;
+        try {
+            header = PLYParser.parseHeader(bytes);
+        } catch (error) {
+            return error.message;
+        }
+
+        const vertex = PLYParser.getElement(header, 'vertex');
+        if (!vertex || !(vertex.count > 0)) return 'the file has no vertices';
+        return null;
+    }
+
+    showFileErrors(errors) {
+        const controls = this.fileDrop;
+        if (!controls) {
+            errors.forEach(error => console.error(error));
+            return;
+        }
+
+        controls.errors.style.display = errors.length > 0 ? '' : 'none';
+        controls.errorList.innerHTML = errors.map(error => `<li>${this.escapeHTML(error)}</li>`).join('');
+    }
+
+    canRememberFiles() {
+        return this.options.recentFiles > 0 && typeof RecentFiles !== 'undefined' && RecentFiles.isAvailable();
+    }
+
+    async rememberFiles(files) {
+        if (!this.canRememberFiles()) return;
+        try {
+            for (const file of files) {
+                await RecentFiles.add(file, this.options.recentFiles);
+            }
+        } catch (error) {
+            // Quota or private browsing; the files are open either way
+            console.warn('Could not store recent files:', error);
+        }
+        this.updateRecentFiles();
+    }
+
+    async openRecentFile(key) {
+        let file = null;
+        try {
+            file = await RecentFiles.get(key);
+        } catch (error) {
+            console.warn('Could not read recent file:', error);
+        }
+        if (!file) {
+            this.showFileErrors(['This file is no longer stored, open it again']);
+            await RecentFiles.remove(key).catch(() => {});
+            this.updateRecentFiles();
+            return;
+        }
+        await this.openFiles([file]);
+    }
+
+    createFileDrop() {
+        const overlay = document.createElement('div');
+        overlay.className = 'mesh-viewer__drop';
+        overlay.textContent = 'Drop mesh files to open';
+        overlay.style.display = 'none';
+        this.container.appendChild(overlay);
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = [...MeshFormats.FORMATS.map(format => `.${format}`), '.gz'].join(',');
+        input.multiple = true;
+        input.hidden = true;
+        this.container.appendChild(input);
+
+        const errors = document.createElement('div');
+        errors.className = 'mesh-viewer__errors';
+        errors.style.display = 'none';
+        errors.innerHTML = `
+            <ul data-role="list"></ul>
+            <button type="button" data-role="close" title="Dismiss" aria-label="Dismiss">×</button>
+        `;
+        this.container.appendChild(errors);
+
+        this.fileDrop = {
+            overlay,
+            input,
+            errors,
+            errorList: errors.querySelector('[data-role="list"]'),
+            // Recent-files panel, see createRecentFilesPanel
+            recentButton: null,
+            recentPanel: null,
+            recentList: null,
+            recentClear: null,
+            recentEntries: [],
+            // dragenter/dragleave also fire for every child the pointer crosses
+            dragDepth: 0,
+            objectUrls: []
+        };
+
+        errors.querySelector('[data-role="close"]').addEventListener('click', () => this.showFileErrors([]));
+        input.addEventListener('change', () => {
+            const files = Array.from(input.files);
+            // Picking the same file again should fire another change event
+            input.value = '';
+            this.openFiles(files);
+        });
+        this.addToolbarButton('Open…', 'Open local mesh files; several play as a timeline', () => input.click());
+
+        const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+        this.container.addEventListener('dragenter', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            this.fileDrop.dragDepth++;
+            overlay.style.display = '';
+        });
+        this.container.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        this.container.addEventListener('dragleave', (event) => {
+            if (!hasFiles(event)) return;
+            this.fileDrop.dragDepth = Math.max(0, this.fileDrop.dragDepth - 1);
+            if (this.fileDrop.dragDepth === 0) overlay.style.display = 'none';
+        });
+        this.container.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            this.fileDrop.dragDepth = 0;
+            overlay.style.display = 'none';
+            this.openFiles(event.dataTransfer.files);
+        });
+
+        if (this.canRememberFiles()) {
+            this.createRecentFilesPanel();
+        }
+    }
+
+    createRecentFilesPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'mesh-viewer__panel mesh-viewer__panel--recent';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <strong>Recent files</strong>
+            <div data-role="list"></div>
+            <div class="mesh-viewer__buttons">
+                <button type="button" data-role="clear">Clear</button>
+            </div>
+        `;
+        this.container.appendChild(panel);
+
+        const controls = this.fileDrop;
+        controls.recentPanel = panel;
+        controls.recentList = panel.querySelector('[data-role="list"]');
+        controls.recentClear = panel.querySelector('[data-role="clear"]');
+
+        controls.recentButton = this.addToolbarButton('Recent', 'Reopen a recently opened file', (button) => {
+            const open = panel.style.display === 'none';
+            panel.style.display = open ? '' : 'none';
+            button.classList.toggle('is-active', open);
+            if (open) this.updateRecentFiles();
+        });
+        controls.recentList.addEventListener('click', (event) => {
+            const entry = event.target.closest('[data-index]');
+            if (entry) this.openRecentFile(controls.recentEntries[Number(entry.dataset.index)].key);
+        });
+        controls.recentClear.addEventListener('click', () => {
+            RecentFiles.clear()
+                .catch(error => console.warn('Could not clear recent files:', error))
+                .then(() => this.updateRecentFiles());
+        });
+    }
+
+    async updateRecentFiles() {
+        const controls = this.fileDrop;
+        if (!controls || !controls.recentPanel) return;
+
+        let entries = [];
+        try {
+            entries = await RecentFiles.list();
+        } catch (error) {
+            console.warn('Could not list recent files:', error);
+        }
+
+        const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        controls.recentEntries = entries;
+        controls.recentList.innerHTML = entries.length === 0
+            ? '<em>No files opened yet</em>'
+            : entries.map((entry, i) => `
+                <button type="button" class="mesh-viewer__recent" data-index="${i}"
+                    title="Opened ${new Date(entry.openedAt).toLocaleString()}">
+                    ${this.escapeHTML(entry.name)} <span>${megabytes(entry.size)} MB</span>
+                </button>
+            `).join('');
+        controls.recentClear.disabled = entries.length === 0;
+    }
+
+    createClipButtons() {
+        const buttons = {};
+        buttons.box = this.addToolbarButton('Section box', 'Clip to a box whose faces can be dragged', () => {
+            this.setSectionBox(this.clipping.box ? null : true);
+        });
+        buttons.ceiling = this.addToolbarButton('Remove ceiling', 'Cut away the top of the model', () => {
+            this.removeCeiling(!this.clipping.ceiling);
+        });
+        buttons.caps = this.addToolbarButton('Caps', 'Shade cut surfaces', () => {
+            this.setClipCaps(!this.options.clipCaps);
+        });
+        this.clipping.buttons = buttons;
+        this.updateClipButtons();
+    }
+
+    updateClipButtons() {
+        const buttons = this.clipping && this.clipping.buttons;
+        if (!buttons) return;
+        buttons.box.classList.toggle('is-active', Boolean(this.clipping.box));
+        buttons.ceiling.classList.toggle('is-active', Boolean(this.clipping.ceiling));
+        buttons.caps.classList.toggle('is-active', this.options.clipCaps);
+    }
+
+    /**
+     * Draw the current frame. While exporting, region describes the tile being
+     * drawn: { width } of the whole image, its { x } offset and the { pixelScale }
+     * applied to screen-size points.
+     */
+    renderScene(region = {}) {
+        const pixelScale = region.pixelScale || 1;
+        if (!this.comparison) {
+            this.renderLayer(this.scene, this.activeRenderMode, this.mesh, pixelScale);
+            return;
+        }
+
+        // Left of the divider shows the main mesh, right of it the comparison mesh
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const fullWidth = region.width || size.x;
+        const split = THREE.MathUtils.clamp(
+            Math.round(fullWidth * this.comparison.position / 100) - (region.x || 0), 0, size.x);
+
+        this.renderer.setScissorTest(true);
+        this.renderer.setScissor(0, 0, split, size.y);
+        this.renderLayer(this.scene, this.activeRenderMode, this.mesh, pixelScale);
+        this.renderer.setScissor(split, 0, size.x - split, size.y);
+        // Measurements, trajectories and the section box show on both sides, so
+        // the comparison scene borrows them for its half
+        this.comparison.scene.add(this.annotationRoot);
+        this.renderLayer(this.comparison.scene, this.comparison.mode, this.comparison.object, pixelScale);
+        this.scene.add(this.annotationRoot);
+        this.renderer.setScissorTest(false);
+    }
+
+    renderLayer(scene, mode, object, pixelScale = 1) {
+        if (mode !== 'points' || !object) {
+            this.renderer.render(scene, this.camera);
+            return;
+        }
+
+        object.material.updateViewport(this.renderer, pixelScale);
+
+        if (!this.options.eyeDomeLighting) {
+            this.renderer.render(scene, this.camera);
+            return;
+        }
+
+        if (!this.edl) {
+            this.edl = new EyeDomeLighting({
+                strength: this.options.edlStrength,
+                radius: this.options.edlRadius
+            });
+        }
+        this.edl.radius = this.options.edlRadius * pixelScale;
+        this.edl.render(this.renderer, scene, this.camera);
+    }
+
+    /**
+     * Render the current view into a 2D canvas of any size, independent of the
+     * on-screen canvas. Images larger than the GPU allows are drawn in tiles.
+     * options: width, height (default: twice the on-screen size, keeping its
+     * aspect), background (color), transparent, canvas (reuse an output canvas).
+     */
+    renderToCanvas(options = {}) {
+        const renderer = this.renderer;
+        // Exports always show the full mesh
+        this.showLODLevel(-1);
+        const screenSize = renderer.getSize(new THREE.Vector2());
+        const aspect = screenSize.x / screenSize.y;
+
+        let width = options.width || this.options.exportWidth;
+        let height = options.height || this.options.exportHeight;
+        if (!width && !height) height = screenSize.y * 2;
+        width = Math.round(width || height * aspect);
+        height = Math.round(height || width / aspect);
+
+        const output = options.canvas || document.createElement('canvas');
+        if (output.width !== width) output.width = width;
+        if (output.height !== height) output.height = height;
+        const context = output.getContext('2d');
+        context.clearRect(0, 0, width, height);
+
+        const transparent = options.transparent !== undefined ? options.transparent : this.options.exportTransparent;
+        const background = options.background !== undefined ? options.background : this.options.backgroundColor;
+        const saved = {
+            pixelRatio: renderer.getPixelRatio(),
+            clearColor: renderer.getClearColor(new THREE.Color()).clone(),
+            clearAlpha: renderer.getClearAlpha(),
+            aspect: this.perspectiveCamera.aspect
+        };
+        const maxTile = Math.min(renderer.capabilities ? renderer.capabilities.maxTextureSize : 4096, 4096);
+        const region = { width, pixelScale: height / screenSize.y };
+
+        renderer.setPixelRatio(1);
+        renderer.setClearColor(background, transparent ? 0 : 1);
+        this.perspectiveCamera.aspect = width / height;
+        this.updateCameraProjection();
+
+        try {
+            for (let y = 0; y < height; y += maxTile) {
+                for (let x = 0; x < width; x += maxTile) {
+                    const tileWidth = Math.min(maxTile, width - x);
+                    const tileHeight = Math.min(maxTile, height - y);
+                    renderer.setSize(tileWidth, tileHeight, false);
+                    this.camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+
+                    // Sort splats here rather than in the worker, which may still be on an earlier view
+                    if (this.splats) this.splats.update(this.camera, renderer, true);
+                    if (this.comparison && this.comparison.splats) {
+                        this.comparison.splats.update(this.camera, renderer, true);
+                    }
+
+                    this.renderScene({ ...region, x });
+                    context.drawImage(renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+                }
+            }
+        } finally {
+            this.camera.clearViewOffset();
+            this.perspectiveCamera.aspect = saved.aspect;
+            this.updateCameraProjection();
+            renderer.setPixelRatio(saved.pixelRatio);
+            renderer.setSize(screenSize.x, screenSize.y, false);
+            renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+            if (this.edl) this.edl.radius = this.options.edlRadius;
+        }
+
+        return output;
+    }
+
+    /**
+     * PNG of the current view, see renderToCanvas for the options.
+     * options.download names a file to save it as.
+     */
+    async exportScreenshot(options = {}) {
+        const canvas = this.renderToCanvas(options);
+        const blob = await MediaExport.canvasToBlob(canvas);
+        if (options.download) MediaExport.download(blob, options.download);
+        return blob;
+    }
+
+    /**
+     * Render an animation frame by frame at any resolution.
+     * options.mode: 'turntable' spins the mesh like autoRotate (duration s,
+     * revolutions) or 'path' plays this.cameraPath. options.format: 'webm'
+     * (MediaRecorder, recorded in real time at fps) or 'png' (a ZIP of numbered
+     * frames). Also width, height, background, transparent, bitrate, signal,
+     * onProgress({ frame, frames }) and download (file name).
+     */
+    async recordAnimation(options = {}) {
+        if (!this.mesh) {
+            throw new Error('No mesh loaded');
+        }
+        if (this.exporting) {
+            throw new Error('An export is already running');
+        }
+
+        const mode = options.mode || 'turntable';
+        const format = options.format || 'webm';
+        const fps = options.fps || 30;
+        if (mode === 'path' && this.cameraPath.keyframes.length < 2) {
+            throw new Error('The camera path needs at least two keyframes');
+        }
+
+        const frames = mode === 'path'
+            ? Math.max(1, Math.ceil(this.cameraPath.duration * fps) + 1)
+            : Math.max(1, Math.round((options.duration || 8) * fps));
+        const revolutions = options.revolutions || 1;
+
+        const videoType = format === 'webm' ? MediaExport.pickVideoType() : null;
+        if (format === 'webm' && !videoType) {
+            throw new Error('This browser cannot record WebM; use format "png" instead');
+        }
+
+        this.stopCameraPath();
+        this.exporting = true;
+        const startView = this.getCurrentViewState();
+        const startRotation = this.mesh.rotation.z;
+        const canvas = document.createElement('canvas');
+        const pngFrames = [];
+        let recorder = null;
+        let track = null;
+        let recorded = null;
+
+        try {
+            if (videoType) {
+                // Draw the first frame before capturing so the stream has the final size
+                this.renderToCanvas({ ...options, canvas });
+                const stream = canvas.captureStream(0);
+                track = stream.getVideoTracks()[0];
+                const chunks = [];
+                recorder = new MediaRecorder(stream, {
+                    mimeType: videoType,
+                    videoBitsPerSecond: options.bitrate || 20000000
+                });
+                recorder.addEventListener('dataavailable', event => {
+                    if (event.data.size > 0) chunks.push(event.data);
+                });
+                recorded = new Promise(resolve => {
+                    recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: 'video/webm' })));
+                });
+                recorder.start();
+            }
+
+            const startTime = performance.now();
+            for (let frame = 0; frame < frames; frame++) {
+                if (options.signal && options.signal.aborted) {
+                    throw new DOMException('Recording aborted', 'AbortError');
+                }
+
+                if (mode === 'path') {
+                    this.setViewState(this.cameraPath.sample(frame / fps));
+                } else {
+                    this.mesh.rotation.z = startRotation + 2 * Math.PI * revolutions * frame / frames;
+                }
+                this.syncAnnotationRoot();
+                if (this.comparison && this.comparison.object) {
+                    this.comparison.object.rotation.copy(this.mesh.rotation);
+                }
+
+                this.renderToCanvas({ ...options, canvas });
+
+                if (recorder) {
+                    track.requestFrame();
+                    // MediaRecorder timestamps frames by wall clock, so pace them at fps
+                    const wait = startTime + (frame + 1) * 1000 / fps - performance.now();
+                    await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+                } else {
+                    const name = `frame_${String(frame + 1).padStart(5, '0')}.png`;
+                    pngFrames.push({ name, blob: await MediaExport.canvasToBlob(canvas) });
+                }
+
+                if (options.onProgress) options.onProgress({ frame: frame + 1, frames });
+            }
+        } catch (error) {
+            if (recorder && recorder.state !== 'inactive') recorder.stop();
+            throw error;
+        } finally {
+            this.mesh.rotation.z = startRotation;
+            this.setViewState(startView);
+            this.exporting = false;
+        }
+
+        let blob;
+        if (recorder) {
+            recorder.stop();
+            blob = await recorded;
+        } else {
+            blob = await MediaExport.createZip(pngFrames);
+        }
+
+        if (options.download) MediaExport.download(blob, options.download);
+        return blob;
+    }
+
+    createExportButtons() {
+        this.addToolbarButton('Screenshot', 'Save a PNG of this view', (button) => {
+            this.exportScreenshot({ download: 'view.png' })
+                .catch(error => {
+                    console.error('Screenshot failed:', error);
+                    this.flashToolbarButton(button, 'Failed');
+                });
+        });
+
+        this.addToolbarButton('Record', 'Record a turntable, or the camera path if one is set', (button) => {
+            if (this.exporting) return;
+            const mode = this.cameraPath.keyframes.length > 1 ? 'path' : 'turntable';
+            const label = button.textContent;
+            const finish = () => {
+                button.textContent = label;
+                button.disabled = false;
+            };
+            button.disabled = true;
+            this.recordAnimation({
+                mode,
+                download: `${mode}.webm`,
+                onProgress: ({ frame, frames }) => {
+                    button.textContent = `Recording ${Math.round(100 * frame / frames)}%`;
+                }
+            })
+                .then(finish)
+                .catch(error => {
+                    console.error('Recording failed:', error);
+                    finish();
+                    this.flashToolbarButton(button, 'Failed');
+                });
+        });
+
+        const panel = document.createElement('div');
+        panel.className = 'mesh-viewer__panel mesh-viewer__panel--export';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <strong>Save mesh as</strong>
+            <div class="mesh-viewer__buttons">
+                ${MeshFormats.FORMATS.map(format => `<button type="button" data-format="${format}">${format.toUpperCase()}</button>`).join('')}
+            </div>
+        `;
+        this.container.appendChild(panel);
+
+        const saveButton = this.addToolbarButton('Save mesh', 'Save the mesh with its colors in another format', (button) => {
+            const open = panel.style.display === 'none';
+            panel.style.display = open ? '' : 'none';
+            button.classList.toggle('is-active', open);
+        });
+        panel.addEventListener('click', (event) => {
+            const format = event.target.dataset.format;
+            if (!format) return;
+            const name = (this.sourceName || 'mesh').replace(/\.[^.]*$/, '');
+            try {
+                this.exportMesh(format, { download: `${name}.${format}` });
+            } catch (error) {
+                console.error('Saving the mesh failed:', error);
+                this.flashToolbarButton(saveButton, 'Failed');
+            }
+        });
+    }
+
+    /**
+     * The loaded mesh in PLY coordinates with the colors on screen baked in: the
+     * active colormap, else the vertex colors unless forceMeshColor hides them.
+     * Clipping and levels of detail do not apply; scalar properties are kept.
+     */
+    getExportMesh() {
+        const geometry = this.geometry;
+        if (!geometry) {
+            throw new Error('No mesh loaded');
+        }
+
+        const origin = geometry.userData.origin || new THREE.Vector3();
+        const positions = Float32Array.from(geometry.attributes.position.array);
+        for (let i = 0; i < positions.length; i += 3) {
+            positions[i] += origin.x;
+            positions[i + 1] += origin.y;
+            positions[i + 2] += origin.z;
+        }
+
+        let colors = null;
+        if (this.colorBy && this.colorBy.activeRange) {
+            const { property, colormap, activeRange } = this.colorBy;
+            colors = Colormaps.apply(colormap, this.getScalarValues(property), activeRange);
+        } else if (geometry.attributes.color && !this.options.forceMeshColor) {
+            colors = geometry.attributes.color.array;
+        }
+
+        const header = geometry.userData.header;
+        const gaussian = geometry.userData.gaussian;
+        const properties = geometry.userData.properties || {};
+        return {
+            positions,
+            indices: geometry.index ? geometry.index.array : null,
+            colors,
+            normals: geometry.attributes.normal ? geometry.attributes.normal.array : null,
+            properties: gaussian ? { ...properties, ...GaussianSplatCloud.unpackRest(gaussian) } : properties,
+            comments: header ? header.comments : []
+        };
+    }
+
+    /**
+     * Save the loaded mesh as 'ply' (binary), 'obj', 'stl' or 'glb', see
+     * getExportMesh. GLB files are turned from the upAxis option to glTF's Y-up.
+     * Returns a Blob; options.download names a file to save it as.
+     */
+    exportMesh(format = 'ply', options = {}) {
+        const bytes = MeshFormats.write(format, this.getExportMesh(), {
+            upAxis: this.options.upAxis,
+            name: this.sourceName
+        });
+        const blob = new Blob([bytes], { type: MeshFormats.MIME_TYPES[format] });
+        if (options.download) MediaExport.download(blob, options.download);
+        return blob;
+    }
+
+    /**
+     * Load a second mesh that is drawn from the same camera to the right of a
+     * draggable divider. options.labels = [left, right], options.position in
+     * percent; options.signal / onProgress work as in loadPLY.
+     */
+    async loadComparisonPLY(source, options = {}) {
+        if (this.comparisonLoadController) {
+            this.comparisonLoadController.abort();
+        }
+
+        const controller = new AbortController();
+        this.comparisonLoadController = controller;
+        if (options.signal) {
+            if (options.signal.aborted) {
+                controller.abort();
+            } else {
+                options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
+
+        try {
+            const data = await this.loadPLYData(source, controller.signal, (progress) => {
+                this.updateProgress(progress);
+                if (options.onProgress) options.onProgress(progress);
+            });
+            this.displayComparison(this.createGeometry(data), options);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error loading comparison PLY file:', error);
+            }
+            throw error;
+        } finally {
+            if (this.comparisonLoadController === controller) {
+                this.comparisonLoadController = null;
+                this.updateProgress(null);
+            }
+        }
+    }
+
+    displayComparison(geometry, options = {}) {
+        if (!this.comparison) {
+            const scene = new THREE.Scene();
+            this.setupLights(scene);
+            this.comparison = { scene, object: null, splats: null, mode: null, position: 50 };
+            this.createComparisonControls();
+        } else if (this.comparison.object) {
+            this.disposeDrawable(this.comparison.scene, this.comparison.object, this.comparison.splats);
+        }
+
+        const comparison = this.comparison;
+        comparison.mode = this.resolveRenderMode(geometry);
+        const drawable = this.createDrawable(geometry, comparison.mode);
+        comparison.object = drawable.object;
+        comparison.splats = drawable.splats;
+        comparison.scene.add(comparison.object);
+
+        if (options.labels) {
+            this.setComparisonLabels(options.labels);
+        }
+        this.setComparisonPosition(options.position !== undefined ? options.position : comparison.position);
+        this.alignComparison();
+    }
+
+    // Put the comparison mesh in the main mesh's frame so both line up under the divider
+    alignComparison() {
+        const object = this.comparison && this.comparison.object;
+        if (!object) return;
+
+        const geometry = object.geometry;
+        const origin = geometry.userData.origin || new THREE.Vector3();
+
+        if (!this.mesh) {
+            geometry.computeBoundingBox();
+            const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+            const size = geometry.boundingBox.getSize(new THREE.Vector3());
+            geometry.translate(-center.x, -center.y, -center.z);
+            geometry.userData.origin = origin.add(center);
+            object.scale.setScalar(4 / Math.max(size.x, size.y, size.z));
+            return;
+        }
+
+        const mainOrigin = this.mesh.geometry.userData.origin || new THREE.Vector3();
+        const shift = mainOrigin.clone().sub(origin);
+        geometry.translate(-shift.x, -shift.y, -shift.z);
+        geometry.userData.origin = mainOrigin.clone();
+        object.scale.copy(this.mesh.scale);
+        object.rotation.copy(this.mesh.rotation);
+    }
+
+    createComparisonControls() {
+        const overlay = document.createElement('div');
+        overlay.className = 'mesh-viewer__swipe';
+        overlay.innerHTML = `
+            <span class="mesh-viewer__swipe-line"></span>
+            <div class="comparison-slider__handle" aria-hidden="true">
+                <span class="comparison-slider__handle-dot">
+                    <span class="comparison-slider__chevron comparison-slider__chevron--left"></span>
+                    <span class="comparison-slider__chevron comparison-slider__chevron--right"></span>
+                </span>
+            </div>
+            <span class="mesh-viewer__swipe-grip" role="slider" tabindex="0"
+                aria-label="Comparison divider" aria-valuemin="0" aria-valuemax="100"></span>
+            <span class="comparison-slider__label comparison-slider__label--before"></span>
+            <span class="comparison-slider__label comparison-slider__label--after"></span>
+        `;
+        this.container.appendChild(overlay);
+
+        const grip = overlay.querySelector('.mesh-viewer__swipe-grip');
+        this.comparison.overlay = overlay;
+        this.comparison.grip = grip;
+        this.comparison.labels = [
+            overlay.querySelector('.comparison-slider__label--before'),
+            overlay.querySelector('.comparison-slider__label--after')
+        ];
+
+        // Only the grip around the divider moves it; the rest of the canvas still orbits
+        const updateFromPointer = (clientX) => {
+            const rect = this.container.getBoundingClientRect();
+            this.setComparisonPosition(((clientX - rect.left) / rect.width) * 100);
+        };
+
+        grip.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            grip.setPointerCapture(event.pointerId);
+            overlay.classList.add('comparison-slider--active');
+            updateFromPointer(event.clientX);
+        });
+        grip.addEventListener('pointermove', (event) => {
+            if (grip.hasPointerCapture(event.pointerId)) {
+                updateFromPointer(event.clientX);
+            }
+        });
+        const stop = (event) => {
+            if (grip.hasPointerCapture(event.pointerId)) {
+                grip.releasePointerCapture(event.pointerId);
+            }
+            overlay.classList.remove('comparison-slider--active');
+        };
+        grip.addEventListener('pointerup', stop);
+        grip.addEventListener('pointercancel', stop);
+        grip.addEventListener('keydown', (event) => {
+            const step = { ArrowLeft: -2, ArrowRight: 2 }[event.key];
+            if (step) {
+                event.preventDefault();
+                this.setComparisonPosition(this.comparison.position + step);
+            }
+        });
+    }
+
+    setComparisonPosition(percent) {
+        if (!this.comparison) return;
+        const position = THREE.MathUtils.clamp(percent, 0, 100);
+        this.comparison.position = position;
+        if (this.comparison.overlay) {
+            this.comparison.overlay.style.setProperty('--position', position);
+            this.comparison.grip.setAttribute('aria-valuenow', Math.round(position));
+        }
+    }
+
+    setComparisonLabels(labels) {
+        if (!this.comparison || !this.comparison.labels) return;
+        this.comparison.labels.forEach((element, index) => {
+            const text = labels[index] || '';
+            element.textContent = text;
+            element.style.display = text ? '' : 'none';
+        });
+    }
+
+    clearComparison() {
+        if (this.comparisonLoadController) {
+            this.comparisonLoadController.abort();
+        }
+        if (!this.comparison) return;
+
+        if (this.comparison.object) {
+            this.disposeDrawable(this.comparison.scene, this.comparison.object, this.comparison.splats);
+        }
+        if (this.comparison.overlay) {
+            this.comparison.overlay.remove();
+        }
+        this.comparison = null;
+    }
+
+    dispose() {
+        this.cancelLoad();
+        this.cancelEvaluation();
+        this.clearTimeline();
+        this.stopCameraPath();
+        clearTimeout(this.permalinkTimer);
+
+        if (this.fileDrop) {
+            this.fileDrop.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        }
+
+        if (this.linkGroup) {
+            this.linkGroup.remove(this);
+        }
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+
+        this.removeMesh();
+        this.clearComparison();
+        this.clearTrajectories();
+        this.clearMeasurements();
+        this.clearTopologyHighlights();
+        this.clearLOD();
+        this.geometry = null;
+
+        if (this.edl) {
+            this.edl.dispose();
+            this.edl = null;
+        }
+
+        this.renderer.dispose();
+        if (this.container && this.renderer.domElement.parentNode === this.container) {
+            this.container.removeChild(this.renderer.domElement);
+        }
+    }
+}
+
+/**
+ * Camera sync group for several PLYMeshViewer instances.
+ * options.orbit / target / zoom choose what is mirrored; options.mode is
+ * 'relative' (replay each drag, pan, zoom or momentum step) or 'absolute'
+ * (copy the resulting view state). View presets, fits and fly/walk moves are
+ * copied in either mode. A viewer belongs to at most one group.
+ */
+class ViewerLinkGroup {
+    constructor(viewers = [], options = {}) {
+        this.viewers = [];
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        this.options = {
+            orbit: true,
+            target: true,
+            zoom: true,
+            mode: 'relative'
+        };
+        this.setOptions(options);
+        this.propagating = false;
+
+        viewers.forEach(viewer => this.add(viewer));
+
+        if (this.options.mode === 'absolute' && this.viewers.length > 0) {
+            this.syncFrom(this.viewers[0]);
+        }
+    }
+
+    setOptions(options) {
+        ['orbit', 'target', 'zoom', 'mode'].forEach(key => {
+            if (options[key] !== undefined) this.options[key] = options[key];
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    add(viewer) {
+        if (viewer.linkGroup === this) return;
+        if (viewer.linkGroup) viewer.linkGroup.remove(viewer);
+        viewer.linkGroup = this;
+        this.viewers.push(viewer);
+    }
+
+    remove(viewer) {
+        this.viewers = this.viewers.filter(v => v !== viewer);
+        if (viewer.linkGroup === this) viewer.linkGroup = null;
+    }
+
+    unlink() {
+        [...this.viewers].forEach(viewer => this.remove(viewer));
+    }
+
+    propagate(source, type, args) {
+        // Mirrored calls notify again; the flag keeps that from echoing back
+        if (!this.enabled || this.propagating) return;
+
+        // 'view' covers jumps such as view presets and fly moves, which are always copied
+        const flag = { rotate: 'orbit', pan: 'target', zoom: 'zoom' }[type];
+        if (flag && !this.options[flag]) return;
+
+        this.propagating = true;
+        try {
+            if (this.options.mode === 'absolute' || type === 'view') {
+                this.syncFrom(source);
+            } else {
+                this.viewers.forEach(viewer => {
+                    if (viewer === source) return;
+                    if (type === 'rotate') viewer.rotateCamera(...args);
+                    else if (type === 'pan') viewer.panCamera(...args);
+                    else if (type === 'zoom') viewer.zoomCamera(...args);
+                });
+            }
+        } finally {
+            this.propagating = false;
+        }
+    }
+
+    syncFrom(source) {
+        const state = source.getCurrentViewState();
+        this.viewers.forEach(viewer => {
+            if (viewer === source) return;
+            const current = viewer.getCurrentViewState();
+            // View presets turn camera.up; without it the copied view may look straight along it
+            if (this.options.orbit) viewer.camera.up.copy(source.camera.up);
+            viewer.setViewState({
+                theta: this.options.orbit ? state.theta : current.theta,
+                phi: this.options.orbit ? state.phi : current.phi,
+                radius: this.options.zoom ? state.radius : current.radius,
+                target: this.options.target ? state.target : current.target
+            });
+        });
     }
 }
 
 // Make it available globally
 if (typeof window !== 'undefined') {
     window.PLYMeshViewer = PLYMeshViewer;
+    window.ViewerLinkGroup = ViewerLinkGroup;
 }
@@ -0,0 +1,484 @@
+/**
+ * Header-driven PLY parser shared by PLYMeshViewer and its loader worker
+ * Supports ascii, binary_little_endian and binary_big_endian files with any
+ * element order, every PLY scalar type and polygon faces of any size
+ */
+
+(function (root) {
+    'use strict';
+
+    const SCALAR_TYPES = {
+        char: { size: 1, getter: 'getInt8', max: 127 },
+        uchar: { size: 1, getter: 'getUint8', max: 255 },
+        short: { size: 2, getter: 'getInt16', max: 32767 },
+        ushort: { size: 2, getter: 'getUint16', max: 65535 },
+        int: { size: 4, getter: 'getInt32', max: 2147483647 },
+        uint: { size: 4, getter: 'getUint32', max: 4294967295 },
+        float: { size: 4, getter: 'getFloat32', max: 1 },
+        double: { size: 8, getter: 'getFloat64', max: 1 }
+    };
+
+    const TYPE_ALIASES = {
+        int8: 'char',
+        uint8: 'uchar',
+        int16: 'short',
+        uint16: 'ushort',
+        int32: 'int',
+        uint32: 'uint',
+        float32: 'float',
+        float64: 'double'
+    };
+
+    // Vertex properties that feed the position and color buffers; everything
+    // else is kept as a named per-vertex scalar
+    const POSITION_PROPERTIES = { x: 0, y: 1, z: 2 };
+    const COLOR_PROPERTIES = {
+        red: 0, green: 1, blue: 2,
+        r: 0, g: 1, b: 2,
+        diffuse_red: 0, diffuse_green: 1, diffuse_blue: 2
+    };
+    const FACE_INDEX_PROPERTIES = ['vertex_indices', 'vertex_index'];
+
+    const END_HEADER = 'end_header';
+
+    // Non-finite ASCII values as C printf writes them: inf, -inf, nan, -nan, nan(0x...)
+    const NON_FINITE_PATTERN = /^([+-]?)(inf|infinity|nan(\([^)]*\))?)$/i;
+
+    // Vertices parsed between two progress callbacks
+    const PROGRESS_INTERVAL = 65536;
+
+    function resolveType(type) {
+        const name = TYPE_ALIASES[type] || type;
+        if (!SCALAR_TYPES[name]) {
+            throw new Error(`Unsupported PLY property type "${type}"`);
+        }
+        return name;
+    }
+
+    function findHeaderEnd(bytes) {
+        const marker = END_HEADER.split('').map(c => c.charCodeAt(0));
+
+        for (let i = 0; i + marker.length <= bytes.length; i++) {
+            let match = true;
+            for (let j = 0; j < marker.length; j++) {
+                if (bytes[i + j] !== marker[j]) {
+                    match = false;
+                    break;
+                }
+            }
+            if (!match) continue;
+
+            let end = i + marker.length;
+            if (bytes[end] === 0x0d) end++;
+            if (bytes[end] === 0x0a) return end + 1;
+        }
+
+        return -1;
+    }
+
+    function parseHeader(bytes) {
+        const headerLength = findHeaderEnd(bytes);
+        if (headerLength < 0) {
+            throw new Error('Invalid PLY file: missing end_header');
+        }
+
+        const text = new TextDecoder('ascii').decode(bytes.subarray(0, headerLength));
+        const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+        if (lines[0] !== 'ply') {
+            throw new Error('Invalid PLY file: missing "ply" magic number');
+        }
+
+        const header = {
+            format: null,
+            version: null,
+            littleEndian: true,
+            comments: [],
+            elements: [],
+            headerLength
+        };
+        let currentElement = null;
+
+        for (const line of lines.slice(1)) {
+            const tokens = line.split(/\s+/);
+
+            switch (tokens[0]) {
+                case 'format':
+                    header.format = tokens[1];
+                    header.version = tokens[2];
+                    header.littleEndian = tokens[1] !== 'binary_big_endian';
+                    break;
+                case 'comment':
+                case 'obj_info':
+                    header.comments.push(line.slice(tokens[0].length).trim());
+                    break;
+                case 'element':
+                    currentElement = { name: tokens[1], count: parseInt(tokens[2], 10), properties: [] };
+                    header.elements.push(currentElement);
+                    break;
+                case 'property':
+                    if (!currentElement) {
+                        throw new Error(`PLY property declared before any element: "${line}"`);
+                    }
+                    if (tokens[1] === 'list') {
+                        currentElement.properties.push({
+                            name: tokens[4],
+                            isList: true,
+                            countType: resolveType(tokens[2]),
+                            type: resolveType(tokens[3])
+                        });
+                    } else {
+                        currentElement.properties.push({
+                            name: tokens[2],
+                            isList: false,
+                            type: resolveType(tokens[1])
+                        });
+                    }
+                    break;
+                case END_HEADER:
+                    break;
+                default:
+                    throw new Error(`Unrecognized PLY header line: "${line}"`);
+            }
+        }
+
+        if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+            throw new Error(`Unsupported PLY format "${header.format}"`);
+        }
+
+        return header;
+    }
+
+    function getElement(header, name) {
+        return header.elements.find(element => element.name === name) || null;
+    }
+
+    // Growable index buffer for faces whose polygon sizes are only known while reading
+    class IndexBuffer {
+        constructor(capacity, vertexCount) {
+            this.array = new Uint32Array(Math.max(capacity, 3));
+            this.length = 0;
+            this.vertexCount = vertexCount;
+        }
+
+        reserve(extra) {
+            if (this.length + extra <= this.array.length) return;
+            const grown = new Uint32Array(Math.max(this.array.length * 2, this.length + extra));
+            grown.set(this.array.subarray(0, this.length));
+            this.array = grown;
+        }
+
+        // Fan triangulation, which matches the PLY convention of convex polygons
+        pushPolygon(polygon, count, face) {
+            // Negative indices wrapped around in the Uint32Array, so they land here too
+            for (let k = 0; k < count; k++) {
+                if (polygon[k] >= this.vertexCount) {
+                    throw new Error(`Face ${face} refers to vertex ${polygon[k] | 0}, but the PLY has ${this.vertexCount} vertices`);
+                }
+            }
+            if (count < 3) return;
+            this.reserve((count - 2) * 3);
+            for (let k = 1; k < count - 1; k++) {
+                this.array[this.length++] = polygon[0];
+                this.array[this.length++] = polygon[k];
+                this.array[this.length++] = polygon[k + 1];
+            }
+        }
+
+        toArray() {
+            return this.array.slice(0, this.length);
+        }
+    }
+
+    function createResult(header) {
+        const vertexElement = getElement(header, 'vertex');
+        const faceElement = getElement(header, 'face');
+        const vertexCount = vertexElement ? vertexElement.count : 0;
+        const vertexProperties = vertexElement ? vertexElement.properties : [];
+
+        const hasColor = ['red', 'green', 'blue'].every(name =>
+            vertexProperties.some(p => COLOR_PROPERTIES[p.name] === COLOR_PROPERTIES[name]));
+
+        const result = {
+            header,
+            vertexCount,
+            faceCount: 0,
+            polygonCount: faceElement ? faceElement.count : 0,
+            positions: new Float32Array(vertexCount * 3),
+            colors: hasColor ? new Float32Array(vertexCount * 3) : null,
+            indices: null,
+            properties: {}
+        };
+
+        // One write target per vertex property, in header order
+        result.vertexTargets = vertexProperties.map(prop => {
+            if (prop.isList) return null;
+            if (prop.name in POSITION_PROPERTIES) {
+                return { array: result.positions, stride: 3, offset: POSITION_PROPERTIES[prop.name], scale: 1 };
+            }
+            if (hasColor && prop.name in COLOR_PROPERTIES) {
+                return {
+                    array: result.colors,
+                    stride: 3,
+                    offset: COLOR_PROPERTIES[prop.name],
+                    scale: 1 / SCALAR_TYPES[prop.type].max
+                };
+            }
+            const values = new Float32Array(vertexCount);
+            result.properties[prop.name] = values;
+            return { array: values, stride: 1, offset: 0, scale: 1 };
+        });
+
+        result.indexBuffer = new IndexBuffer(result.polygonCount * 3, vertexCount);
+        return result;
+    }
+
+    function finishResult(result) {
+        result.indices = result.indexBuffer.toArray();
+        result.faceCount = result.indices.length / 3;
+        delete result.indexBuffer;
+        delete result.vertexTargets;
+        return result;
+    }
+
+    function reportProgress(onProgress, vertices, totalVertices) {
+        if (onProgress && (vertices % PROGRESS_INTERVAL === 0 || vertices === totalVertices)) {
+            onProgress({ vertices, totalVertices });
+        }
+    }
+
+    function parseBinary(bytes, header, result, onProgress) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const littleEndian = header.littleEndian;
+        let offset = header.headerLength;
+        let polygon = new Uint32Array(16);
+
+        const read = (type) => {
+            const info = SCALAR_TYPES[type];
+            if (offset + info.size > view.byteLength) {
+                throw new Error('Unexpected end of PLY data');
+            }
+            const value = view[info.getter](offset, littleEndian);
+            offset += info.size;
+            return value;
+        };
+
+        for (const element of header.elements) {
+            const properties = element.properties;
+
+            if (element.name === 'vertex') {
+                const targets = result.vertexTargets;
+                for (let i = 0; i < element.count; i++) {
+                    for (let p = 0; p < properties.length; p++) {
+                        const prop = properties[p];
+                        if (prop.isList) {
+                            const count = read(prop.countType);
+                            offset += count * SCALAR_TYPES[prop.type].size;
+                            continue;
+                        }
+                        const value = read(prop.type);
+                        const target = targets[p];
+                        target.array[i * target.stride + target.offset] = value * target.scale;
+                    }
+                    reportProgress(onProgress, i + 1, element.count);
+                }
+            } else if (element.name === 'face') {
+                for (let i = 0; i < element.count; i++) {
+                    for (const prop of properties) {
+                        if (!prop.isList) {
+                            offset += SCALAR_TYPES[prop.type].size;
+                            continue;
+                        }
+                        const count = read(prop.countType);
+                        if (!FACE_INDEX_PROPERTIES.includes(prop.name)) {
+                            offset += count * SCALAR_TYPES[prop.type].size;
+                            continue;
+                        }
+                        if (count > polygon.length) polygon = new Uint32Array(count);
+                        for (let k = 0; k < count; k++) {
+                            polygon[k] = read(prop.type);
+                        }
+                        result.indexBuffer.pushPolygon(polygon, count, i);
+                    }
+                }
+            } else if (properties.every(prop => !prop.isList)) {
+                // Unknown fixed-size element: skip it in one step
+                const stride = properties.reduce((sum, prop) => sum + SCALAR_TYPES[prop.type].size, 0);
+                offset += stride * element.count;
+            } else {
+                for (let i = 0; i < element.count; i++) {
+                    for (const prop of properties) {
+                        const count = prop.isList ? read(prop.countType) : 1;
+                        offset += count * SCALAR_TYPES[prop.type].size;
+                    }
+                }
+            }
+        }
+
+        if (offset > view.byteLength) {
+            throw new Error('Unexpected end of PLY data');
+        }
+    }
+
+    // Whitespace tokenizer over the ASCII body; PLY elements are a flat token stream
+    class TokenReader {
+        constructor(text) {
+            this.text = text;
+            this.position = 0;
+        }
+
+        next() {
+            const text = this.text;
+            let position = this.position;
+
+            while (position < text.length && text.charCodeAt(position) <= 32) position++;
+            if (position >= text.length) {
+                throw new Error('Unexpected end of PLY data');
+            }
+
+            const start = position;
+            while (position < text.length && text.charCodeAt(position) > 32) position++;
+            this.position = position;
+            return text.slice(start, position);
+        }
+
+        nextNumber() {
+            const token = this.next();
+            const value = Number(token);
+            if (!Number.isNaN(value)) return value;
+            const special = NON_FINITE_PATTERN.exec(token);
+            if (!special) {
+                throw new Error(`Invalid number "${token}" in PLY data`);
+            }
+            if (special[2].toLowerCase().startsWith('nan')) return NaN;
+            return special[1] === '-' ? -Infinity : Infinity;
+        }
+    }
+
+    function parseAscii(bytes, header, result, onProgress) {
+        const text = new TextDecoder('ascii').decode(bytes.subarray(header.headerLength));
+        const reader = new TokenReader(text);
+        let polygon = new Uint32Array(16);
+
+        for (const element of header.elements) {
+            const properties = element.properties;
+            const isVertex = element.name === 'vertex';
+            const isFace = element.name === 'face';
+
+            for (let i = 0; i < element.count; i++) {
+                for (let p = 0; p < properties.length; p++) {
+                    const prop = properties[p];
+
+                    if (!prop.isList) {
+                        const value = reader.nextNumber();
+                        const target = isVertex ? result.vertexTargets[p] : null;
+                        if (target) {
+                            target.array[i * target.stride + target.offset] = value * target.scale;
+                        }
+                        continue;
+                    }
+
+                    const count = reader.nextNumber();
+                    if (isFace && FACE_INDEX_PROPERTIES.includes(prop.name)) {
+                        if (count > polygon.length) polygon = new Uint32Array(count);
+                        for (let k = 0; k < count; k++) {
+                            polygon[k] = reader.nextNumber();
+                        }
+                        result.indexBuffer.pushPolygon(polygon, count, i);
+                    } else {
+                        for (let k = 0; k < count; k++) {
+                            reader.next();
+                        }
+                    }
+                }
+                if (isVertex) {
+                    reportProgress(onProgress, i + 1, element.count);
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse a PLY file into typed arrays.
+     * Returns { header, vertexCount, faceCount, polygonCount, positions, colors, indices, properties }
+     * where colors are normalized to [0, 1] and properties maps every other
+     * scalar vertex property name to a Float32Array. faceCount counts the
+     * triangles in indices; polygonCount the faces in the file before quads
+     * and larger polygons are split into triangles.
+     * options.onProgress receives { vertices, totalVertices } while vertices are read.
+     */
+    function parse(arrayBuffer, options = {}) {
+        const bytes = arrayBuffer instanceof Uint8Array ? arrayBuffer : new Uint8Array(arrayBuffer);
+        const header = parseHeader(bytes);
+        const result = createResult(header);
+
+        if (header.format === 'ascii') {
+            parseAscii(bytes, header, result, options.onProgress);
+        } else {
+            parseBinary(bytes, header, result, options.onProgress);
+        }
+
+        return finishResult(result);
+    }
+
+    // Typed arrays of a parse result, for posting it from a worker without copies
+    function getTransferables(result) {
+        const arrays = [result.positions, result.colors, result.normals, result.indices, ...Object.values(result.properties)];
+        return arrays.filter(Boolean).map(array => array.buffer);
+    }
+
+    /**
+     * Read a fetch Response or Blob into a single Uint8Array, reporting
+     * { loadedBytes, totalBytes } as chunks arrive. totalBytes is 0 when unknown.
+     */
+    async function readBody(source, onProgress) {
+        const isResponse = typeof Response !== 'undefined' && source instanceof Response;
+        const totalBytes = isResponse
+            ? parseInt(source.headers.get('Content-Length') || '0', 10)
+            : source.size;
+        const stream = source.body || (source.stream ? source.stream() : null);
+
+        if (!stream) {
+            const buffer = new Uint8Array(await source.arrayBuffer());
+            if (onProgress) onProgress({ loadedBytes: buffer.length, totalBytes: buffer.length });
+            return buffer;
+        }
+
+        const reader = stream.getReader();
+        let buffer = new Uint8Array(totalBytes > 0 ? totalBytes : 1 << 20);
+        let loadedBytes = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            if (loadedBytes + value.length > buffer.length) {
+                // Content-Length was missing or wrong (e.g. compressed transfer)
+                const grown = new Uint8Array(Math.max(buffer.length * 2, loadedBytes + value.length));
+                grown.set(buffer.subarray(0, loadedBytes));
+                buffer = grown;
+            }
+            buffer.set(value, loadedBytes);
+            loadedBytes += value.length;
+
+            if (onProgress) onProgress({ loadedBytes, totalBytes });
+        }
+
+        return loadedBytes === buffer.length ? buffer : buffer.slice(0, loadedBytes);
+    }
+
+    const PLYParser = {
+        SCALAR_TYPES,
+        TYPE_ALIASES,
+        parse,
+        parseHeader,
+        getElement,
+        getTransferables,
+        readBody
+    };
+
+    root.PLYParser = PLYParser;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PLYParser;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,55 @@
+/**
+ * Web Worker that downloads, unpacks and parses mesh files off the main thread
+ * Posts progress messages and returns the typed arrays as transferables
+ */
+
+importScripts('ply_parser.js', 'quantized_mesh.js', 'mesh_formats.js');
+
+self.addEventListener('message', async (event) => {
+    const { source, format } = event.data;
+
+    const postProgress = (progress) => {
+        self.postMessage({ type: 'progress', progress });
+    };
+
+    try {
+        let bytes;
+        let totalBytes = 0;
+
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch PLY file: ${response.statusText}`);
+            }
+            bytes = await PLYParser.readBody(response, (progress) => {
+                totalBytes = progress.totalBytes;
+                postProgress({ phase: 'download', ...progress, vertices: 0, totalVertices: 0 });
+            });
+        } else if (source instanceof Blob) {
+            bytes = await PLYParser.readBody(source, (progress) => {
+                totalBytes = progress.totalBytes;
+                postProgress({ phase: 'download', ...progress, vertices: 0, totalVertices: 0 });
+            });
+        } else {
+            bytes = new Uint8Array(source);
+        }
+
+        const compression = MeshFormats.detectCompression(bytes);
+        if (compression) {
+            postProgress({ phase: 'decompress', loadedBytes: bytes.length, totalBytes: bytes.length, vertices: 0, totalVertices: 0 });
+            bytes = await MeshFormats.decompress(bytes, compression);
+        }
+
+        const loadedBytes = bytes.length;
+        const result = MeshFormats.parse(bytes, {
+            ...format,
+            onProgress: ({ vertices, totalVertices }) => {
+                postProgress({ phase: 'parse', loadedBytes, totalBytes: totalBytes || loadedBytes, vertices, totalVertices });
+            }
+        });
+
+        self.postMessage({ type: 'result', result }, PLYParser.getTransferables(result));
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
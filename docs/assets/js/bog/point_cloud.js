@@ -0,0 +1,250 @@
+/**
+ * Point cloud rendering for PLYMeshViewer
+ * Round or square point sprites sized in pixels or world units, plus an
+ * eye-dome lighting pass that makes dense, unlit scans readable
+ */
+
+(function () {
+    'use strict';
+
+    const pointVertexShader = `
+        uniform float pointSize;
+        uniform float worldSize;
+        uniform float viewportHeight;
+        uniform float pixelRatio;
+
+        varying vec3 vColor;
+
+        #include <clipping_planes_pars_vertex>
+
+        void main() {
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            gl_Position = projectionMatrix * mvPosition;
+            #include <clipping_planes_vertex>
+
+            if (worldSize > 0.5) {
+                // pointSize is given in the units of the PLY, before centerMesh rescales it
+                float modelScale = length(modelMatrix[0].xyz);
+                // Orthographic cameras (projectionMatrix[3][3] = 1) don't shrink points with distance
+                float depth = projectionMatrix[3][3] > 0.5 ? 1.0 : -mvPosition.z;
+                gl_PointSize = pointSize * modelScale * projectionMatrix[1][1] * viewportHeight * 0.5 / depth;
+            } else {
+                gl_PointSize = pointSize * pixelRatio;
+            }
+            gl_PointSize = max(gl_PointSize, 1.0);
+
+            #ifdef USE_COLOR
+                vColor = color;
+            #else
+                vColor = vec3(1.0);
+            #endif
+        }
+    `;
+
+    const pointFragmentShader = `
+        uniform vec3 diffuse;
+        uniform float roundPoints;
+
+        varying vec3 vColor;
+
+        #include <clipping_planes_pars_fragment>
+
+        void main() {
+            #include <clipping_planes_fragment>
+            if (roundPoints > 0.5) {
+                vec2 coord = gl_PointCoord * 2.0 - 1.0;
+                if (dot(coord, coord) > 1.0) discard;
+            }
+            gl_FragColor = vec4(diffuse * vColor, 1.0);
+        }
+    `;
+
+    class PointCloudMaterial extends THREE.ShaderMaterial {
+        constructor(options = {}) {
+            super({
+                uniforms: {
+                    diffuse: { value: new THREE.Color(options.color !== undefined ? options.color : 0xffffff) },
+                    pointSize: { value: options.size !== undefined ? options.size : 2 },
+                    worldSize: { value: options.sizeMode === 'world' ? 1 : 0 },
+                    roundPoints: { value: options.round === false ? 0 : 1 },
+                    viewportHeight: { value: 1 },
+                    pixelRatio: { value: 1 }
+                },
+                vertexShader: pointVertexShader,
+                fragmentShader: pointFragmentShader,
+                vertexColors: Boolean(options.vertexColors),
+                // Honour clippingPlanes like the built-in materials
+                clipping: true
+            });
+        }
+
+        // Same accessor as the built-in materials, so setMeshColor works unchanged
+        get color() {
+            return this.uniforms.diffuse.value;
+        }
+
+        set size(value) {
+            this.uniforms.pointSize.value = value;
+        }
+
+        get size() {
+            return this.uniforms.pointSize.value;
+        }
+
+        set sizeMode(mode) {
+            this.uniforms.worldSize.value = mode === 'world' ? 1 : 0;
+        }
+
+        get sizeMode() {
+            return this.uniforms.worldSize.value > 0.5 ? 'world' : 'screen';
+        }
+
+        set round(enabled) {
+            this.uniforms.roundPoints.value = enabled ? 1 : 0;
+        }
+
+        get round() {
+            return this.uniforms.roundPoints.value > 0.5;
+        }
+
+        // pixelScale enlarges screen-size points, e.g. for exports above screen resolution
+        updateViewport(renderer, pixelScale = 1) {
+            const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+            this.uniforms.viewportHeight.value = size.y;
+            this.uniforms.pixelRatio.value = renderer.getPixelRatio() * pixelScale;
+        }
+    }
+
+    const edlVertexShader = `
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+    `;
+
+    const edlFragmentShader = `
+        #include <packing>
+
+        uniform sampler2D tColor;
+        uniform sampler2D tDepth;
+        uniform vec2 resolution;
+        uniform float cameraNear;
+        uniform float cameraFar;
+        uniform float orthographic;
+        uniform float strength;
+        uniform float radius;
+
+        varying vec2 vUv;
+
+        float logDepth(vec2 uv) {
+            float depth = texture2D(tDepth, uv).x;
+            if (depth >= 1.0) return -1.0;
+            if (orthographic > 0.5) {
+                // Measured from the near plane, which may lie behind the camera
+                return log2(-orthographicDepthToViewZ(depth, cameraNear, cameraFar) - cameraNear + 1e-3);
+            }
+            float viewZ = perspectiveDepthToViewZ(depth, cameraNear, cameraFar);
+            return log2(-viewZ);
+        }
+
+        void main() {
+            vec4 color = texture2D(tColor, vUv);
+            float center = logDepth(vUv);
+            if (center < -0.5) {
+                gl_FragColor = color;
+                return;
+            }
+
+            vec2 texel = radius / resolution;
+            float response = 0.0;
+            for (int i = 0; i < 8; i++) {
+                float angle = float(i) * 0.78539816;
+                vec2 offset = vec2(cos(angle), sin(angle)) * texel;
+                float neighbor = logDepth(vUv + offset);
+                if (neighbor > -0.5) {
+                    response += max(0.0, center - neighbor);
+                }
+            }
+            response /= 8.0;
+
+            float shade = exp(-response * 300.0 * strength);
+            gl_FragColor = vec4(color.rgb * shade, color.a);
+        }
+    `;
+
+    class EyeDomeLighting {
+        constructor(options = {}) {
+            this.target = new THREE.WebGLRenderTarget(1, 1, {
+                minFilter: THREE.NearestFilter,
+                magFilter: THREE.NearestFilter,
+                format: THREE.RGBAFormat
+            });
+            this.target.depthTexture = new THREE.DepthTexture(1, 1);
+            this.target.depthTexture.type = THREE.UnsignedIntType;
+
+            this.material = new THREE.ShaderMaterial({
+                uniforms: {
+                    tColor: { value: this.target.texture },
+                    tDepth: { value: this.target.depthTexture },
+                    resolution: { value: new THREE.Vector2(1, 1) },
+                    cameraNear: { value: 0.1 },
+                    cameraFar: { value: 1000 },
+                    orthographic: { value: 0 },
+                    strength: { value: options.strength !== undefined ? options.strength : 1.0 },
+                    radius: { value: options.radius !== undefined ? options.radius : 1.4 }
+                },
+                vertexShader: edlVertexShader,
+                fragmentShader: edlFragmentShader,
+                depthTest: false,
+                depthWrite: false
+            });
+
+            this.quadScene = new THREE.Scene();
+            this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+            this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+            this.quadScene.add(this.quad);
+            this.size = new THREE.Vector2();
+        }
+
+        set strength(value) {
+            this.material.uniforms.strength.value = value;
+        }
+
+        set radius(value) {
+            this.material.uniforms.radius.value = value;
+        }
+
+        render(renderer, scene, camera) {
+            renderer.getDrawingBufferSize(this.size);
+            if (this.target.width !== this.size.x || this.target.height !== this.size.y) {
+                this.target.setSize(this.size.x, this.size.y);
+            }
+
+            const uniforms = this.material.uniforms;
+            uniforms.resolution.value.copy(this.size);
+            uniforms.cameraNear.value = camera.near;
+            uniforms.cameraFar.value = camera.far;
+            uniforms.orthographic.value = camera.isOrthographicCamera ? 1 : 0;
+
+            const previousTarget = renderer.getRenderTarget();
+            renderer.setRenderTarget(this.target);
+            renderer.render(scene, camera);
+            renderer.setRenderTarget(previousTarget);
+            renderer.render(this.quadScene, this.quadCamera);
+        }
+
+        dispose() {
+            this.target.depthTexture.dispose();
+            this.target.dispose();
+            this.material.dispose();
+            this.quad.geometry.dispose();
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.PointCloudMaterial = PointCloudMaterial;
+        window.EyeDomeLighting = EyeDomeLighting;
+    }
+})();
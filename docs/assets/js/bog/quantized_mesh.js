@@ -0,0 +1,307 @@
+/**
+ * Compact quantized mesh format (.qmesh) for delivering meshes to PLYMeshViewer
+ * Fixed-point positions inside the bounding box, oct-encoded normals, 8-bit
+ * colors and delta-coded triangle indices; see docs/tools/compress_mesh.js
+ *
+ * Layout, little-endian:
+ *   "QMSH", uint8 version, uint8 flags (1 normals, 2 colors), uint8 position bits,
+ *   uint8 reserved, uint32 vertex count, uint32 triangle count,
+ *   float32 min[3], float32 max[3],
+ *   uint16 positions[3 × vertices], int8 normals[2 × vertices], uint8 colors[3 × vertices],
+ *   then every index as the zigzag LEB128 varint of its difference to the previous one
+ */
+
+(function (root) {
+    'use strict';
+
+    const MAGIC = 'QMSH';
+    const VERSION = 1;
+    const HEADER_SIZE = 40;
+
+    const FLAG_NORMALS = 1;
+    const FLAG_COLORS = 2;
+
+    const DEFAULTS = {
+        positionBits: 16,
+        normals: true,
+        colors: true
+    };
+
+    // Vertices decoded between two progress callbacks
+    const PROGRESS_INTERVAL = 65536;
+
+    const signNotZero = (value) => (value < 0 ? -1 : 1);
+
+    // Unit vector → two snorm8 values on the octahedron unfolded into a square
+    function octEncode(x, y, z, out, offset) {
+        const l1 = Math.abs(x) + Math.abs(y) + Math.abs(z);
+        if (l1 === 0) {
+            out[offset] = 0;
+            out[offset + 1] = 0;
+            return;
+        }
+        let u = x / l1;
+        let v = y / l1;
+        if (z < 0) {
+            const foldedU = (1 - Math.abs(v)) * signNotZero(u);
+            v = (1 - Math.abs(u)) * signNotZero(v);
+            u = foldedU;
+        }
+        out[offset] = Math.round(u * 127);
+        out[offset + 1] = Math.round(v * 127);
+    }
+
+    function octDecode(a, b, out, offset) {
+        let u = Math.max(a / 127, -1);
+        let v = Math.max(b / 127, -1);
+        const z = 1 - Math.abs(u) - Math.abs(v);
+        if (z < 0) {
+            const foldedU = (1 - Math.abs(v)) * signNotZero(u);
+            v = (1 - Math.abs(u)) * signNotZero(v);
+            u = foldedU;
+        }
+        const length = Math.hypot(u, v, z) || 1;
+        out[offset] = u / length;
+        out[offset + 1] = v / length;
+        out[offset + 2] = z / length;
+    }
+
+    // Area-weighted vertex normals, for meshes that come without any
+    function computeNormals(positions, indices) {
+        const normals = new Float32Array(positions.length);
+        for (let f = 0; f < indices.length; f += 3) {
+            const a = indices[f] * 3;
+            const b = indices[f + 1] * 3;
+            const c = indices[f + 2] * 3;
+            const e1x = positions[b] - positions[a];
+            const e1y = positions[b + 1] - positions[a + 1];
+            const e1z = positions[b + 2] - positions[a + 2];
+            const e2x = positions[c] - positions[a];
+            const e2y = positions[c + 1] - positions[a + 1];
+            const e2z = positions[c + 2] - positions[a + 2];
+            const nx = e1y * e2z - e1z * e2y;
+            const ny = e1z * e2x - e1x * e2z;
+            const nz = e1x * e2y - e1y * e2x;
+            for (const corner of [a, b, c]) {
+                normals[corner] += nx;
+                normals[corner + 1] += ny;
+                normals[corner + 2] += nz;
+            }
+        }
+        return normals;
+    }
+
+    const zigzag = (delta) => (delta < 0 ? -2 * delta - 1 : 2 * delta);
+    const unzigzag = (value) => (value % 2 === 1 ? -(value + 1) / 2 : value / 2);
+
+    function varintSize(value) {
+        let size = 1;
+        while (value >= 128) {
+            value = Math.floor(value / 128);
+            size++;
+        }
+        return size;
+    }
+
+    /**
+     * Encode { positions, indices, normals, colors } (colors in [0, 1]) into a
+     * .qmesh file. options.positionBits (1-16) sets the position precision:
+     * each axis is quantized over its own bounding box side, in steps of that
+     * side divided by 2^bits - 1. Normals are taken
+     * from mesh.normals or computed from the faces; options.normals = false and
+     * options.colors = false leave them out.
+     */
+    function encode(mesh, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const bits = settings.positionBits;
+        if (!Number.isInteger(bits) || bits < 1 || bits > 16) {
+            throw new Error(`positionBits must be an integer from 1 to 16, got ${bits}`);
+        }
+
+        const positions = mesh.positions;
+        const indices = mesh.indices || new Uint32Array(0);
+        const vertexCount = positions.length / 3;
+        let normals = null;
+        if (settings.normals) {
+            normals = mesh.normals || (indices.length > 0 ? computeNormals(positions, indices) : null);
+        }
+        const colors = settings.colors ? mesh.colors : null;
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], positions[i]);
+            max[i % 3] = Math.max(max[i % 3], positions[i]);
+        }
+        if (vertexCount === 0) {
+            min.fill(0);
+            max.fill(0);
+        }
+
+        let indexBytes = 0;
+        for (let i = 0, previous = 0; i < indices.length; i++) {
+            indexBytes += varintSize(zigzag(indices[i] - previous));
+            previous = indices[i];
+        }
+
+        const size = HEADER_SIZE + vertexCount * (6 + (normals ? 2 : 0) + (colors ? 3 : 0)) + indexBytes;
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+
+        for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+        bytes[4] = VERSION;
+        bytes[5] = (normals ? FLAG_NORMALS : 0) | (colors ? FLAG_COLORS : 0);
+        bytes[6] = bits;
+        view.setUint32(8, vertexCount, true);
+        view.setUint32(12, indices.length / 3, true);
+        for (let c = 0; c < 3; c++) {
+            view.setFloat32(16 + c * 4, min[c], true);
+            view.setFloat32(28 + c * 4, max[c], true);
+        }
+
+        let offset = HEADER_SIZE;
+        const steps = (1 << bits) - 1;
+        for (let i = 0; i < positions.length; i++, offset += 2) {
+            const c = i % 3;
+            const extent = max[c] - min[c];
+            const value = extent > 0 ? Math.round((positions[i] - min[c]) / extent * steps) : 0;
+            view.setUint16(offset, value, true);
+        }
+
+        if (normals) {
+            const encoded = new Int8Array(bytes.buffer, offset, vertexCount * 2);
+            for (let i = 0; i < vertexCount; i++) {
+                octEncode(normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2], encoded, i * 2);
+            }
+            offset += vertexCount * 2;
+        }
+
+        if (colors) {
+            for (let i = 0; i < vertexCount * 3; i++) {
+                bytes[offset++] = Math.round(Math.min(Math.max(colors[i], 0), 1) * 255);
+            }
+        }
+
+        for (let i = 0, previous = 0; i < indices.length; i++) {
+            let value = zigzag(indices[i] - previous);
+            previous = indices[i];
+            while (value >= 128) {
+                bytes[offset++] = (value % 128) | 128;
+                value = Math.floor(value / 128);
+            }
+            bytes[offset++] = value;
+        }
+
+        return bytes;
+    }
+
+    function isQuantizedMesh(bytes) {
+        if (bytes.length < MAGIC.length) return false;
+        for (let i = 0; i < MAGIC.length; i++) {
+            if (bytes[i] !== MAGIC.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Decode a .qmesh file into PLYParser's result shape, plus `normals` when
+     * the file has them. options.onProgress receives { vertices, totalVertices }.
+     */
+    function decode(data, options = {}) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (bytes.length < HEADER_SIZE || !isQuantizedMesh(bytes)) {
+            throw new Error('Invalid quantized mesh: missing "QMSH" magic number');
+        }
+        if (bytes[4] !== VERSION) {
+            throw new Error(`Unsupported quantized mesh version ${bytes[4]}`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const flags = bytes[5];
+        const bits = bytes[6];
+        const vertexCount = view.getUint32(8, true);
+        const faceCount = view.getUint32(12, true);
+        const min = [0, 1, 2].map(c => view.getFloat32(16 + c * 4, true));
+        const max = [0, 1, 2].map(c => view.getFloat32(28 + c * 4, true));
+
+        const hasNormals = (flags & FLAG_NORMALS) !== 0;
+        const hasColors = (flags & FLAG_COLORS) !== 0;
+        const vertexBytes = vertexCount * (6 + (hasNormals ? 2 : 0) + (hasColors ? 3 : 0));
+        if (HEADER_SIZE + vertexBytes > bytes.length) {
+            throw new Error('Unexpected end of quantized mesh data');
+        }
+
+        const positions = new Float32Array(vertexCount * 3);
+        const scale = min.map((value, c) => (max[c] - value) / ((1 << bits) - 1));
+        let offset = HEADER_SIZE;
+        for (let i = 0; i < vertexCount; i++) {
+            for (let c = 0; c < 3; c++, offset += 2) {
+                positions[i * 3 + c] = min[c] + view.getUint16(offset, true) * scale[c];
+            }
+            if (options.onProgress && ((i + 1) % PROGRESS_INTERVAL === 0 || i + 1 === vertexCount)) {
+                options.onProgress({ vertices: i + 1, totalVertices: vertexCount });
+            }
+        }
+
+        let normals = null;
+        if (hasNormals) {
+            normals = new Float32Array(vertexCount * 3);
+            for (let i = 0; i < vertexCount; i++, offset += 2) {
+                octDecode(view.getInt8(offset), view.getInt8(offset + 1), normals, i * 3);
+            }
+        }
+
+        let colors = null;
+        if (hasColors) {
+            colors = new Float32Array(vertexCount * 3);
+            for (let i = 0; i < colors.length; i++) {
+                colors[i] = bytes[offset++] / 255;
+            }
+        }
+
+        const indices = new Uint32Array(faceCount * 3);
+        for (let i = 0, previous = 0; i < indices.length; i++) {
+            let value = 0;
+            let factor = 1;
+            for (;;) {
+                if (offset >= bytes.length) {
+                    throw new Error('Unexpected end of quantized mesh data');
+                }
+                const byte = bytes[offset++];
+                value += (byte & 127) * factor;
+                if (byte < 128) break;
+                factor *= 128;
+            }
+            previous += unzigzag(value);
+            if (previous < 0 || previous >= vertexCount) {
+                throw new Error('Invalid quantized mesh: triangle index out of range');
+            }
+            indices[i] = previous;
+        }
+
+        return {
+            header: { format: 'qmesh', version: String(VERSION), littleEndian: true, comments: [], elements: [], headerLength: HEADER_SIZE },
+            vertexCount,
+            faceCount,
+            polygonCount: faceCount,
+            positions,
+            colors,
+            normals,
+            indices,
+            properties: {}
+        };
+    }
+
+    const QuantizedMesh = {
+        DEFAULTS,
+        encode,
+        decode,
+        isQuantizedMesh,
+        computeNormals
+    };
+
+    root.QuantizedMesh = QuantizedMesh;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QuantizedMesh;
+    }
+})(typeof self !== 'undefined' ? self : this);
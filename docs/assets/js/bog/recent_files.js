@@ -0,0 +1,110 @@
+/**
+ * Recently opened local files for PLYMeshViewer, kept in IndexedDB
+ * Entries hold the file itself so they can be reopened without a picker
+ */
+
+(function () {
+    'use strict';
+
+    const DB_NAME = 'ply-mesh-viewer';
+    const DB_VERSION = 1;
+    const STORE = 'recentFiles';
+
+    let dbPromise = null;
+
+    const request = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    function isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    function openDatabase() {
+        if (!dbPromise) {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(STORE, { keyPath: 'key' });
+            };
+            dbPromise = request(req).catch(error => {
+                // Let a later call try again, e.g. after private browsing is left
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    }
+
+    async function transaction(mode, run) {
+        const db = await openDatabase();
+        const tx = db.transaction(STORE, mode);
+        const result = run(tx.objectStore(STORE));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+        return result instanceof IDBRequest ? result.result : result;
+    }
+
+    // The same file opened again replaces its entry instead of adding a new one
+    const keyOf = (file) => `${file.name}:${file.size}:${file.lastModified || 0}`;
+
+    // Entries without their file data, newest first
+    async function list() {
+        const entries = await transaction('readonly', store => store.getAll());
+        return entries
+            .map(({ key, name, size, lastModified, openedAt }) => ({ key, name, size, lastModified, openedAt }))
+            .sort((a, b) => b.openedAt - a.openedAt);
+    }
+
+    // Remember a File (or Blob with a name); only the `limit` newest entries are kept
+    async function add(file, limit = 10) {
+        const entry = {
+            key: keyOf(file),
+            name: file.name,
+            size: file.size,
+            lastModified: file.lastModified || 0,
+            openedAt: Date.now(),
+            file
+        };
+        await transaction('readwrite', store => store.put(entry));
+
+        const stale = (await list()).slice(limit);
+        if (stale.length > 0) {
+            await transaction('readwrite', store => stale.forEach(({ key }) => store.delete(key)));
+        }
+        return entry.key;
+    }
+
+    // The stored file as a File, or null when the entry is gone
+    async function get(key) {
+        const entry = await transaction('readonly', store => store.get(key));
+        if (!entry) return null;
+        return entry.file instanceof File
+            ? entry.file
+            : new File([entry.file], entry.name, { lastModified: entry.lastModified });
+    }
+
+    function remove(key) {
+        return transaction('readwrite', store => store.delete(key));
+    }
+
+    function clear() {
+        return transaction('readwrite', store => store.clear());
+    }
+
+    const RecentFiles = {
+        isAvailable,
+        list,
+        add,
+        get,
+        remove,
+        clear
+    };
+
+    if (typeof window !== 'undefined') {
+        window.RecentFiles = RecentFiles;
+    }
+})();
@@ -0,0 +1,436 @@
+/**
+ * Reconstruction accuracy/completeness metrics, shared by PLYMeshViewer and
+ * its evaluation worker
+ * Follows mrhash/apps/eval_reconstruction.py: the prediction is cropped to the
+ * reference bounds and sampled uniformly, then precision, recall and F-score
+ * are computed from k-d tree nearest-neighbor distances in both directions
+ */
+
+(function (root) {
+    'use strict';
+
+    // Same defaults as `eval_reconstruction.py evaluate`
+    const DEFAULTS = {
+        thresholds: [0.05, 0.1, 0.2, 0.25, 0.5],
+        truncationAcc: [0.10, 0.2, 0.4, 0.5, 1.0],
+        truncationCom: 1.00,
+        downSampleRes: 0,
+        gtBoundsMask: true,
+        // The Python script samples 10M points; fewer keeps browsers responsive
+        meshSamplePoints: 2000000,
+        seed: 1
+    };
+
+    // Column order of evaluation_metrics.csv
+    const CSV_COLUMNS = [
+        'mesh',
+        'threshold',
+        'truncation_acc',
+        'Chamfer_L1 (cm)',
+        'F-score (%)',
+        'Inlier_threshold (m)',
+        'MAE_accuracy (cm)',
+        'MAE_completeness (cm)',
+        'Outlier_truncation_acc (m)',
+        'Outlier_truncation_com (m)',
+        'Precision [Accuracy] (%)',
+        'Recall [Completeness] (%)'
+    ];
+
+    const LEAF_SIZE = 8;
+
+    // Deterministic PRNG so repeated runs sample the same points
+    function mulberry32(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Static k-d tree over a Float32Array of xyz points. The index array is
+     * partitioned in place around medians, so the tree needs no node objects.
+     */
+    class KDTree {
+        constructor(points) {
+            this.points = points;
+            this.count = points.length / 3;
+            this.index = new Uint32Array(this.count);
+            for (let i = 0; i < this.count; i++) this.index[i] = i;
+            this.axes = new Uint8Array(this.count);
+
+            const stack = [[0, this.count]];
+            while (stack.length > 0) {
+                const [start, end] = stack.pop();
+                if (end - start <= LEAF_SIZE) continue;
+
+                const axis = this.widestAxis(start, end);
+                const mid = (start + end) >> 1;
+                this.select(start, end, mid, axis);
+                this.axes[mid] = axis;
+                stack.push([start, mid], [mid + 1, end]);
+            }
+        }
+
+        widestAxis(start, end) {
+            const points = this.points;
+            const index = this.index;
+            let bestAxis = 0;
+            let bestSpread = -1;
+            for (let axis = 0; axis < 3; axis++) {
+                let min = Infinity;
+                let max = -Infinity;
+                for (let i = start; i < end; i++) {
+                    const value = points[index[i] * 3 + axis];
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+                if (max - min > bestSpread) {
+                    bestSpread = max - min;
+                    bestAxis = axis;
+                }
+            }
+            return bestAxis;
+        }
+
+        // Quickselect: put the k-th smallest point along `axis` at position k
+        select(start, end, k, axis) {
+            const points = this.points;
+            const index = this.index;
+            let left = start;
+            let right = end - 1;
+
+            while (right > left) {
+                const pivot = points[index[(left + right) >> 1] * 3 + axis];
+                let i = left;
+                let j = right;
+                while (i <= j) {
+                    while (points[index[i] * 3 + axis] < pivot) i++;
+                    while (points[index[j] * 3 + axis] > pivot) j--;
+                    if (i <= j) {
+                        const swap = index[i];
+                        index[i] = index[j];
+                        index[j] = swap;
+                        i++;
+                        j--;
+                    }
+                }
+                if (k <= j) right = j;
+                else if (k >= i) left = i;
+                else break;
+            }
+        }
+
+        /**
+         * Distance from (x, y, z) to the nearest point, or Infinity when none is
+         * closer than maxDistance. The bound prunes most of the tree.
+         */
+        nearest(x, y, z, maxDistance = Infinity) {
+            const points = this.points;
+            const index = this.index;
+            const axes = this.axes;
+            const query = [x, y, z];
+            let best = maxDistance * maxDistance;
+
+            const visit = (start, end) => {
+                if (end - start <= LEAF_SIZE) {
+                    for (let i = start; i < end; i++) {
+                        const p = index[i] * 3;
+                        const dx = points[p] - x;
+                        const dy = points[p + 1] - y;
+                        const dz = points[p + 2] - z;
+                        const d = dx * dx + dy * dy + dz * dz;
+                        if (d < best) best = d;
+                    }
+                    return;
+                }
+
+                const mid = (start + end) >> 1;
+                const p = index[mid] * 3;
+                const dx = points[p] - x;
+                const dy = points[p + 1] - y;
+                const dz = points[p + 2] - z;
+                const d = dx * dx + dy * dy + dz * dz;
+                if (d < best) best = d;
+
+                const diff = query[axes[mid]] - points[p + axes[mid]];
+                if (diff < 0) {
+                    visit(start, mid);
+                    if (diff * diff < best) visit(mid + 1, end);
+                } else {
+                    visit(mid + 1, end);
+                    if (diff * diff < best) visit(start, mid);
+                }
+            };
+
+            if (this.count > 0) visit(0, this.count);
+            return best < maxDistance * maxDistance ? Math.sqrt(best) : Infinity;
+        }
+    }
+
+    function computeBounds(points) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < points.length; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                if (points[i + k] < min[k]) min[k] = points[i + k];
+                if (points[i + k] > max[k]) max[k] = points[i + k];
+            }
+        }
+        return { min, max };
+    }
+
+    // Like Open3D's TriangleMesh.crop: keep triangles whose vertices all lie in the box
+    function cropTriangles(positions, indices, bounds) {
+        const inside = (v) => {
+            for (let k = 0; k < 3; k++) {
+                const value = positions[v * 3 + k];
+                if (value < bounds.min[k] || value > bounds.max[k]) return false;
+            }
+            return true;
+        };
+
+        const kept = [];
+        for (let f = 0; f < indices.length; f += 3) {
+            if (inside(indices[f]) && inside(indices[f + 1]) && inside(indices[f + 2])) {
+                kept.push(indices[f], indices[f + 1], indices[f + 2]);
+            }
+        }
+        return Uint32Array.from(kept);
+    }
+
+    // Area-weighted uniform samples on the triangles, as sample_points_uniformly
+    function sampleTriangles(positions, indices, count, random) {
+        const faceCount = indices.length / 3;
+        const cumulative = new Float64Array(faceCount);
+        let total = 0;
+        for (let f = 0; f < faceCount; f++) {
+            const a = indices[f * 3] * 3;
+            const b = indices[f * 3 + 1] * 3;
+            const c = indices[f * 3 + 2] * 3;
+            const ux = positions[b] - positions[a];
+            const uy = positions[b + 1] - positions[a + 1];
+            const uz = positions[b + 2] - positions[a + 2];
+            const vx = positions[c] - positions[a];
+            const vy = positions[c + 1] - positions[a + 1];
+            const vz = positions[c + 2] - positions[a + 2];
+            total += 0.5 * Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx);
+            cumulative[f] = total;
+        }
+
+        const samples = new Float32Array(total > 0 ? count * 3 : 0);
+        if (total === 0) return samples;
+
+        for (let s = 0; s < count; s++) {
+            const target = random() * total;
+            let low = 0;
+            let high = faceCount - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cumulative[mid] < target) low = mid + 1;
+                else high = mid;
+            }
+
+            const r1 = Math.sqrt(random());
+            const r2 = random();
+            const wa = 1 - r1;
+            const wb = r1 * (1 - r2);
+            const wc = r1 * r2;
+            const a = indices[low * 3] * 3;
+            const b = indices[low * 3 + 1] * 3;
+            const c = indices[low * 3 + 2] * 3;
+            for (let k = 0; k < 3; k++) {
+                samples[s * 3 + k] = wa * positions[a + k] + wb * positions[b + k] + wc * positions[c + k];
+            }
+        }
+        return samples;
+    }
+
+    // Average the points in each voxel, as Open3D's voxel_down_sample
+    function voxelDownSample(points, size) {
+        const voxels = new Map();
+        for (let i = 0; i < points.length; i += 3) {
+            const key = `${Math.floor(points[i] / size)},${Math.floor(points[i + 1] / size)},${Math.floor(points[i + 2] / size)}`;
+            let voxel = voxels.get(key);
+            if (!voxel) {
+                voxel = [0, 0, 0, 0];
+                voxels.set(key, voxel);
+            }
+            voxel[0] += points[i];
+            voxel[1] += points[i + 1];
+            voxel[2] += points[i + 2];
+            voxel[3]++;
+        }
+
+        const result = new Float32Array(voxels.size * 3);
+        let offset = 0;
+        voxels.forEach(voxel => {
+            result[offset++] = voxel[0] / voxel[3];
+            result[offset++] = voxel[1] / voxel[3];
+            result[offset++] = voxel[2] / voxel[3];
+        });
+        return result;
+    }
+
+    function nearestDistances(tree, points, maxDistance, onProgress) {
+        const count = points.length / 3;
+        const distances = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            distances[i] = tree.nearest(points[i * 3], points[i * 3 + 1], points[i * 3 + 2], maxDistance);
+            if (onProgress && (i & 0xffff) === 0) onProgress(i, count);
+        }
+        return distances;
+    }
+
+    const mean = (values) => {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += values[i];
+        return values.length > 0 ? sum / values.length : NaN;
+    };
+
+    const meanSquare = (values) => {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += values[i] * values[i];
+        return values.length > 0 ? sum / values.length : NaN;
+    };
+
+    const fractionBelow = (values, threshold) => {
+        let inliers = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] < threshold) inliers++;
+        }
+        return values.length > 0 ? inliers / values.length : NaN;
+    };
+
+    /**
+     * Metrics for each (threshold, truncationAcc) pair, keyed like the CSV.
+     * distancesPred: prediction → reference, distancesRef: reference → prediction.
+     */
+    function computeMetrics(distancesPred, distancesRef, options, name = '') {
+        // Completeness distances are clamped at the truncation, not dropped
+        const truncationCom = options.truncationCom;
+        const distR = distancesRef.map(d => Math.min(d, truncationCom));
+        const distRMean = mean(distR);
+        const distRSquareMean = meanSquare(distR);
+        const recallCache = new Map();
+
+        return options.thresholds.map((threshold, i) => {
+            const truncationAcc = options.truncationAcc[i];
+            // Accuracy ignores prediction points beyond the truncation
+            const distP = distancesPred.filter(d => d < truncationAcc);
+            const distPMean = mean(distP);
+
+            const precision = fractionBelow(distP, threshold) * 100;
+            if (!recallCache.has(threshold)) recallCache.set(threshold, fractionBelow(distR, threshold) * 100);
+            const recall = recallCache.get(threshold);
+
+            return {
+                mesh: name,
+                threshold,
+                truncation_acc: truncationAcc,
+                'Chamfer_L1 (cm)': 0.5 * (distPMean + distRMean) * 100,
+                'F-score (%)': precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+                'Inlier_threshold (m)': threshold,
+                'MAE_accuracy (cm)': distPMean * 100,
+                'MAE_completeness (cm)': distRMean * 100,
+                'Outlier_truncation_acc (m)': truncationAcc,
+                'Outlier_truncation_com (m)': truncationCom,
+                'Precision [Accuracy] (%)': precision,
+                'Recall [Completeness] (%)': recall,
+                // Not a CSV column, but computed by the script as well
+                chamferL2: Math.sqrt(0.5 * (meanSquare(distP) + distRSquareMean)) * 100
+            };
+        });
+    }
+
+    /**
+     * Evaluate a prediction against a reference point cloud.
+     * reference: Float32Array xyz; prediction: { positions, indices } (a point
+     * cloud when indices is empty). Both must be in the same frame.
+     * Returns { rows, vertexErrors } where vertexErrors holds each prediction
+     * vertex's distance to the reference, capped at the largest truncation.
+     */
+    function evaluate(reference, prediction, options = {}, onProgress = null) {
+        const settings = { ...DEFAULTS, ...options };
+        if (settings.thresholds.length !== settings.truncationAcc.length) {
+            throw new Error('thresholds and truncationAcc need the same length');
+        }
+        const report = (stage, done = 0, total = 0) => {
+            if (onProgress) onProgress({ stage, done, total });
+        };
+
+        const { positions } = prediction;
+        const isMesh = prediction.indices.length > 0;
+        let indices = prediction.indices;
+        let target = reference;
+
+        if (settings.gtBoundsMask && isMesh) {
+            const bounds = computeBounds(target);
+            bounds.min[2] -= settings.downSampleRes;
+            bounds.max[2] += settings.downSampleRes;
+            indices = cropTriangles(positions, indices, bounds);
+        }
+
+        report('sample');
+        let samples = isMesh
+            ? sampleTriangles(positions, indices, settings.meshSamplePoints, mulberry32(settings.seed))
+            : positions;
+        if (settings.downSampleRes > 0) {
+            samples = voxelDownSample(samples, settings.downSampleRes);
+            target = voxelDownSample(target, settings.downSampleRes);
+        }
+        if (samples.length === 0 || target.length === 0) {
+            throw new Error('Nothing to evaluate: the prediction does not overlap the reference');
+        }
+
+        report('index');
+        const referenceTree = new KDTree(target);
+        const sampleTree = new KDTree(samples);
+
+        const maxTruncationAcc = Math.max(...settings.truncationAcc);
+        const distancesPred = nearestDistances(referenceTree, samples, maxTruncationAcc,
+            (done, total) => report('accuracy', done, total));
+        const distancesRef = nearestDistances(sampleTree, target, settings.truncationCom,
+            (done, total) => report('completeness', done, total));
+
+        const cap = Math.max(maxTruncationAcc, settings.truncationCom);
+        const vertexErrors = nearestDistances(referenceTree, positions, cap,
+            (done, total) => report('vertices', done, total)).map(d => Math.min(d, cap));
+
+        return {
+            rows: computeMetrics(distancesPred, distancesRef, settings, settings.name || ''),
+            vertexErrors
+        };
+    }
+
+    function toCSV(rows) {
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','))]
+            .join('\n') + '\n';
+    }
+
+    const ReconstructionEval = {
+        DEFAULTS,
+        CSV_COLUMNS,
+        KDTree,
+        cropTriangles,
+        sampleTriangles,
+        voxelDownSample,
+        nearestDistances,
+        computeMetrics,
+        evaluate,
+        toCSV
+    };
+
+    root.ReconstructionEval = ReconstructionEval;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ReconstructionEval;
+    }
+})(typeof self !== 'undefined' ? self : this);
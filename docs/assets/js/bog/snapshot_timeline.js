@@ -0,0 +1,90 @@
+/**
+ * Snapshot manifests for PLYMeshViewer's timeline playback
+ * A manifest is an ordered list of mesh or Gaussian PLY snapshots, e.g. the
+ * mesh_{timestamp}.ply files written by the mrhash runners
+ */
+
+(function () {
+    'use strict';
+
+    // mesh_20240131_154500.ply, as written with time.strftime("%Y%m%d_%H%M%S")
+    const TIMESTAMP_PATTERN = /(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/;
+
+    function fileName(url) {
+        return decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+    }
+
+    // "2024-01-31 15:45:00" for timestamped names, the file name otherwise
+    function labelFromName(url) {
+        const name = fileName(url);
+        const match = name.match(TIMESTAMP_PATTERN);
+        if (!match) return name;
+        const [, year, month, day, hours, minutes, seconds] = match;
+        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+    }
+
+    /**
+     * Normalize a manifest into { frames: [{ url, label, time }], fps }.
+     * Accepts an array of URLs or { url, label, time } objects, or an object
+     * with such a `frames` array and an optional `fps`. Relative URLs resolve
+     * against baseUrl (the manifest's own URL when it was fetched). `time` is in
+     * seconds; when every frame has one, playback follows those gaps instead of fps.
+     */
+    function parseManifest(json, baseUrl) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const list = Array.isArray(data) ? data : data && data.frames;
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error('A timeline manifest needs a non-empty "frames" array');
+        }
+
+        const frames = list.map((entry, i) => {
+            const frame = typeof entry === 'string' ? { url: entry } : entry;
+            if (!frame || typeof frame.url !== 'string') {
+                throw new Error(`Timeline frame ${i} has no "url"`);
+            }
+            if (frame.time !== undefined && !Number.isFinite(frame.time)) {
+                throw new Error(`Timeline frame ${i} has an invalid "time"`);
+            }
+            return {
+                url: baseUrl ? new URL(frame.url, baseUrl).href : frame.url,
+                label: frame.label || labelFromName(frame.url),
+                time: frame.time !== undefined ? frame.time : null
+            };
+        });
+
+        const fps = !Array.isArray(data) && data.fps !== undefined ? Number(data.fps) : null;
+        return { frames, fps: Number.isFinite(fps) && fps > 0 ? fps : null };
+    }
+
+    // Seconds to show frame `index` before moving on, at speed 1
+    function frameDuration(frames, index, fps) {
+        const next = frames[index + 1];
+        if (next && frames[index].time !== null && next.time !== null && next.time > frames[index].time) {
+            return next.time - frames[index].time;
+        }
+        return 1 / fps;
+    }
+
+    // Frames worth having ready after `index`: the next `ahead` ones and the previous one
+    function prefetchOrder(index, count, ahead, loop) {
+        const order = [];
+        const add = (i) => {
+            if (loop) i = ((i % count) + count) % count;
+            if (i >= 0 && i < count && i !== index && !order.includes(i)) order.push(i);
+        };
+        for (let step = 1; step <= ahead; step++) add(index + step);
+        add(index - 1);
+        return order;
+    }
+
+    const SnapshotTimeline = {
+        labelFromName,
+        parseManifest,
+        frameDuration,
+        prefetchOrder
+    };
+
+    if (typeof window !== 'undefined') {
+        window.SnapshotTimeline = SnapshotTimeline;
+    }
+})();
@@ -0,0 +1,80 @@
+/**
+ * Back-to-front ordering of Gaussian splats for GaussianSplatCloud
+ * Runs in splat_worker.js, and on the main thread for exports or without workers
+ */
+
+(function (root) {
+    'use strict';
+
+    const SORT_BUCKETS = 65536;
+
+    /**
+     * 16-bit counting sort of splat centers on view depth. Only the centers are
+     * needed, and the scratch buffers are kept between sorts.
+     */
+    class SplatSorter {
+        constructor(centers) {
+            this.centers = centers;
+            this.count = centers.length / 3;
+            this.depths = new Float32Array(this.count);
+            this.depthKeys = new Uint32Array(this.count);
+            this.order = null;
+            this.bucketCounts = new Uint32Array(SORT_BUCKETS);
+        }
+
+        translate(x, y, z) {
+            const centers = this.centers;
+            for (let i = 0; i < centers.length; i += 3) {
+                centers[i] += x;
+                centers[i + 1] += y;
+                centers[i + 2] += z;
+            }
+        }
+
+        // Fill `order` (default: a buffer of the sorter's own) with splat indices,
+        // farthest first along direction ([x, y, z], splat space)
+        sort(direction, order) {
+            if (!order) {
+                order = this.order || (this.order = new Uint32Array(this.count));
+            }
+            const count = this.count;
+            const centers = this.centers;
+            const keys = this.depthKeys;
+            const [dx, dy, dz] = direction;
+
+            let minDepth = Infinity;
+            let maxDepth = -Infinity;
+            const depths = this.depths;
+            for (let i = 0; i < count; i++) {
+                // The camera position would offset every depth equally, so it does not change the order
+                const depth = centers[i * 3] * dx + centers[i * 3 + 1] * dy + centers[i * 3 + 2] * dz;
+                depths[i] = depth;
+                if (depth < minDepth) minDepth = depth;
+                if (depth > maxDepth) maxDepth = depth;
+            }
+
+            const range = maxDepth - minDepth;
+            const bucketScale = range > 0 ? (SORT_BUCKETS - 1) / range : 0;
+            const counts = this.bucketCounts;
+            counts.fill(0);
+            for (let i = 0; i < count; i++) {
+                const key = (SORT_BUCKETS - 1) - Math.floor((depths[i] - minDepth) * bucketScale);
+                keys[i] = key;
+                counts[key]++;
+            }
+
+            for (let i = 1; i < SORT_BUCKETS; i++) {
+                counts[i] += counts[i - 1];
+            }
+            for (let i = count - 1; i >= 0; i--) {
+                order[--counts[keys[i]]] = i;
+            }
+            return order;
+        }
+    }
+
+    root.SplatSorter = SplatSorter;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SplatSorter;
+    }
+})(typeof self !== 'undefined' ? self : this);
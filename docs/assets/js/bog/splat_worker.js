@@ -0,0 +1,27 @@
+/**
+ * Web Worker that orders a GaussianSplatCloud's splats back to front with SplatSorter
+ * Unlike the one-shot workers it lives as long as the cloud: an 'init' message
+ * hands over a copy of the splat centers, then every 'sort' returns an order as a transferable
+ */
+
+importScripts('splat_sorter.js');
+
+let sorter = null;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    try {
+        if (message.type === 'init') {
+            sorter = new SplatSorter(message.centers);
+        } else if (message.type === 'translate') {
+            sorter.translate(...message.offset);
+        } else if (message.type === 'sort') {
+            // The previous order comes back for reuse once the page has drawn it
+            const order = sorter.sort(message.direction, message.order || new Uint32Array(sorter.count));
+            self.postMessage({ type: 'result', result: { id: message.id, order } }, [order.buffer]);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,398 @@
+/**
+ * Camera trajectories for PLYMeshViewer
+ * TUM-format pose parsing, timestamp association, Umeyama similarity
+ * alignment, ATE/RPE metrics and polyline + frustum drawing
+ */
+
+(function () {
+    'use strict';
+
+    /**
+     * Parse `timestamp tx ty tz qx qy qz qw` lines. Comments (#) and blank
+     * lines are skipped; commas are accepted as separators too.
+     */
+    function parseTUM(text) {
+        const poses = [];
+        const lines = text.split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const values = line.split(/[\s,]+/).map(Number);
+            if (values.length < 8 || values.slice(0, 8).some(value => !Number.isFinite(value))) {
+                throw new Error(`Invalid TUM pose on line ${i + 1}: "${line}"`);
+            }
+
+            poses.push({
+                timestamp: values[0],
+                position: [values[1], values[2], values[3]],
+                quaternion: [values[4], values[5], values[6], values[7]]
+            });
+        }
+
+        return poses.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Match each estimated pose to the closest ground-truth timestamp within
+     * maxDifference seconds, each ground-truth pose used at most once
+     * (the same greedy scheme as the TUM benchmark's associate.py).
+     */
+    function associate(estimated, groundTruth, maxDifference = 0.02) {
+        const candidates = [];
+        let start = 0;
+
+        for (let i = 0; i < estimated.length; i++) {
+            const t = estimated[i].timestamp;
+            while (start < groundTruth.length && groundTruth[start].timestamp < t - maxDifference) start++;
+            for (let j = start; j < groundTruth.length && groundTruth[j].timestamp <= t + maxDifference; j++) {
+                candidates.push({ i, j, difference: Math.abs(groundTruth[j].timestamp - t) });
+            }
+        }
+
+        candidates.sort((a, b) => a.difference - b.difference);
+        const usedEstimated = new Set();
+        const usedGroundTruth = new Set();
+        const matches = [];
+
+        for (const { i, j } of candidates) {
+            if (usedEstimated.has(i) || usedGroundTruth.has(j)) continue;
+            usedEstimated.add(i);
+            usedGroundTruth.add(j);
+            matches.push([i, j]);
+        }
+
+        return matches.sort((a, b) => a[0] - b[0]);
+    }
+
+    // Eigen decomposition of a symmetric 3x3 matrix (row-major arrays) by Jacobi rotations
+    function symmetricEigen(matrix) {
+        const a = matrix.map(row => row.slice());
+        const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+            if (offDiagonal < 1e-15) break;
+
+            for (let p = 0; p < 2; p++) {
+                for (let q = p + 1; q < 3; q++) {
+                    if (Math.abs(a[p][q]) < 1e-300) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < 3; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < 3; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < 3; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        // Sort eigenpairs by decreasing eigenvalue; eigenvectors are the columns of v
+        const order = [0, 1, 2].sort((i, j) => a[j][j] - a[i][i]);
+        return {
+            values: order.map(i => a[i][i]),
+            vectors: order.map(i => [v[0][i], v[1][i], v[2][i]])
+        };
+    }
+
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const normalize = (a) => {
+        const length = Math.hypot(a[0], a[1], a[2]) || 1;
+        return [a[0] / length, a[1] / length, a[2] / length];
+    };
+
+    // SVD of a 3x3 matrix: M = U diag(S) V^T, with U and V given as column vectors
+    function svd3(m) {
+        const mtm = [0, 1, 2].map(i => [0, 1, 2].map(j => m[0][i] * m[0][j] + m[1][i] * m[1][j] + m[2][i] * m[2][j]));
+        const { values, vectors } = symmetricEigen(mtm);
+        const singular = values.map(value => Math.sqrt(Math.max(value, 0)));
+
+        const u = vectors.map((column, k) => {
+            const mv = [dot(m[0], column), dot(m[1], column), dot(m[2], column)];
+            return singular[k] > 1e-12 * (singular[0] || 1) ? mv.map(x => x / singular[k]) : null;
+        });
+
+        // Complete U for rank-deficient inputs, e.g. planar trajectories
+        if (!u[0]) u[0] = [1, 0, 0];
+        if (!u[1]) {
+            const helper = Math.abs(u[0][0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+            u[1] = normalize(cross(u[0], helper));
+        }
+        if (!u[2]) u[2] = cross(u[0], u[1]);
+
+        return { u, s: singular, v: vectors };
+    }
+
+    const determinant = (columns) => dot(columns[0], cross(columns[1], columns[2]));
+
+    /**
+     * Similarity transform (s, R, t) minimizing sum ||s R src_i + t - dst_i||^2
+     * (Umeyama 1991). R is row-major; pass withScale = false for SE(3).
+     */
+    function umeyama(source, target, withScale = true) {
+        const n = source.length;
+        if (n < 3) {
+            throw new Error('Umeyama alignment needs at least three matched poses');
+        }
+
+        const meanSource = [0, 0, 0];
+        const meanTarget = [0, 0, 0];
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < 3; k++) {
+                meanSource[k] += source[i][k] / n;
+                meanTarget[k] += target[i][k] / n;
+            }
+        }
+
+        const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        let sourceVariance = 0;
+        for (let i = 0; i < n; i++) {
+            const a = [0, 1, 2].map(k => source[i][k] - meanSource[k]);
+            const b = [0, 1, 2].map(k => target[i][k] - meanTarget[k]);
+            sourceVariance += dot(a, a) / n;
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    covariance[r][c] += b[r] * a[c] / n;
+                }
+            }
+        }
+
+        const { u, s, v } = svd3(covariance);
+        const sign = determinant(u) * determinant(v) < 0 ? -1 : 1;
+        const d = [1, 1, sign];
+
+        const rotation = [0, 1, 2].map(r => [0, 1, 2].map(c =>
+            u[0][r] * d[0] * v[0][c] + u[1][r] * d[1] * v[1][c] + u[2][r] * d[2] * v[2][c]));
+
+        const scale = withScale && sourceVariance > 0
+            ? (s[0] * d[0] + s[1] * d[1] + s[2] * d[2]) / sourceVariance
+            : 1;
+
+        const rotatedMean = rotation.map(row => dot(row, meanSource));
+        const translation = [0, 1, 2].map(k => meanTarget[k] - scale * rotatedMean[k]);
+
+        return { scale, rotation, translation };
+    }
+
+    function transformPoint(alignment, point) {
+        const { scale, rotation, translation } = alignment;
+        return [0, 1, 2].map(k => scale * dot(rotation[k], point) + translation[k]);
+    }
+
+    function rotationToQuaternion(rotation) {
+        const matrix = new THREE.Matrix4().set(
+            rotation[0][0], rotation[0][1], rotation[0][2], 0,
+            rotation[1][0], rotation[1][1], rotation[1][2], 0,
+            rotation[2][0], rotation[2][1], rotation[2][2], 0,
+            0, 0, 0, 1
+        );
+        return new THREE.Quaternion().setFromRotationMatrix(matrix);
+    }
+
+    // Apply a similarity alignment to every pose of a trajectory
+    function alignPoses(poses, alignment) {
+        const rotation = rotationToQuaternion(alignment.rotation);
+        return poses.map(pose => {
+            const q = rotation.clone().multiply(new THREE.Quaternion(...pose.quaternion));
+            return {
+                timestamp: pose.timestamp,
+                position: transformPoint(alignment, pose.position),
+                quaternion: [q.x, q.y, q.z, q.w]
+            };
+        });
+    }
+
+    function summarize(errors) {
+        if (errors.length === 0) {
+            return { rmse: NaN, mean: NaN, median: NaN, std: NaN, min: NaN, max: NaN, count: 0 };
+        }
+
+        const sorted = [...errors].sort((a, b) => a - b);
+        const mean = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+        const meanSquare = errors.reduce((sum, e) => sum + e * e, 0) / errors.length;
+        const middle = Math.floor(sorted.length / 2);
+
+        return {
+            rmse: Math.sqrt(meanSquare),
+            mean,
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            std: Math.sqrt(Math.max(meanSquare - mean * mean, 0)),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            count: errors.length
+        };
+    }
+
+    // Absolute trajectory error of already aligned, matched positions
+    function computeATE(estimated, groundTruth, matches) {
+        const errors = matches.map(([i, j]) => {
+            const a = estimated[i].position;
+            const b = groundTruth[j].position;
+            return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+        });
+        return summarize(errors);
+    }
+
+    /**
+     * Relative pose error between matched poses `delta` frames apart.
+     * Returns translational (trajectory units) and rotational (degrees) statistics.
+     */
+    function computeRPE(estimated, groundTruth, matches, delta = 1) {
+        const translationErrors = [];
+        const rotationErrors = [];
+
+        const relative = (a, b) => {
+            const qa = new THREE.Quaternion(...a.quaternion);
+            const qb = new THREE.Quaternion(...b.quaternion);
+            const inverse = qa.clone().invert();
+            const translation = new THREE.Vector3(
+                b.position[0] - a.position[0],
+                b.position[1] - a.position[1],
+                b.position[2] - a.position[2]
+            ).applyQuaternion(inverse);
+            return { rotation: inverse.multiply(qb), translation };
+        };
+
+        for (let k = 0; k + delta < matches.length; k++) {
+            const [ei, gi] = matches[k];
+            const [ej, gj] = matches[k + delta];
+            const est = relative(estimated[ei], estimated[ej]);
+            const gt = relative(groundTruth[gi], groundTruth[gj]);
+
+            // E = gt^-1 * est; its translation norm equals |t_est - t_gt| in the gt frame
+            translationErrors.push(est.translation.distanceTo(gt.translation));
+            const error = gt.rotation.clone().invert().multiply(est.rotation);
+            rotationErrors.push(THREE.MathUtils.radToDeg(2 * Math.acos(Math.min(1, Math.abs(error.w)))));
+        }
+
+        return { translation: summarize(translationErrors), rotation: summarize(rotationErrors) };
+    }
+
+    /**
+     * Align `estimated` to `groundTruth` and compute ATE and RPE.
+     * options: maxDifference (s), withScale (Sim3 vs SE3), delta (RPE frames)
+     */
+    function evaluate(estimated, groundTruth, options = {}) {
+        const matches = associate(estimated, groundTruth, options.maxDifference);
+        if (matches.length < 3) {
+            throw new Error(`Only ${matches.length} poses matched the ground-truth timestamps`);
+        }
+
+        const alignment = umeyama(
+            matches.map(([i]) => estimated[i].position),
+            matches.map(([, j]) => groundTruth[j].position),
+            options.withScale !== undefined ? options.withScale : true
+        );
+        const aligned = alignPoses(estimated, alignment);
+
+        return {
+            alignment,
+            aligned,
+            matches: matches.length,
+            ate: computeATE(aligned, groundTruth, matches),
+            rpe: computeRPE(aligned, groundTruth, matches, options.delta || 1)
+        };
+    }
+
+    /**
+     * Polyline through the camera centers plus wireframe frustums every
+     * `frustumEvery` poses. TUM cameras look down +z with y pointing down.
+     */
+    function createObject(poses, options = {}) {
+        const group = new THREE.Group();
+        const color = new THREE.Color(options.color !== undefined ? options.color : 0xff6b6b);
+
+        const linePositions = new Float32Array(poses.length * 3);
+        poses.forEach((pose, i) => linePositions.set(pose.position, i * 3));
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.BufferAttribute(linePositions, 3));
+        group.add(new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({ color })));
+
+        lineGeometry.computeBoundingBox();
+        const extent = lineGeometry.boundingBox.getSize(new THREE.Vector3()).length();
+        const size = options.frustumSize || extent * 0.02 || 0.1;
+        const every = options.frustumEvery || Math.max(1, Math.ceil(poses.length / 25));
+
+        // Apex plus the four base corners in camera coordinates
+        const aspect = 4 / 3;
+        const corners = [
+            [0, 0, 0],
+            [-size * aspect / 2, -size / 2, size],
+            [size * aspect / 2, -size / 2, size],
+            [size * aspect / 2, size / 2, size],
+            [-size * aspect / 2, size / 2, size]
+        ];
+        const edges = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [2, 3], [3, 4], [4, 1]];
+
+        const keyframes = poses.filter((pose, i) => i % every === 0 || i === poses.length - 1);
+        const frustumPositions = new Float32Array(keyframes.length * edges.length * 6);
+        const point = new THREE.Vector3();
+        let offset = 0;
+
+        keyframes.forEach(pose => {
+            const quaternion = new THREE.Quaternion(...pose.quaternion);
+            const world = corners.map(corner => point.set(...corner)
+                .applyQuaternion(quaternion)
+                .add(new THREE.Vector3(...pose.position))
+                .toArray());
+            edges.forEach(([a, b]) => {
+                frustumPositions.set(world[a], offset);
+                frustumPositions.set(world[b], offset + 3);
+                offset += 6;
+            });
+        });
+
+        const frustumGeometry = new THREE.BufferGeometry();
+        frustumGeometry.setAttribute('position', new THREE.BufferAttribute(frustumPositions, 3));
+        group.add(new THREE.LineSegments(frustumGeometry, new THREE.LineBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.8
+        })));
+
+        return group;
+    }
+
+    function disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    const Trajectory = {
+        parseTUM,
+        associate,
+        umeyama,
+        alignPoses,
+        computeATE,
+        computeRPE,
+        evaluate,
+        createObject,
+        disposeObject
+    };
+
+    if (typeof window !== 'undefined') {
+        window.Trajectory = Trajectory;
+    }
+})();
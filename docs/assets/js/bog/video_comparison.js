@@ -1,116 +1,654 @@
-// Written by Dor Verbin, October 2021
-// This is based on: http://thenewcode.com/364/Interactive-Before-and-After-Video-Comparison-in-HTML5-Canvas
-// With additional modifications based on: https://jsfiddle.net/7sk5k4gp/13/
+/**
+ * Video comparisons: swipe, difference heatmap, flicker and side by side, from
+ * one video with both methods packed side by side or from two separate videos
+ * Swipe view written by Dor Verbin, October 2021, based on
+ * http://thenewcode.com/364/Interactive-Before-and-After-Video-Comparison-in-HTML5-Canvas
+ * with modifications based on https://jsfiddle.net/7sk5k4gp/13/
+ */
 
-function playVids(videoId) {
-    var videoMerge = document.getElementById(videoId + "Merge");
-    var vid = document.getElementById(videoId);
+(function () {
+    'use strict';
 
-    var position = 0.5;
-    var vidWidth = vid.videoWidth / 2;
-    var vidHeight = vid.videoHeight;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
-    var mergeContext = videoMerge.getContext("2d");
+    const SPEEDS = [0.25, 0.5, 1, 1.5, 2];
+    const MODES = {
+        swipe: 'Swipe',
+        difference: 'Difference',
+        flicker: 'Flicker',
+        'side-by-side': 'Side by side'
+    };
+    // Members of a VideoClock are re-seeked once they drift further than this (seconds)
+    const MAX_DRIFT = 0.15;
 
+    // 75.25 → "1:15.2"
+    function formatTime(seconds) {
+        if (!Number.isFinite(seconds)) return '0:00.0';
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${rest}`;
+    }
 
-    if (vid.readyState > 3) {
-        vid.play();
+    /**
+     * Shared playback clock for several VideoComparison instances. Time runs on
+     * the wall clock; each member loops it over its own duration and is
+     * re-seeked when it drifts away, so play, pause, seeks and speed changes
+     * apply to all of them at once.
+     */
+    class VideoClock {
+        constructor() {
+            this.members = new Set();
+            this.playing = false;
+            this.rate = 1;
+            this.offset = 0;
+            this.startedAt = performance.now();
+        }
 
-        function trackLocation(e) {
-            // Normalize to [0, 1]
-            bcr = videoMerge.getBoundingClientRect();
-            position = ((e.pageX - bcr.x) / bcr.width);
+        time() {
+            if (!this.playing) return this.offset;
+            return this.offset + (performance.now() - this.startedAt) / 1000 * this.rate;
         }
-        function trackLocationTouch(e) {
-            // Normalize to [0, 1]
-            bcr = videoMerge.getBoundingClientRect();
-            position = ((e.touches[0].pageX - bcr.x) / bcr.width);
+
+        add(comparison) {
+            this.members.add(comparison);
+            comparison.syncToClock(false);
         }
 
-        videoMerge.addEventListener("mousemove", trackLocation, false);
-        videoMerge.addEventListener("touchstart", trackLocationTouch, false);
-        videoMerge.addEventListener("touchmove", trackLocationTouch, false);
+        remove(comparison) {
+            this.members.delete(comparison);
+        }
 
+        play() {
+            if (this.playing) return;
+            this.startedAt = performance.now();
+            this.playing = true;
+            this.notify(false);
+        }
 
-        function drawLoop() {
-            mergeContext.drawImage(vid, 0, 0, vidWidth, vidHeight, 0, 0, vidWidth, vidHeight);
-            var colStart = (vidWidth * position).clamp(0.0, vidWidth);
-            var colWidth = (vidWidth - (vidWidth * position)).clamp(0.0, vidWidth);
-            mergeContext.drawImage(vid, colStart + vidWidth, 0, colWidth, vidHeight, colStart, 0, colWidth, vidHeight);
-            requestAnimationFrame(drawLoop);
+        pause() {
+            if (!this.playing) return;
+            this.offset = this.time();
+            this.playing = false;
+            this.notify(true);
+        }
 
+        seek(time) {
+            this.offset = Math.max(time, 0);
+            this.startedAt = performance.now();
+            this.notify(true);
+        }
 
-            var arrowLength = 0.09 * vidHeight;
-            var arrowheadWidth = 0.025 * vidHeight;
-            var arrowheadLength = 0.04 * vidHeight;
-            var arrowPosY = vidHeight / 10;
-            var arrowWidth = 0.007 * vidHeight;
-            var currX = vidWidth * position;
+        setRate(rate) {
+            this.offset = this.time();
+            this.startedAt = performance.now();
+            this.rate = rate;
+            this.notify(false);
+        }
 
-            // Draw circle
-            mergeContext.arc(currX, arrowPosY, arrowLength * 0.7, 0, Math.PI * 2, false);
-            mergeContext.fillStyle = "#FFD79340";
-            mergeContext.fill()
-            //mergeContext.strokeStyle = "#444444";
-            //mergeContext.stroke()
+        notify(force) {
+            this.members.forEach(comparison => comparison.syncToClock(force));
+        }
+    }
 
-            // Draw border
-            mergeContext.beginPath();
-            mergeContext.moveTo(vidWidth * position, 0);
-            mergeContext.lineTo(vidWidth * position, vidHeight);
-            mergeContext.closePath()
-            mergeContext.strokeStyle = "#AAAAAA";
-            mergeContext.lineWidth = 4;
-            mergeContext.stroke();
+    /**
+     * Comparison drawn onto the `<video id>Merge` canvas (or options.canvas).
+     * Method A and B come from one video holding both side by side, or from
+     * `video` and options.compareWith, a second video kept on A's frame with
+     * requestVideoFrameCallback. options.mode is 'swipe' (the mouse or a drag
+     * moves the divider), 'difference' (per-pixel |A - B| times
+     * options.differenceGain through options.colormap), 'flicker' (A and B
+     * alternate options.flickerRate times per second) or 'side-by-side'.
+     * The controls below play and pause, step frames (options.fps, default
+     * 30), change speed and mode, and scrub. Drawing and decoding stop while
+     * the canvas is off-screen. options.clock joins a VideoClock shared with
+     * other comparisons.
+     */
+    class VideoComparison {
+        constructor(video, options = {}) {
+            this.video = typeof video === 'string' ? document.getElementById(video) : video;
+            if (!this.video) {
+                console.error(`Video "${video}" not found`);
+                return;
+            }
 
-            // Draw arrow
-            mergeContext.beginPath();
-            mergeContext.moveTo(currX, arrowPosY - arrowWidth / 2);
+            this.options = {
+                position: options.position !== undefined ? options.position : 0.5,
+                fps: options.fps || 30,
+                controls: options.controls !== undefined ? options.controls : true,
+                speeds: options.speeds || SPEEDS,
+                mode: options.mode || 'swipe',
+                differenceGain: options.differenceGain || 4,
+                colormap: options.colormap || 'turbo',
+                flickerRate: options.flickerRate || 2,
+                labels: options.labels || ['A', 'B']
+            };
 
-            // Move right until meeting arrow head
-            mergeContext.lineTo(currX + arrowLength / 2 - arrowheadLength / 2, arrowPosY - arrowWidth / 2);
+            const secondary = options.compareWith;
+            this.secondary = typeof secondary === 'string' ? document.getElementById(secondary) : secondary || null;
+            this.videos = this.secondary ? [this.video, this.secondary] : [this.video];
 
-            // Draw right arrow head
-            mergeContext.lineTo(currX + arrowLength / 2 - arrowheadLength / 2, arrowPosY - arrowheadWidth / 2);
-            mergeContext.lineTo(currX + arrowLength / 2, arrowPosY);
-            mergeContext.lineTo(currX + arrowLength / 2 - arrowheadLength / 2, arrowPosY + arrowheadWidth / 2);
-            mergeContext.lineTo(currX + arrowLength / 2 - arrowheadLength / 2, arrowPosY + arrowWidth / 2);
+            this.canvas = options.canvas || document.getElementById(`${this.video.id}Merge`);
+            if (!this.canvas) {
+                this.canvas = document.createElement('canvas');
+                this.canvas.className = 'videoMerge';
+                this.video.insertAdjacentElement('afterend', this.canvas);
+            }
+            this.context = this.canvas.getContext('2d');
 
-            // Go back to the left until meeting left arrow head
-            mergeContext.lineTo(currX - arrowLength / 2 + arrowheadLength / 2, arrowPosY + arrowWidth / 2);
+            this.position = clamp(this.options.position, 0, 1);
+            this.playing = false;
+            this.visible = true;
+            this.frameRequest = null;
+            this.dragging = false;
+            this.listeners = [];
+            this.clock = null;
+            // Media time of the frame each video presented last, and the pending callbacks
+            this.frameTimes = this.videos.map(() => null);
+            this.frameCallbacks = this.videos.map(() => null);
+            this.colorTable = null;
 
-            // Draw left arrow head
-            mergeContext.lineTo(currX - arrowLength / 2 + arrowheadLength / 2, arrowPosY + arrowheadWidth / 2);
-            mergeContext.lineTo(currX - arrowLength / 2, arrowPosY);
-            mergeContext.lineTo(currX - arrowLength / 2 + arrowheadLength / 2, arrowPosY - arrowheadWidth / 2);
-            mergeContext.lineTo(currX - arrowLength / 2 + arrowheadLength / 2, arrowPosY);
+            // Hide the videos without stopping them; the canvas shows them instead
+            this.videos.forEach(item => {
+                item.style.height = '0px';
+            });
 
-            mergeContext.lineTo(currX - arrowLength / 2 + arrowheadLength / 2, arrowPosY - arrowWidth / 2);
-            mergeContext.lineTo(currX, arrowPosY - arrowWidth / 2);
+            this.canvas.tabIndex = 0;
+            this.canvas.setAttribute('aria-label', 'Video comparison. Arrow keys move the divider, space plays or pauses, comma and period step frames');
 
-            mergeContext.closePath();
+            if (this.options.controls) {
+                this.createControls();
+            }
+            this.attachListeners();
 
-            mergeContext.fillStyle = "#AAAAAA";
-            mergeContext.fill();
+            if (typeof IntersectionObserver !== 'undefined') {
+                this.visibilityObserver = new IntersectionObserver(entries => {
+                    this.setVisible(entries[entries.length - 1].isIntersecting);
+                });
+                this.visibilityObserver.observe(this.canvas);
+            }
 
+            if (options.clock) {
+                this.clock = options.clock;
+                this.clock.add(this);
+            }
 
+            this.setMode(this.options.mode);
+            if (this.video.autoplay) {
+                this.play();
+            } else {
+                this.scheduleDraw();
+            }
+        }
 
+        // addEventListener that destroy() undoes
+        listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            this.listeners.push(() => target.removeEventListener(type, handler, options));
+        }
+
+        attachListeners() {
+            const video = this.video;
+            this.listen(video, 'loadedmetadata', () => this.resize());
+            this.listen(video, 'loadeddata', () => this.scheduleDraw());
+            this.listen(video, 'seeked', () => this.scheduleDraw());
+            ['play', 'pause', 'ratechange', 'timeupdate', 'durationchange'].forEach(type => {
+                this.listen(video, type, () => this.updateControls());
+            });
+            this.listen(video, 'play', () => this.scheduleDraw());
+            this.listen(video, 'ended', () => {
+                if (!this.clock) this.playing = false;
+                this.updateControls();
+            });
+            // Paused videos present no frames, so B follows A's seeks here
+            ['seeked', 'pause'].forEach(type => {
+                this.listen(video, type, () => this.lockSecondary(video.currentTime, 0));
+            });
+            if (this.secondary) {
+                this.listen(this.secondary, 'loadeddata', () => this.scheduleDraw());
+                this.listen(this.secondary, 'seeked', () => this.scheduleDraw());
+            }
+            this.videos.forEach((item, index) => this.watchFrames(item, index));
+
+            const trackPointer = (event) => {
+                if (this.options.mode !== 'swipe') return;
+                const rect = this.canvas.getBoundingClientRect();
+                this.setPosition((event.clientX - rect.left) / rect.width);
+            };
+            this.listen(this.canvas, 'pointermove', (event) => {
+                if (this.dragging || event.pointerType === 'mouse') {
+                    trackPointer(event);
+                }
+            });
+            this.listen(this.canvas, 'pointerdown', (event) => {
+                this.dragging = true;
+                if (this.canvas.setPointerCapture) {
+                    this.canvas.setPointerCapture(event.pointerId);
+                }
+                trackPointer(event);
+            });
+            const stopDragging = () => {
+                this.dragging = false;
+            };
+            this.listen(this.canvas, 'pointerup', stopDragging);
+            this.listen(this.canvas, 'pointercancel', stopDragging);
+
+            this.listen(this.canvas, 'keydown', (event) => {
+                const step = event.shiftKey ? 0.1 : 0.02;
+                if (event.key === 'ArrowLeft') this.setPosition(this.position - step);
+                else if (event.key === 'ArrowRight') this.setPosition(this.position + step);
+                else if (event.key === ' ' || event.key === 'k') this.togglePlay();
+                else if (event.key === ',') this.stepFrame(-1);
+                else if (event.key === '.') this.stepFrame(1);
+                else return;
+                event.preventDefault();
+            });
+        }
+
+        createControls() {
+            const controls = document.createElement('div');
+            controls.className = 'video-comparison__controls';
+            controls.innerHTML = `
+                <button type="button" class="video-comparison__button" data-action="back" title="Previous frame (,)" aria-label="Previous frame">&#9664;&#9646;</button>
+                <button type="button" class="video-comparison__button" data-action="play" title="Play or pause (space)">Play</button>
+                <button type="button" class="video-comparison__button" data-action="forward" title="Next frame (.)" aria-label="Next frame">&#9646;&#9654;</button>
+                <input type="range" class="video-comparison__timeline" min="0" max="0" step="any" value="0" aria-label="Timeline">
+                <span class="video-comparison__time">0:00.0</span>
+                <select class="video-comparison__speed" aria-label="Playback speed">
+                    ${this.options.speeds.map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}×</option>`).join('')}
+                </select>
+                <select class="video-comparison__mode" aria-label="Display mode">
+                    ${Object.keys(MODES).map(mode => `<option value="${mode}">${MODES[mode]}</option>`).join('')}
+                </select>
+            `;
+            this.canvas.insertAdjacentElement('afterend', controls);
+
+            this.controls = {
+                element: controls,
+                play: controls.querySelector('[data-action="play"]'),
+                timeline: controls.querySelector('.video-comparison__timeline'),
+                time: controls.querySelector('.video-comparison__time'),
+                speed: controls.querySelector('.video-comparison__speed'),
+                mode: controls.querySelector('.video-comparison__mode')
+            };
+
+            this.listen(this.controls.play, 'click', () => this.togglePlay());
+            this.listen(controls.querySelector('[data-action="back"]'), 'click', () => this.stepFrame(-1));
+            this.listen(controls.querySelector('[data-action="forward"]'), 'click', () => this.stepFrame(1));
+            this.listen(this.controls.timeline, 'input', () => this.seek(Number(this.controls.timeline.value)));
+            this.listen(this.controls.speed, 'change', () => this.setSpeed(Number(this.controls.speed.value)));
+            this.listen(this.controls.mode, 'change', () => this.setMode(this.controls.mode.value));
+        }
+
+        updateControls() {
+            if (!this.controls) return;
+            const { play, timeline, time, speed } = this.controls;
+            const duration = Number.isFinite(this.video.duration) ? this.video.duration : 0;
+            const playing = this.isPlaying();
+            play.textContent = playing ? 'Pause' : 'Play';
+            play.setAttribute('aria-pressed', String(playing));
+            timeline.max = duration;
+            // Leave the thumb alone while it is being dragged
+            if (document.activeElement !== timeline) {
+                timeline.value = this.video.currentTime;
+            }
+            time.textContent = `${formatTime(this.video.currentTime)} / ${formatTime(duration)}`;
+            speed.value = String(this.clock ? this.clock.rate : this.video.playbackRate);
+        }
+
+        // Size of one method's frame
+        frameSize() {
+            const packed = this.secondary === null;
+            return [packed ? this.video.videoWidth / 2 : this.video.videoWidth, this.video.videoHeight];
         }
-        requestAnimationFrame(drawLoop);
-    }
-}
 
-Number.prototype.clamp = function (min, max) {
-    return Math.min(Math.max(this, min), max);
-};
+        // Where method `index` is found: a half of the packed video, or a whole video
+        source(index) {
+            if (this.secondary === null) {
+                const [width, height] = this.frameSize();
+                return { video: this.video, x: index * width, y: 0, width, height };
+            }
+            const video = this.videos[index];
+            return { video, x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+        }
+
+        resize() {
+            const [width, height] = this.frameSize();
+            this.canvas.width = this.options.mode === 'side-by-side' ? width * 2 : width;
+            this.canvas.height = height;
+            this.updateControls();
+            this.scheduleDraw();
+        }
+
+        setMode(mode) {
+            if (!MODES[mode]) {
+                throw new Error(`Unknown comparison mode "${mode}"`);
+            }
+            this.options.mode = mode;
+            this.canvas.dataset.mode = mode;
+            if (this.controls) {
+                this.controls.mode.value = mode;
+            }
+            this.resize();
+        }
 
+        isPlaying() {
+            return this.clock ? this.clock.playing : this.playing;
+        }
+
+        play() {
+            if (this.clock) {
+                this.clock.play();
+                return;
+            }
+            this.playing = true;
+            this.applyPlayback();
+        }
+
+        pause() {
+            if (this.clock) {
+                this.clock.pause();
+                return;
+            }
+            this.playing = false;
+            this.applyPlayback();
+        }
+
+        togglePlay() {
+            if (this.isPlaying()) this.pause();
+            else this.play();
+        }
+
+        seek(time) {
+            if (this.clock) {
+                this.clock.seek(time);
+                return;
+            }
+            const duration = Number.isFinite(this.video.duration) ? this.video.duration : time;
+            this.videos.forEach(video => {
+                video.currentTime = clamp(time, 0, duration);
+            });
+        }
 
-function resizeAndPlay(element) {
-    var cv = document.getElementById(element.id + "Merge");
-    cv.width = element.videoWidth / 2;
-    cv.height = element.videoHeight;
-    element.play();
-    element.style.height = "0px";  // Hide video without stopping it
+        // Pause and move `count` frames forward (or back when negative)
+        stepFrame(count) {
+            this.pause();
+            const time = this.clock ? this.clock.time() : this.video.currentTime;
+            this.seek(time + count / this.options.fps);
+        }
+
+        setSpeed(rate) {
+            if (this.clock) {
+                this.clock.setRate(rate);
+                return;
+            }
+            this.videos.forEach(video => {
+                video.playbackRate = rate;
+            });
+        }
+
+        setPosition(position) {
+            this.position = clamp(position, 0, 1);
+            this.scheduleDraw();
+        }
+
+        setVisible(visible) {
+            if (visible === this.visible) return;
+            this.visible = visible;
+            if (this.clock) {
+                this.syncToClock(true);
+            } else {
+                this.applyPlayback();
+            }
+        }
+
+        // Off-screen videos stay paused so they do not keep decoding
+        applyPlayback() {
+            const playing = this.isPlaying() && this.visible;
+            this.videos.forEach(video => {
+                if (!playing) {
+                    video.pause();
+                } else if (video.paused) {
+                    const promise = video.play();
+                    // Autoplay can still be refused, e.g. in power-saving modes
+                    if (promise && promise.catch) promise.catch(() => {});
+                }
+            });
+            this.updateControls();
+            this.scheduleDraw();
+        }
+
+        /**
+         * Follow the shared clock: match its speed and playing state, and seek
+         * when forced or further than MAX_DRIFT away.
+         */
+        syncToClock(force) {
+            const duration = this.video.duration;
+            if (!this.clock || !Number.isFinite(duration) || duration <= 0) {
+                this.applyPlayback();
+                return;
+            }
+            const target = this.clock.time() % duration;
+            const drift = Math.abs(this.video.currentTime - target);
+            // Looping wraps around, so 0.1 s and duration - 0.1 s are close
+            if (force || Math.min(drift, duration - drift) > MAX_DRIFT) {
+                this.video.currentTime = target;
+            }
+            this.videos.forEach(video => {
+                video.playbackRate = this.clock.rate;
+            });
+            this.applyPlayback();
+        }
+
+        // requestVideoFrameCallback reports the media time of every presented frame
+        watchFrames(video, index) {
+            if (!video.requestVideoFrameCallback) return;
+            const onFrame = (now, metadata) => {
+                this.frameTimes[index] = metadata.mediaTime;
+                // The two callbacks interleave, so B may still show the previous frame
+                if (index === 0) {
+                    this.lockSecondary(metadata.mediaTime, 2 / this.options.fps);
+                }
+                this.scheduleDraw();
+                this.frameCallbacks[index] = video.requestVideoFrameCallback(onFrame);
+            };
+            this.frameCallbacks[index] = video.requestVideoFrameCallback(onFrame);
+        }
+
+        /**
+         * Seek B to `time`, A's media time, once the frame B shows is more than
+         * `tolerance` seconds away; paused videos are matched to the frame.
+         */
+        lockSecondary(time, tolerance) {
+            const secondary = this.secondary;
+            if (!secondary || secondary.readyState < 1 || secondary.seeking) return;
+            const shown = secondary.paused || this.frameTimes[1] === null ? secondary.currentTime : this.frameTimes[1];
+            const limit = Math.max(tolerance, 0.5 / this.options.fps);
+            if (Math.abs(shown - time) > limit) {
+                secondary.currentTime = time;
+                this.frameTimes[1] = null;
+            }
+        }
+
+        scheduleDraw() {
+            if (this.frameRequest !== null || !this.visible) return;
+            this.frameRequest = requestAnimationFrame(() => {
+                this.frameRequest = null;
+                this.draw();
+            });
+        }
+
+        draw() {
+            const [width, height] = this.frameSize();
+            // Without frame callbacks B is only kept within MAX_DRIFT of A
+            if (this.secondary && !this.secondary.requestVideoFrameCallback && this.isPlaying()) {
+                this.lockSecondary(this.video.currentTime, MAX_DRIFT);
+            }
+            // A seeking B would show a frame from another time
+            const ready = this.videos.every(video => video.readyState >= 2 && !video.seeking);
+            if (width > 0 && height > 0 && ready) {
+                const context = this.context;
+                const mode = this.options.mode;
+                if (mode === 'side-by-side') {
+                    this.drawSource(context, 0, 0, width, height);
+                    this.drawSource(context, 1, width, width, height);
+                } else if (mode === 'flicker') {
+                    const index = Math.floor(performance.now() / 1000 * this.options.flickerRate) % 2;
+                    this.drawSource(context, index, 0, width, height);
+                    this.drawLabel(this.options.labels[index], height);
+                } else if (mode === 'difference') {
+                    this.drawDifference(width, height);
+                } else {
+                    this.drawSource(context, 0, 0, width, height);
+                    if (this.position < 1) {
+                        this.drawSource(context, 1, 0, width, height, this.position);
+                    }
+                    this.drawDivider(width * this.position, height);
+                }
+            }
+
+            if (this.clock && this.isPlaying()) {
+                this.syncToClock(false);
+            } else {
+                this.updateControls();
+            }
+            // Paused videos are only redrawn when something changes
+            if (this.isPlaying() || this.options.mode === 'flicker') {
+                this.scheduleDraw();
+            }
+        }
+
+        // Draw the part of method `index` right of `from` (a fraction), the frame placed at x
+        drawSource(context, index, x, width, height, from = 0) {
+            const source = this.source(index);
+            context.drawImage(source.video,
+                source.x + source.width * from, source.y, source.width * (1 - from), source.height,
+                x + width * from, 0, width * (1 - from), height);
+        }
+
+        // 256 RGB entries of options.colormap; a gray ramp without colormaps.js
+        differenceColors() {
+            if (this.colorTable) return this.colorTable;
+            const table = new Uint8ClampedArray(256 * 3);
+            const color = [0, 0, 0];
+            for (let i = 0; i < 256; i++) {
+                if (window.Colormaps) window.Colormaps.sample(this.options.colormap, i / 255, color);
+                else color.fill(i / 255);
+                table[i * 3] = color[0] * 255;
+                table[i * 3 + 1] = color[1] * 255;
+                table[i * 3 + 2] = color[2] * 255;
+            }
+            this.colorTable = table;
+            return table;
+        }
+
+        drawDifference(width, height) {
+            if (!this.scratch) {
+                this.scratch = document.createElement('canvas');
+                this.scratchContext = this.scratch.getContext('2d', { willReadFrequently: true });
+            }
+            if (this.scratch.width !== width || this.scratch.height !== height) {
+                this.scratch.width = width;
+                this.scratch.height = height;
+            }
+            const scratch = this.scratchContext;
+            this.drawSource(scratch, 0, 0, width, height);
+            const a = scratch.getImageData(0, 0, width, height);
+            this.drawSource(scratch, 1, 0, width, height);
+            const b = scratch.getImageData(0, 0, width, height).data;
+
+            const pixels = a.data;
+            const colors = this.differenceColors();
+            const scale = this.options.differenceGain / 3;
+            for (let i = 0; i < pixels.length; i += 4) {
+                const difference = Math.abs(pixels[i] - b[i]) + Math.abs(pixels[i + 1] - b[i + 1]) + Math.abs(pixels[i + 2] - b[i + 2]);
+                const entry = Math.min(Math.round(difference * scale), 255) * 3;
+                pixels[i] = colors[entry];
+                pixels[i + 1] = colors[entry + 1];
+                pixels[i + 2] = colors[entry + 2];
+                pixels[i + 3] = 255;
+            }
+            this.context.putImageData(a, 0, 0);
+        }
+
+        // Name of the method flicker mode is showing, in the top-left corner
+        drawLabel(text, height) {
+            if (!text) return;
+            const context = this.context;
+            const size = Math.max(Math.round(height * 0.05), 12);
+            context.font = `600 ${size}px sans-serif`;
+            context.textBaseline = 'middle';
+            const padding = size * 0.6;
+            const boxWidth = context.measureText(text).width + padding * 2;
+            context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            context.fillRect(padding, padding, boxWidth, size * 2);
+            context.fillStyle = '#FFFFFF';
+            context.fillText(text, padding * 2, padding + size);
+        }
+
+        drawDivider(x, height) {
+            const context = this.context;
+            const arrowLength = 0.09 * height;
+            const arrowheadWidth = 0.025 * height;
+            const arrowheadLength = 0.04 * height;
+            const arrowPosY = height / 10;
+            const arrowWidth = 0.007 * height;
+
+            context.beginPath();
+            context.arc(x, arrowPosY, arrowLength * 0.7, 0, Math.PI * 2, false);
+            context.fillStyle = '#FFD79340';
+            context.fill();
+
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, height);
+            context.strokeStyle = '#AAAAAA';
+            context.lineWidth = 4;
+            context.stroke();
+
+            // Double arrow: right shaft and head, then back along the shaft to the left head
+            const shaftEnd = arrowLength / 2 - arrowheadLength / 2;
+            context.beginPath();
+            context.moveTo(x, arrowPosY - arrowWidth / 2);
+            context.lineTo(x + shaftEnd, arrowPosY - arrowWidth / 2);
+            context.lineTo(x + shaftEnd, arrowPosY - arrowheadWidth / 2);
+            context.lineTo(x + arrowLength / 2, arrowPosY);
+            context.lineTo(x + shaftEnd, arrowPosY + arrowheadWidth / 2);
+            context.lineTo(x + shaftEnd, arrowPosY + arrowWidth / 2);
+            context.lineTo(x - shaftEnd, arrowPosY + arrowWidth / 2);
+            context.lineTo(x - shaftEnd, arrowPosY + arrowheadWidth / 2);
+            context.lineTo(x - arrowLength / 2, arrowPosY);
+            context.lineTo(x - shaftEnd, arrowPosY - arrowheadWidth / 2);
+            context.lineTo(x - shaftEnd, arrowPosY - arrowWidth / 2);
+            context.closePath();
+            context.fillStyle = '#AAAAAA';
+            context.fill();
+        }
+
+        destroy() {
+            if (this.frameRequest !== null) {
+                cancelAnimationFrame(this.frameRequest);
+                this.frameRequest = null;
+            }
+            if (this.visibilityObserver) {
+                this.visibilityObserver.disconnect();
+            }
+            if (this.clock) {
+                this.clock.remove(this);
+                this.clock = null;
+            }
+            this.frameCallbacks.forEach((handle, index) => {
+                if (handle !== null) this.videos[index].cancelVideoFrameCallback(handle);
+            });
+            this.listeners.forEach(remove => remove());
+            this.listeners = [];
+            if (this.controls) {
+                this.controls.element.remove();
+                this.controls = null;
+            }
+            this.videos.forEach(video => video.pause());
+        }
+    }
 
-    playVids(element.id);
-}
\ No newline at end of file
+    window.VideoComparison = VideoComparison;
+    window.VideoClock = VideoClock;
+})();
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Convert a mesh (PLY, OBJ, STL or GLB, optionally gzipped) into the quantized
+ * .qmesh format that PLYMeshViewer loads, gzipped for the project page
+ *
+ *   node docs/tools/compress_mesh.js assets/observatory-01_ours.ply
+ *   node docs/tools/compress_mesh.js in.ply out.qmesh --bits 14 --no-normals --no-gzip
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MeshFormats = require('../assets/js/bog/mesh_formats.js');
+const QuantizedMesh = require('../assets/js/bog/quantized_mesh.js');
+
+const USAGE = `Usage: compress_mesh.js <input> [output] [options]
+
+Options:
+  --bits <n>      position precision in bits per axis, 1-16 (default ${QuantizedMesh.DEFAULTS.positionBits})
+  --no-normals    leave out normals; the viewer then computes them
+  --no-colors     leave out vertex colors
+  --no-gzip       write a plain .qmesh instead of .qmesh.gz`;
+
+function parseArguments(argv) {
+    const args = { files: [], positionBits: QuantizedMesh.DEFAULTS.positionBits, normals: true, colors: true, gzip: true };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--bits') args.positionBits = Number(argv[++i]);
+        else if (arg === '--no-normals') args.normals = false;
+        else if (arg === '--no-colors') args.colors = false;
+        else if (arg === '--no-gzip') args.gzip = false;
+        else if (arg === '-h' || arg === '--help') args.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else args.files.push(arg);
+    }
+    return args;
+}
+
+// PLY normals arrive as nx/ny/nz scalar properties
+function readNormals(data) {
+    const { nx, ny, nz } = data.properties;
+    if (!nx || !ny || !nz) return null;
+    const normals = new Float32Array(data.vertexCount * 3);
+    for (let i = 0; i < data.vertexCount; i++) {
+        normals[i * 3] = nx[i];
+        normals[i * 3 + 1] = ny[i];
+        normals[i * 3 + 2] = nz[i];
+    }
+    return normals;
+}
+
+// Largest distance between a vertex and its decoded position
+function maxPositionError(positions, decoded) {
+    let error = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+        const distance = Math.hypot(positions[i] - decoded[i], positions[i + 1] - decoded[i + 1], positions[i + 2] - decoded[i + 2]);
+        error = Math.max(error, distance);
+    }
+    return error;
+}
+
+function main() {
+    const args = parseArguments(process.argv.slice(2));
+    if (args.help || args.files.length === 0 || args.files.length > 2) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+
+    const [input] = args.files;
+    const output = args.files[1] ||
+        input.replace(/\.(gz|gzip|zz|deflate)$/i, '').replace(/\.[^./\\]*$/, '') + (args.gzip ? '.qmesh.gz' : '.qmesh');
+
+    let bytes = fs.readFileSync(input);
+    const compression = MeshFormats.detectCompression(bytes);
+    if (compression === 'gzip') bytes = zlib.gunzipSync(bytes);
+    else if (compression === 'deflate') bytes = zlib.inflateSync(bytes);
+
+    const data = MeshFormats.parse(bytes, { name: input });
+    const encoded = QuantizedMesh.encode({ ...data, normals: data.normals || readNormals(data) }, args);
+    const written = args.gzip ? zlib.gzipSync(encoded, { level: 9 }) : encoded;
+    fs.writeFileSync(output, written);
+
+    const decoded = QuantizedMesh.decode(encoded);
+    const megabytes = (count) => (count / (1024 * 1024)).toFixed(2);
+    console.log(`${path.basename(input)}: ${data.vertexCount} vertices, ${data.indices.length / 3} triangles`);
+    console.log(`${megabytes(fs.statSync(input).size)} MB -> ${megabytes(written.length)} MB (${output})`);
+    console.log(`Largest position error: ${maxPositionError(data.positions, decoded.positions).toExponential(2)}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`compress_mesh: ${error.message}`);
+    process.exitCode = 1;
+}